@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+/*
+ * Command‑line front end for batch synthesis.  Each design (r₁ and the
+ * precision pairs θᵢ, φᵢ in degrees) is synthesized – exactly with
+ * threePositionSynthesis for three pairs, in the least‑squares sense for
+ * more – and its link lengths are written together with a sampled φ(θ)
+ * table, as JSON or CSV.
+ *
+ * Designs come from the command line or from JSON/CSV files:
+ *
+ *   node cli.js --r1 4.5 --theta 35.02,67.5,100 --phi 91.21,101.79,117.19
+ *   node cli.js designs.csv --format csv --samples 72 > tables.csv
+ *   cat designs.json | node cli.js -
+ *
+ * Run `node cli.js --help` for all options.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  threePositionSynthesis,
+  leastSquaresSynthesis,
+  validateBranchAndOrder,
+  parseDesign,
+  solveFourBarPhi,
+} = require('./synthesis');
+
+const USAGE = `Usage: node cli.js [options] [file ...]
+
+Synthesize four-bar function generators and tabulate phi(theta).
+
+Designs are read from the files given (JSON or CSV, "-" for standard input)
+or from --theta/--phi on the command line.
+
+Input files:
+  JSON  one design or an array of designs, each either
+        {"name", "r1", "thetaDeg": [...], "phiDeg": [...], "mode"} or a
+        four-bar design document saved from the web page ({"r1", "pairs":
+        [...]}); slider-crank, six-bar, crank-rocker and motion generation
+        documents are reported as errors
+  CSV   one design per row; with a header row the columns name, r1,
+        theta1..thetaN, phi1..phiN and mode are recognised, without one
+        the columns are r1, theta1..theta3, phi1..phi3
+
+Options:
+  --r1 <length>         ground link length (default 1; also the default
+                        for file designs without r1)
+  --theta <a,b,c,...>   input precision angles in degrees
+  --phi <a,b,c,...>     output precision angles in degrees
+  --mode <open|closed>  assembly mode of the table (default: the branch the
+                        precision positions lie on, else closed)
+  --range <start,end>   crank range of the table in degrees (default: the
+                        smallest to the largest precision angle)
+  --samples <n>         number of intervals in the table (default 36)
+  --format <json|csv>   output format (default json, or from --output)
+  --output <file>       write to a file instead of standard output
+  --help                show this help
+`;
+
+/**
+ * Parse the command line into options and input file names.
+ */
+function parseArgs(argv) {
+  const options = { files: [], samples: 36 };
+  const valueOf = (i, name) => {
+    if (i + 1 >= argv.length) throw new Error(`Missing value for ${name}`);
+    return argv[i + 1];
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      case '--r1':
+        options.r1 = parseNumber(valueOf(i++, arg), 'r1');
+        break;
+      case '--theta':
+        options.thetaDeg = parseList(valueOf(i++, arg), 'theta');
+        break;
+      case '--phi':
+        options.phiDeg = parseList(valueOf(i++, arg), 'phi');
+        break;
+      case '--mode':
+        options.mode = parseMode(valueOf(i++, arg));
+        break;
+      case '--range':
+        options.rangeDeg = parseList(valueOf(i++, arg), 'range');
+        if (options.rangeDeg.length !== 2) throw new Error('--range needs two angles: start,end');
+        break;
+      case '--samples':
+        options.samples = parseNumber(valueOf(i++, arg), 'samples');
+        if (!Number.isInteger(options.samples) || options.samples < 1) {
+          throw new Error('--samples must be a positive integer');
+        }
+        break;
+      case '--format':
+        options.format = valueOf(i++, arg).toLowerCase();
+        if (options.format !== 'json' && options.format !== 'csv') {
+          throw new Error(`Unknown output format "${options.format}"`);
+        }
+        break;
+      case '--output':
+      case '-o':
+        options.output = valueOf(i++, arg);
+        break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        options.files.push(arg);
+    }
+  }
+  if (!options.format) {
+    options.format = options.output && path.extname(options.output).toLowerCase() === '.csv' ? 'csv' : 'json';
+  }
+  return options;
+}
+
+function parseNumber(text, name) {
+  const value = Number(text);
+  if (String(text).trim() === '' || !Number.isFinite(value)) {
+    throw new Error(`${name}: "${text}" is not a number`);
+  }
+  return value;
+}
+
+function parseList(text, name) {
+  return String(text)
+    .split(/[,;\s]+/)
+    .filter((item) => item !== '')
+    .map((item, i) => parseNumber(item, `${name}[${i}]`));
+}
+
+function parseMode(text) {
+  const mode = String(text).trim().toLowerCase();
+  if (mode === 'crossed') return 'closed';
+  if (mode !== 'open' && mode !== 'closed') throw new Error(`Unknown assembly mode "${text}"`);
+  return mode;
+}
+
+/**
+ * Split CSV text into rows of trimmed cells.  Quoted cells may contain
+ * commas; lines starting with “#” are comments.
+ */
+function parseCsv(text) {
+  return text
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '' && !line.trim().startsWith('#'))
+    .map((line) => {
+      const cells = [];
+      const re = /\s*(?:"((?:[^"]|"")*)"|([^,]*))\s*(?:,|$)/g;
+      let match;
+      while ((match = re.exec(line)) !== null) {
+        cells.push(match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2].trim());
+        if (re.lastIndex >= line.length) break;
+      }
+      return cells;
+    });
+}
+
+/**
+ * Turn the rows of a CSV file into design specifications.
+ */
+function designsFromCsv(text, source, defaults) {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+  const hasHeader = rows[0].some((cell) => cell !== '' && !Number.isFinite(Number(cell)));
+  if (!hasHeader) {
+    return rows.map((row, i) => {
+      if (row.length < 7) throw new Error(`${source} row ${i + 1}: expected r1, theta1..theta3, phi1..phi3`);
+      const values = row.slice(0, 7).map((cell, j) => parseNumber(cell, `${source} row ${i + 1} column ${j + 1}`));
+      return {
+        name: `${source}:${i + 1}`,
+        r1: values[0],
+        thetaDeg: values.slice(1, 4),
+        phiDeg: values.slice(4, 7),
+        mode: row[7] ? parseMode(row[7]) : defaults.mode,
+      };
+    });
+  }
+  const header = rows[0].map((cell) => cell.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  const columns = (prefix) =>
+    header
+      .map((name, index) => ({ n: name.startsWith(prefix) ? Number(name.slice(prefix.length)) : NaN, index }))
+      .filter((c) => Number.isInteger(c.n) && c.n > 0)
+      .sort((a, b) => a.n - b.n)
+      .map((c) => c.index);
+  const thetaColumns = columns('theta');
+  const phiColumns = columns('phi');
+  if (!thetaColumns.length || thetaColumns.length !== phiColumns.length) {
+    throw new Error(`${source}: header needs matching theta1..thetaN and phi1..phiN columns`);
+  }
+  const nameColumn = header.indexOf('name');
+  const r1Column = header.indexOf('r1');
+  const modeColumn = header.indexOf('mode');
+  return rows.slice(1).map((row, i) => {
+    const where = `${source} row ${i + 2}`;
+    const cell = (index) => (index >= 0 && index < row.length ? row[index] : '');
+    return {
+      name: cell(nameColumn) || `${source}:${i + 2}`,
+      r1: cell(r1Column) ? parseNumber(cell(r1Column), `${where} r1`) : defaults.r1,
+      thetaDeg: thetaColumns.map((index) => parseNumber(cell(index), `${where} ${rows[0][index]}`)),
+      phiDeg: phiColumns.map((index) => parseNumber(cell(index), `${where} ${rows[0][index]}`)),
+      mode: cell(modeColumn) ? parseMode(cell(modeColumn)) : defaults.mode,
+    };
+  });
+}
+
+/**
+ * Reason why the CLI cannot synthesize a design document, or null: it
+ * only synthesizes four‑bar function generators from precision pairs.
+ */
+function unsupportedDocument(doc) {
+  if (doc.mechanism === 'slider-crank') return 'slider‑crank design documents are not supported; the CLI synthesizes four‑bars only';
+  if (doc.mechanism === 'sixbar') return 'series six‑bar design documents are not supported; the CLI synthesizes four‑bars only';
+  if (doc.crankRocker) {
+    return 'crank‑rocker specifications (swing and time ratio) are not supported; the CLI synthesizes from precision pairs only';
+  }
+  if (doc.motion) return 'motion generation specifications are not supported; the CLI synthesizes from precision pairs only';
+  return null;
+}
+
+/**
+ * Turn parsed JSON into design specifications.
+ */
+function designsFromJson(data, source, defaults) {
+  const list = Array.isArray(data) ? data : [data];
+  return list.map((item, i) => {
+    const name = item.name || (list.length > 1 ? `${source}:${i + 1}` : source);
+    if (item.pairs) {
+      // Design document saved from the web page; angles entered from the
+      // global x‑axis are measured from the ground line for synthesis
+      const doc = parseDesign(item);
+      const offset = doc.ground.globalAngles ? doc.ground.angleDeg : 0;
+      return {
+        name,
+        r1: doc.r1,
+        thetaDeg: doc.pairs.map((p) => p.thetaDeg - offset),
+        phiDeg: doc.pairs.map((p) => p.phiDeg - offset),
+        weights: doc.pairs.map((p) => p.weight),
+        mode: defaults.mode || doc.mode,
+        unsupported: unsupportedDocument(doc),
+      };
+    }
+    return {
+      name,
+      r1: item.r1 === undefined ? defaults.r1 : parseNumber(item.r1, `${name} r1`),
+      thetaDeg: (item.thetaDeg || []).map((v, j) => parseNumber(v, `${name} thetaDeg[${j}]`)),
+      phiDeg: (item.phiDeg || []).map((v, j) => parseNumber(v, `${name} phiDeg[${j}]`)),
+      weights: item.weights,
+      mode: item.mode ? parseMode(item.mode) : defaults.mode,
+    };
+  });
+}
+
+/**
+ * Read all design specifications named by the options.
+ */
+function readDesigns(options) {
+  const defaults = { r1: options.r1 === undefined ? 1 : options.r1, mode: options.mode };
+  const designs = [];
+  if (options.thetaDeg || options.phiDeg) {
+    designs.push({
+      name: 'command line',
+      r1: defaults.r1,
+      thetaDeg: options.thetaDeg || [],
+      phiDeg: options.phiDeg || [],
+      mode: defaults.mode,
+    });
+  }
+  options.files.forEach((file) => {
+    const source = file === '-' ? 'stdin' : file;
+    const text = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    const isJson = path.extname(file).toLowerCase() === '.json' || /^\s*[[{]/.test(text);
+    designs.push(...(isJson ? designsFromJson(JSON.parse(text), source, defaults) : designsFromCsv(text, source, defaults)));
+  });
+  return designs;
+}
+
+/**
+ * Synthesize one design and tabulate φ(θ).  Angles in the table are in
+ * degrees, φ in [0°, 360°); φ is null where the linkage cannot be assembled.
+ */
+function runDesign(spec, options) {
+  const { name, r1, thetaDeg, phiDeg } = spec;
+  if (spec.unsupported) throw new Error(spec.unsupported);
+  if (thetaDeg.length !== phiDeg.length) throw new Error('theta and phi lists differ in length');
+  if (thetaDeg.length < 3) throw new Error('at least three precision pairs are required');
+  const result =
+    thetaDeg.length === 3
+      ? threePositionSynthesis(thetaDeg, phiDeg, r1)
+      : leastSquaresSynthesis(thetaDeg, phiDeg, r1, spec.weights);
+  const { r2, r3, r4 } = result;
+  if (!(r2 > 0 && r3 > 0 && r4 > 0)) throw new Error('synthesis gives a non‑positive link length');
+  const validation = validateBranchAndOrder({ r1, r2, r3, r4 }, thetaDeg, phiDeg);
+  const mode = spec.mode || validation.branch || 'closed';
+  const messages = validation.messages.slice();
+  if (validation.branch && mode !== validation.branch) {
+    messages.push(`The precision positions lie on the ${validation.branch} branch, not on the requested ${mode} branch.`);
+  }
+  const [start, end] = options.rangeDeg || [Math.min(...thetaDeg), Math.max(...thetaDeg)];
+  const table = [];
+  for (let i = 0; i <= options.samples; i++) {
+    const theta = start + (i / options.samples) * (end - start);
+    const phi = solveFourBarPhi(r1, r2, r3, r4, (theta * Math.PI) / 180, undefined, mode);
+    table.push({
+      thetaDeg: theta,
+      phiDeg: Number.isNaN(phi) ? null : ((((phi * 180) / Math.PI) % 360) + 360) % 360,
+    });
+  }
+  return { name, r1, r2, r3, r4, mode, valid: validation.valid && messages.length === validation.messages.length, messages, table };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'number' ? String(Number(value.toFixed(6))) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format the results as CSV: one row per table sample, repeating the
+ * design columns, so the file can be filtered and pivoted directly.
+ */
+function formatCsv(results) {
+  const lines = ['name,r1,r2,r3,r4,mode,valid,error,thetaDeg,phiDeg'];
+  results.forEach((res) => {
+    if (res.error) {
+      lines.push([res.name, res.r1, '', '', '', '', '', res.error, '', ''].map(csvCell).join(','));
+      return;
+    }
+    res.table.forEach((row) => {
+      lines.push(
+        [res.name, res.r1, res.r2, res.r3, res.r4, res.mode, res.valid, '', row.thetaDeg, row.phiDeg]
+          .map(csvCell)
+          .join(',')
+      );
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (err) {
+    process.stderr.write(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  let designs;
+  try {
+    designs = readDesigns(options);
+  } catch (err) {
+    process.stderr.write(`Error reading designs: ${err.message}\n`);
+    return 2;
+  }
+  if (!designs.length) {
+    process.stderr.write(`No designs given.\n\n${USAGE}`);
+    return 2;
+  }
+  // A failing design is reported in the output and does not stop the batch
+  const results = designs.map((spec) => {
+    try {
+      return runDesign(spec, options);
+    } catch (err) {
+      return { name: spec.name, r1: spec.r1, error: err.message };
+    }
+  });
+  const output = options.format === 'csv' ? formatCsv(results) : JSON.stringify(results, null, 2) + '\n';
+  if (options.output) fs.writeFileSync(options.output, output);
+  else process.stdout.write(output);
+  const failed = results.filter((res) => res.error);
+  failed.forEach((res) => process.stderr.write(`${res.name}: ${res.error}\n`));
+  return failed.length ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, readDesigns, runDesign, formatCsv, main };
@@ -29,10 +29,7 @@ function deg2rad(deg) {
  */
 function solve3x3(A, b) {
   // Compute the determinant of A
-  const detA =
-    A[0][0] * (A[1][1] * A[2][2] - A[1][2] * A[2][1]) -
-    A[0][1] * (A[1][0] * A[2][2] - A[1][2] * A[2][0]) +
-    A[0][2] * (A[1][0] * A[2][1] - A[1][1] * A[2][0]);
+  const detA = det3x3(A);
   if (Math.abs(detA) < 1e-12) {
     throw new Error('Matrix is singular or nearly singular');
   }
@@ -46,11 +43,7 @@ function solve3x3(A, b) {
     for (let i = 0; i < 3; i++) {
       M[i][col] = b[i];
     }
-    return (
-      M[0][0] * (M[1][1] * M[2][2] - M[1][2] * M[2][1]) -
-      M[0][1] * (M[1][0] * M[2][2] - M[1][2] * M[2][0]) +
-      M[0][2] * (M[1][0] * M[2][1] - M[1][1] * M[2][0])
-    );
+    return det3x3(M);
   }
   const det1 = detReplace(0);
   const det2 = detReplace(1);
@@ -58,13 +51,163 @@ function solve3x3(A, b) {
   return [det1 / detA, det2 / detA, det3 / detA];
 }
 
+// Helper: determinant of a 3×3 matrix
+function det3x3(M) {
+  return (
+    M[0][0] * (M[1][1] * M[2][2] - M[1][2] * M[2][1]) -
+    M[0][1] * (M[1][0] * M[2][2] - M[1][2] * M[2][0]) +
+    M[0][2] * (M[1][0] * M[2][1] - M[1][1] * M[2][0])
+  );
+}
+
+/**
+ * Condition number ‖A‖·‖A⁻¹‖ of a 3×3 matrix in the maximum row sum norm:
+ * roughly the factor by which relative errors of the right‑hand side can
+ * grow in the solution.  Infinity for a singular matrix.
+ *
+ * @param {number[][]} A  3×3 matrix
+ * @returns {number}
+ */
+function conditionNumber3x3(A) {
+  const det = det3x3(A);
+  if (det === 0 || !Number.isFinite(det)) return Infinity;
+  // Inverse from the cofactors
+  const cof = (i, j) => {
+    const [r1, r2] = [0, 1, 2].filter((k) => k !== i);
+    const [c1, c2] = [0, 1, 2].filter((k) => k !== j);
+    return ((i + j) % 2 ? -1 : 1) * (A[r1][c1] * A[r2][c2] - A[r1][c2] * A[r2][c1]);
+  };
+  const inverse = [0, 1, 2].map((i) => [0, 1, 2].map((j) => cof(j, i) / det));
+  const norm = (M) => Math.max(...M.map((row) => row.reduce((sum, v) => sum + Math.abs(v), 0)));
+  return norm(A) * norm(inverse);
+}
+
+/**
+ * Diagnostics of the link lengths recovered from the solution z of the
+ * design equations (see synthesisDiagnostics for their form): r₂ = r₁/z₂
+ * and r₄ = r₁/z₃ must be finite and positive, and r₃² must be positive
+ * for a real coupler.
+ *
+ * Each diagnostic names the pairs responsible.  For r₂ and r₄ these are the
+ * pairs whose angles move z₂ or z₃ the most: to first order a change dx of
+ * θᵢ or φᵢ changes the (weighted least‑squares) solution by
+ * dz = −wᵢ N⁻¹ (aᵢᵀ ∂fᵢ/∂x + ∂aᵢᵀ/∂x rᵢ), where N = AᵀWA, aᵢ is row i,
+ * fᵢ = aᵢ·z − cos(φᵢ − θᵢ) its equation and rᵢ its residual.  With three
+ * pairs the residuals vanish and this is dz = −A⁻¹ eᵢ ∂fᵢ/∂x, solved with A
+ * itself (N would square its determinant).  No pairs are named when the
+ * system is too close to singular to solve.  For r₃² they are the pairs
+ * with the largest weighted residuals.
+ *
+ * @param {number[]} theta    Crank angles θᵢ in radians
+ * @param {number[]} phi      Rocker angles φᵢ in radians
+ * @param {number[]} w        Weight of every pair
+ * @param {number[]} z        Solution [z₁, z₂, z₃]
+ * @param {number}   r3Squared  r₃² scaled by r₁²
+ * @param {number}   r1       Ground link length
+ * @returns {object[]}        Diagnostics as described for synthesisDiagnostics
+ */
+function lengthDiagnostics(theta, phi, w, z, r3Squared, r1) {
+  const rows = theta.map((t, i) => [1, Math.cos(phi[i]), -Math.cos(t)]);
+  const residuals = rows.map((a, i) => a[0] * z[0] + a[1] * z[1] + a[2] * z[2] - Math.cos(phi[i] - theta[i]));
+  // Pairs whose value is at least half the largest, the largest first
+  const leading = (values) => {
+    const largest = Math.max(...values);
+    if (!(largest > 0)) return [];
+    return values
+      .map((v, i) => i)
+      .filter((i) => values[i] >= 0.5 * largest)
+      .sort((i, j) => values[j] - values[i]);
+  };
+  const ascending = (indices) => [...indices].sort((i, j) => i - j);
+  const list = (indices) => indices.map((i) => i + 1).join(indices.length === 2 ? ' and ' : ', ');
+  const diagnostics = [];
+  const lengths = [
+    ['r2', 'r₂', 'crank', 1, 'crank angle θᵢ'],
+    ['r4', 'r₄', 'rocker', 2, 'rocker angle φᵢ'],
+  ].filter(([, , , k]) => !Number.isFinite(r1 / z[k]) || Math.abs(z[k]) < 1e-9 || r1 / z[k] <= 0);
+  if (lengths.length) {
+    const N = [0, 1, 2].map((j) => [0, 1, 2].map((k) => rows.reduce((sum, a, i) => sum + w[i] * a[j] * a[k], 0)));
+    // dz for a change of θᵢ or φᵢ: ∂aᵢ/∂θ = [0, 0, sin θᵢ], ∂aᵢ/∂φ = [0, −sin φᵢ, 0]
+    const sensitivity = (i, da, df) =>
+      theta.length === 3
+        ? solve3x3(rows, [0, 1, 2].map((j) => (j === i ? -df : 0)))
+        : solve3x3(N, [0, 1, 2].map((j) => -w[i] * (rows[i][j] * df + da[j] * residuals[i])));
+    let dz = null;
+    try {
+      dz = theta.map((t, i) => {
+        const s = Math.sin(phi[i] - t);
+        const dTheta = [0, 0, Math.sin(t)];
+        const dPhi = [0, -Math.sin(phi[i]), 0];
+        return {
+          theta: sensitivity(i, dTheta, dTheta[2] * z[2] - s),
+          phi: sensitivity(i, dPhi, dPhi[1] * z[1] + s),
+        };
+      });
+    } catch (err) {
+      // Too close to singular to tell the pairs apart
+    }
+    lengths.forEach(([link, symbol, name, k, angles]) => {
+      const value = r1 / z[k];
+      const involved = dz ? leading(dz.map((d) => Math.max(Math.abs(d.theta[k]), Math.abs(d.phi[k])))) : [];
+      const first = involved[0];
+      const angle = first !== undefined && Math.abs(dz[first].theta[k]) >= Math.abs(dz[first].phi[k]) ? 'θ' : 'φ';
+      const which = involved.length ? ` Pair${involved.length > 1 ? 's' : ''} ${list(ascending(involved))} ${involved.length > 1 ? 'move' : 'moves'} 1/${symbol} the most.` : '';
+      if (!Number.isFinite(value) || Math.abs(z[k]) < 1e-9) {
+        diagnostics.push({
+          code: 'infinite-length',
+          severity: 'error',
+          message: `The ${name} length ${symbol} is infinite: the design equations give 1/${symbol} = 0.${which}`,
+          rows: ascending(involved),
+          suggestion: involved.length
+            ? `Change ${angle} of pair ${first + 1} by a few degrees: of all the angles it moves 1/${symbol} the most.`
+            : 'Change the spacing of the angles, or search θ₁ and φ₁ with Free reference angles.',
+          link,
+          value,
+        });
+      } else {
+        diagnostics.push({
+          code: 'negative-length',
+          severity: 'error',
+          message: `The ${name} length ${symbol} = ${value.toFixed(4)} is not positive: the ${name} points the other way.${which}`,
+          rows: ascending(involved),
+          suggestion: `Add 180° to every ${angles}: the same linkage then has ${symbol} = ${(-value).toFixed(4)}.${involved.length ? ` To change the linkage instead, change ${angle} of pair ${first + 1}.` : ''}`,
+          link,
+          value,
+        });
+      }
+    });
+  }
+  if (Number.isFinite(r3Squared) && r3Squared <= 0) {
+    const involved = ascending(leading(residuals.map((r, i) => w[i] * Math.abs(r))));
+    const some = involved.length && involved.length < theta.length;
+    const pairs = `pair${involved.length > 1 ? 's' : ''} ${list(involved)}`;
+    diagnostics.push({
+      code: 'no-real-coupler',
+      severity: 'error',
+      message: `r₃² = ${r3Squared.toFixed(4)} is not positive, so no real coupler joins the crank and rocker found. ${
+        some ? `The fit misses ${pairs} the most.` : 'The fit misses every pair by a similar amount.'
+      }`,
+      rows: involved,
+      suggestion: some
+        ? `Change or lower the weight of ${pairs}: no single four‑bar comes close to ${involved.length > 1 ? 'them' : 'it'} and to the other pairs together.`
+        : 'Change the spacing of the angles; the designs listed by Free reference angles all have a real coupler.',
+      r3Squared,
+    });
+  }
+  return diagnostics;
+}
+
 /**
  * Perform three‑position synthesis for a four‑bar mechanism.
  *
  * @param {number[]} thetaDeg  Array of three input crank angles (θ₁, θ₂, θ₃) in degrees
  * @param {number[]} phiDeg    Array of three output rocker angles (φ₁, φ₂, φ₃) in degrees
  * @param {number}   r1        Ground link length (base) in desired units
- * @returns {{r1: number, r2: number, r3: number, r4: number}}  Object with computed link lengths
+ * @returns {{r1: number, r2: number, r3: number, r4: number, r3Squared: number,
+ *            conditionNumber: number, diagnostics: object[]}}
+ *          computed link lengths; r3 is 0 when r3Squared ≤ 0, which the
+ *          diagnostics report along with non‑positive or infinite r2 and r4
+ *          (see synthesisDiagnostics)
  */
 function threePositionSynthesis(thetaDeg, phiDeg, r1 = 1) {
   if (!Array.isArray(thetaDeg) || thetaDeg.length !== 3 || !Array.isArray(phiDeg) || phiDeg.length !== 3) {
@@ -93,14 +236,455 @@ function threePositionSynthesis(thetaDeg, phiDeg, r1 = 1) {
     r2: r2Scaled * r1,
     r3: r3Scaled * r1,
     r4: r4Scaled * r1,
+    r3Squared: r3Squared * r1 * r1,
+    conditionNumber: conditionNumber3x3(A),
+    diagnostics: lengthDiagnostics(theta, phi, [1, 1, 1], [z1, z2, z3], r3Squared * r1 * r1, r1),
   };
   return result;
 }
 
+/**
+ * Perform least‑squares N‑position synthesis for a four‑bar mechanism.  Each
+ * (θᵢ, φᵢ) pair contributes one row [1, cos φᵢ, −cos θᵢ] z = cos(φᵢ − θᵢ) of
+ * the same design equation used by threePositionSynthesis.  With more than
+ * three pairs the system is overdetermined, so it is solved in the
+ * (weighted) least‑squares sense through the 3×3 normal equations
+ * AᵀWA z = AᵀWb.  The residual of every design equation is returned along
+ * with the output‑angle error φ(θᵢ) − φᵢ of the resulting linkage, evaluated
+ * on whichever assembly mode fits the specified pairs best.  An error (and
+ * hence the RMS) is NaN when the linkage cannot be assembled at that θᵢ.
+ *
+ * @param {number[]} thetaDeg  Input crank angles θᵢ in degrees (at least three)
+ * @param {number[]} phiDeg    Output rocker angles φᵢ in degrees (same length as thetaDeg)
+ * @param {number}   r1        Ground link length (base) in desired units
+ * @param {number[]} [weights] Optional non‑negative weight per pair (defaults to 1)
+ * @returns {{r1: number, r2: number, r3: number, r4: number, residuals: number[],
+ *            phiErrorDeg: number[], rmsErrorDeg: number, mode: string,
+ *            r3Squared: number, conditionNumber: number, diagnostics: object[]}}
+ *          r3Squared, the condition number of the normal equations and the
+ *          diagnostics of the lengths as for threePositionSynthesis
+ */
+function leastSquaresSynthesis(thetaDeg, phiDeg, r1 = 1, weights) {
+  if (!Array.isArray(thetaDeg) || !Array.isArray(phiDeg) || thetaDeg.length !== phiDeg.length) {
+    throw new Error('thetaDeg and phiDeg must be arrays of the same length');
+  }
+  const n = thetaDeg.length;
+  if (n < 3) {
+    throw new Error('At least three precision pairs are required');
+  }
+  const w = weights === undefined ? new Array(n).fill(1) : weights;
+  if (!Array.isArray(w) || w.length !== n || w.some((wi) => !(wi >= 0))) {
+    throw new Error('weights must be an array of non‑negative numbers, one per pair');
+  }
+  const theta = thetaDeg.map(deg2rad);
+  const phi = phiDeg.map(deg2rad);
+  // Build the rows of the design equations
+  const A = [];
+  const b = [];
+  for (let i = 0; i < n; i++) {
+    A.push([1, Math.cos(phi[i]), -Math.cos(theta[i])]);
+    b.push(Math.cos(phi[i] - theta[i]));
+  }
+  // Accumulate the normal equations AᵀWA z = AᵀWb
+  const N = [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ];
+  const rhs = [0, 0, 0];
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < 3; j++) {
+      rhs[j] += w[i] * A[i][j] * b[i];
+      for (let k = 0; k < 3; k++) {
+        N[j][k] += w[i] * A[i][j] * A[i][k];
+      }
+    }
+  }
+  const [z1, z2, z3] = solve3x3(N, rhs);
+  const residuals = A.map((row, i) => row[0] * z1 + row[1] * z2 + row[2] * z3 - b[i]);
+  // Recover the link ratios exactly as in the three‑position case
+  const r2Scaled = 1 / z2;
+  const r4Scaled = 1 / z3;
+  const r3Squared = 1 + r2Scaled * r2Scaled + r4Scaled * r4Scaled - 2 * r2Scaled * r4Scaled * z1;
+  const r3Scaled = Math.sqrt(Math.max(0, r3Squared));
+  // Output‑angle error of the synthesized linkage on each assembly mode
+  let best = null;
+  for (const mode of ['open', 'closed']) {
+    const errors = theta.map((th, i) =>
+      normalizeAngle(solveFourBarPhi(1, r2Scaled, r3Scaled, r4Scaled, th, undefined, mode) - phi[i])
+    );
+    let sum = 0;
+    let wSum = 0;
+    for (let i = 0; i < n; i++) {
+      sum += w[i] * errors[i] * errors[i];
+      wSum += w[i];
+    }
+    const rms = Math.sqrt(sum / wSum);
+    if (best === null || rms < best.rms || Number.isNaN(best.rms)) {
+      best = { mode, errors, rms };
+    }
+  }
+  return {
+    r1: r1,
+    r2: r2Scaled * r1,
+    r3: r3Scaled * r1,
+    r4: r4Scaled * r1,
+    residuals,
+    phiErrorDeg: best.errors.map((e) => (e * 180) / Math.PI),
+    rmsErrorDeg: (best.rms * 180) / Math.PI,
+    mode: best.mode,
+    r3Squared: r3Squared * r1 * r1,
+    conditionNumber: conditionNumber3x3(N),
+    diagnostics: lengthDiagnostics(theta, phi, w, [z1, z2, z3], r3Squared * r1 * r1, r1),
+  };
+}
+
+/**
+ * Check a four‑bar synthesis from (θᵢ, φᵢ) pairs and explain why it fails
+ * instead of throwing or clamping.  Three pairs go through
+ * threePositionSynthesis, more through leastSquaresSynthesis.  Each
+ * diagnostic is an object
+ *
+ *   { code, severity: 'error' | 'warning', message, rows, suggestion, ...details }
+ *
+ * where rows lists the zero‑based indices of the pairs concerned (empty
+ * when no pair is singled out).  The codes are
+ *
+ *   'ground-length'     r₁ is not a positive number
+ *   'singular'          the design equations have no unique solution; conditionNumber
+ *   'ill-conditioned'   warning: nearly singular equations; conditionNumber
+ *   'negative-length'   r₂ or r₄ (link: 'r2' or 'r4') is not positive; value; rows
+ *                       are the pairs whose angles change it the most
+ *   'infinite-length'   r₂ or r₄ is infinite; link; rows as for 'negative-length'
+ *   'no-real-coupler'   r₃² ≤ 0, so r₃ does not exist; r3Squared; rows are the
+ *                       pairs the fit misses the most
+ *   'not-assemblable'   the linkage found cannot be assembled at the θᵢ of rows on
+ *                       either branch (possible for least‑squares fits)
+ *
+ * @param {number[]} thetaDeg  input crank angles θᵢ in degrees
+ * @param {number[]} phiDeg    output rocker angles φᵢ in degrees
+ * @param {number}   r1        ground link length
+ * @param {number[]} [weights] weights of a least‑squares fit
+ * @returns {{valid: boolean, result: object|null, conditionNumber: number, diagnostics: object[]}}
+ *          valid when no diagnostic is an error; result is the synthesis result whenever the
+ *          equations could be solved
+ */
+function synthesisDiagnostics(thetaDeg, phiDeg, r1 = 1, weights) {
+  const report = (diagnostics, result = null, conditionNumber = NaN) => ({
+    valid: !diagnostics.some((d) => d.severity === 'error'),
+    result,
+    conditionNumber,
+    diagnostics,
+  });
+  if (!(r1 > 0)) {
+    return report([
+      { code: 'ground-length', severity: 'error', message: 'The ground length r₁ must be a positive number.', rows: [], suggestion: 'Enter r₁ or move O₄.' },
+    ]);
+  }
+  const n = thetaDeg.length;
+  const cosTheta = thetaDeg.map((t) => Math.cos(deg2rad(t)));
+  const cosPhi = phiDeg.map((p) => Math.cos(deg2rad(p)));
+  // The system solved: the design equations themselves, or their normal equations
+  const rows = cosTheta.map((c, i) => [1, cosPhi[i], -c]);
+  const w = weights || new Array(n).fill(1);
+  const M =
+    n === 3
+      ? rows
+      : [0, 1, 2].map((j) => [0, 1, 2].map((k) => rows.reduce((sum, row, i) => sum + w[i] * row[j] * row[k], 0)));
+  if (Math.abs(det3x3(M)) < 1e-12) {
+    const all = thetaDeg.map((_, i) => i);
+    const same = (values) => Math.max(...values) - Math.min(...values) < 1e-9;
+    const duplicates = all.filter((i) => all.some((j) => j !== i && Math.abs(cosTheta[i] - cosTheta[j]) < 1e-9 && Math.abs(cosPhi[i] - cosPhi[j]) < 1e-9));
+    let detail;
+    let suggestion;
+    let involved = all;
+    if (same(cosPhi)) {
+      detail = 'all rocker angles φᵢ have the same cosine, so r₂ is undetermined';
+      suggestion = 'Choose rocker angles φᵢ that are neither equal nor mirror images about the ground line.';
+    } else if (same(cosTheta)) {
+      detail = 'all crank angles θᵢ have the same cosine, so r₄ is undetermined';
+      suggestion = 'Choose crank angles θᵢ that are neither equal nor mirror images about the ground line.';
+    } else if (duplicates.length) {
+      involved = duplicates;
+      detail = `pairs ${duplicates.map((i) => i + 1).join(', ')} give the same equation (equal or mirrored angles)`;
+      suggestion = 'Make every pair a distinct position: change θ or φ of one of these pairs.';
+    } else {
+      detail = 'the equations are linearly dependent';
+      suggestion = 'Spread the precision points further apart or change one of them.';
+    }
+    const conditionNumber = conditionNumber3x3(M);
+    return report(
+      [
+        {
+          code: 'singular',
+          severity: 'error',
+          message: `The design equations are singular (condition number ${conditionNumber === Infinity ? '∞' : conditionNumber.toExponential(1)}): ${detail}.`,
+          rows: involved,
+          suggestion,
+          conditionNumber,
+        },
+      ],
+      null,
+      conditionNumber
+    );
+  }
+  const result = n === 3 ? threePositionSynthesis(thetaDeg, phiDeg, r1) : leastSquaresSynthesis(thetaDeg, phiDeg, r1, weights);
+  const diagnostics = [];
+  if (result.conditionNumber > 1e6) {
+    diagnostics.push({
+      code: 'ill-conditioned',
+      severity: 'warning',
+      message: `The design equations are nearly singular (condition number ${result.conditionNumber.toExponential(1)}): small changes of the angles change the link lengths a lot.`,
+      rows: thetaDeg.map((_, i) => i),
+      suggestion: 'Spread the precision points further apart.',
+      conditionNumber: result.conditionNumber,
+    });
+  }
+  diagnostics.push(...result.diagnostics);
+  if (!diagnostics.some((d) => d.severity === 'error')) {
+    const { r2, r3, r4 } = result;
+    const unreachable = thetaDeg
+      .map((t, i) => i)
+      .filter((i) => ['open', 'closed'].every((mode) => Number.isNaN(solveFourBarPhi(r1, r2, r3, r4, deg2rad(thetaDeg[i]), undefined, mode))));
+    if (unreachable.length) {
+      diagnostics.push({
+        code: 'not-assemblable',
+        severity: 'warning',
+        message: `The linkage found cannot be assembled at θ of pair${unreachable.length > 1 ? 's' : ''} ${unreachable.map((i) => i + 1).join(', ')}.`,
+        rows: unreachable,
+        suggestion: 'Move these pairs closer to the others or lower their weights.',
+      });
+    }
+  }
+  return report(diagnostics, result, result.conditionNumber);
+}
+
+/* -------------------------------------------------------------------------
+ * Function generation for a target relation y = f(x)
+ *
+ * The input range [x₀, x_f] is mapped linearly onto the crank range
+ * [θ₀, θ_f] and the output range [f(x₀), f(x_f)] onto the rocker range
+ * [φ₀, φ_f].  Precision points are placed at the Chebyshev spacing, which
+ * approximately minimises the largest structural error (the difference
+ * between the generated and the ideal φ) over the whole range.
+ */
+
+/**
+ * Chebyshev spacing of n precision points over [x0, xf]:
+ * xⱼ = (x0 + xf)/2 − (xf − x0)/2 · cos((2j − 1)π / 2n),  j = 1…n.
+ *
+ * @param {number} x0  start of the range
+ * @param {number} xf  end of the range
+ * @param {number} n   number of precision points
+ * @returns {number[]} the n precision points in increasing order from x0
+ */
+function chebyshevSpacing(x0, xf, n = 3) {
+  const xs = [];
+  for (let j = 1; j <= n; j++) {
+    xs.push((x0 + xf) / 2 - ((xf - x0) / 2) * Math.cos(((2 * j - 1) * Math.PI) / (2 * n)));
+  }
+  return xs;
+}
+
+/**
+ * Turn a lookup table of [x, y] pairs into a function by linear
+ * interpolation (constant extrapolation outside the table).  The table is
+ * sorted by x first.
+ *
+ * @param {number[][]} table  array of [x, y] pairs
+ * @returns {function(number): number}
+ */
+function tableFunction(table) {
+  if (!Array.isArray(table) || table.length < 2) {
+    throw new Error('A lookup table needs at least two [x, y] pairs');
+  }
+  const pts = table.map(([x, y]) => [x, y]).sort((p, q) => p[0] - q[0]);
+  return function (x) {
+    if (x <= pts[0][0]) return pts[0][1];
+    for (let i = 1; i < pts.length; i++) {
+      if (x <= pts[i][0]) {
+        const [xa, ya] = pts[i - 1];
+        const [xb, yb] = pts[i];
+        return ya + ((x - xa) / (xb - xa)) * (yb - ya);
+      }
+    }
+    return pts[pts.length - 1][1];
+  };
+}
+
+// Helper: build the linear x → θ and y → φ maps (degrees) of a function generator
+function functionAngleMap(f, xRange, thetaRangeDeg, phiRangeDeg) {
+  const fn = typeof f === 'function' ? f : tableFunction(f);
+  const [x0, xf] = xRange;
+  const [theta0, thetaf] = thetaRangeDeg;
+  const [phi0, phif] = phiRangeDeg;
+  const y0 = fn(x0);
+  const yf = fn(xf);
+  if (!Number.isFinite(y0) || !Number.isFinite(yf) || y0 === yf || x0 === xf) {
+    throw new Error('f must be finite and take different values at the ends of the x range');
+  }
+  return {
+    thetaDeg: (x) => theta0 + ((x - x0) / (xf - x0)) * (thetaf - theta0),
+    phiDeg: (x) => phi0 + ((fn(x) - y0) / (yf - y0)) * (phif - phi0),
+  };
+}
+
+/**
+ * Evaluate the structural error of a function generator over its whole
+ * input range.  For each sample x the generated φ is found with
+ * solveFourBarPhi on the given assembly mode and compared to the ideal φ
+ * of the linear angle map.  Local extremes of the error curve (including
+ * both ends of the range) are returned for annotation.
+ *
+ * @param {function|number[][]} f  target function y = f(x) or lookup table of [x, y] pairs
+ * @param {number[]} xRange         [x₀, x_f]
+ * @param {number[]} thetaRangeDeg  [θ₀, θ_f] in degrees
+ * @param {number[]} phiRangeDeg    [φ₀, φ_f] in degrees
+ * @param {{r1: number, r2: number, r3: number, r4: number}} linkage  link lengths
+ * @param {string} mode             assembly mode ('open' or 'closed')
+ * @param {number} samples          number of intervals across the range
+ * @returns {{samples: Array<{x: number, thetaDeg: number, phiIdealDeg: number, phiDeg: number, errorDeg: number}>,
+ *            maxAbsErrorDeg: number, extremes: Array<{x: number, thetaDeg: number, errorDeg: number}>}}
+ */
+function structuralError(f, xRange, thetaRangeDeg, phiRangeDeg, linkage, mode, samples = 100) {
+  const map = functionAngleMap(f, xRange, thetaRangeDeg, phiRangeDeg);
+  const { r1, r2, r3, r4 } = linkage;
+  const [x0, xf] = xRange;
+  const points = [];
+  for (let i = 0; i <= samples; i++) {
+    const x = x0 + (i / samples) * (xf - x0);
+    const thetaDeg = map.thetaDeg(x);
+    const phiIdealDeg = map.phiDeg(x);
+    const phi = solveFourBarPhi(r1, r2, r3, r4, deg2rad(thetaDeg), undefined, mode);
+    // Bring the generated angle onto the same revolution as the ideal one
+    const errorDeg = (normalizeAngle(phi - deg2rad(phiIdealDeg)) * 180) / Math.PI;
+    points.push({ x, thetaDeg, phiIdealDeg, phiDeg: phiIdealDeg + errorDeg, errorDeg });
+  }
+  let maxAbsErrorDeg = 0;
+  const extremes = [];
+  points.forEach((p, i) => {
+    if (Number.isNaN(p.errorDeg)) {
+      maxAbsErrorDeg = NaN;
+      return;
+    }
+    maxAbsErrorDeg = Math.max(maxAbsErrorDeg, Math.abs(p.errorDeg));
+    const prev = points[i - 1];
+    const next = points[i + 1];
+    const isEnd = !prev || !next || Number.isNaN(prev.errorDeg) || Number.isNaN(next.errorDeg);
+    const isPeak = !isEnd && (p.errorDeg - prev.errorDeg) * (next.errorDeg - p.errorDeg) < 0;
+    if (isEnd || isPeak) {
+      extremes.push({ x: p.x, thetaDeg: p.thetaDeg, errorDeg: p.errorDeg });
+    }
+  });
+  return { samples: points, maxAbsErrorDeg, extremes };
+}
+
+/**
+ * Synthesize a function generator for y = f(x) over [x₀, x_f].  Three
+ * Chebyshev‑spaced precision points are mapped to (θᵢ, φᵢ), the linkage
+ * is found with threePositionSynthesis, and the structural error is
+ * evaluated across the whole range.  Unless options.mode is given, the
+ * assembly mode that reproduces the first precision point is used.
+ *
+ * @param {function|number[][]} f  target function y = f(x) or lookup table of [x, y] pairs
+ * @param {number[]} xRange         [x₀, x_f]
+ * @param {number[]} thetaRangeDeg  [θ₀, θ_f] in degrees
+ * @param {number[]} phiRangeDeg    [φ₀, φ_f] in degrees
+ * @param {number}   r1             Ground link length
+ * @param {{mode?: string, samples?: number}} options
+ * @returns {{r1: number, r2: number, r3: number, r4: number, mode: string,
+ *            precision: {x: number[], thetaDeg: number[], phiDeg: number[]},
+ *            error: object}}  link lengths, precision points and the structuralError report
+ */
+function functionGeneratorSynthesis(f, xRange, thetaRangeDeg, phiRangeDeg, r1 = 1, options = {}) {
+  const map = functionAngleMap(f, xRange, thetaRangeDeg, phiRangeDeg);
+  const x = chebyshevSpacing(xRange[0], xRange[1], 3);
+  const thetaDeg = x.map(map.thetaDeg);
+  const phiDeg = x.map(map.phiDeg);
+  const linkage = threePositionSynthesis(thetaDeg, phiDeg, r1);
+  let mode = options.mode;
+  if (!mode) {
+    const { r2, r3, r4 } = linkage;
+    const miss = (m) =>
+      Math.abs(normalizeAngle(solveFourBarPhi(r1, r2, r3, r4, deg2rad(thetaDeg[0]), undefined, m) - deg2rad(phiDeg[0])));
+    const missOpen = miss('open');
+    const missClosed = miss('closed');
+    mode = missOpen < missClosed || Number.isNaN(missClosed) ? 'open' : 'closed';
+  }
+  const error = structuralError(f, xRange, thetaRangeDeg, phiRangeDeg, linkage, mode, options.samples);
+  return { ...linkage, mode, precision: { x, thetaDeg, phiDeg }, error };
+}
+
 // Export CommonJS interface when in a Node.js environment
 if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
   module.exports = {
     threePositionSynthesis,
+    synthesisDiagnostics,
+    conditionNumber3x3,
+    leastSquaresSynthesis,
+    chebyshevSpacing,
+    tableFunction,
+    structuralError,
+    functionGeneratorSynthesis,
+    grashofClassification,
+    transmissionAngle,
+    analyzeLinkage,
+    validateBranchAndOrder,
+    freeReferenceSynthesis,
+    crankRockerSynthesis,
+    motionGenerationSynthesis,
+    sixBarSynthesis,
+    computeSixBarPositions,
+    sweepSixBar,
+    fourBarKinematics,
+    sampleKinematics,
+    phiSensitivities,
+    toleranceAnalysis,
+    groundFrame,
+    toGlobal,
+    toGlobalPositions,
+    linkFrame,
+    invertPositions,
+    inversionAngles,
+    sweepInversion,
+    sliderCrankSynthesis,
+    solveSliderCrank,
+    computeSliderCrankPositions,
+    sliderCrankMotion,
+    validateSliderCrank,
+    couplerPointPosition,
+    couplerCurve,
+    sweepFourBar,
+    phiThetaTable,
+    phiThetaTableCSV,
+    sliderCrankTable,
+    sliderCrankTableCSV,
+    sixBarTable,
+    sixBarTableCSV,
+    staticForceAnalysis,
+    sampleStaticForces,
+    createSvgContext,
+    linkageDXF,
+    encodeGIF,
+    createZip,
+    crc32,
+    createView,
+    renderGrid,
+    renderLinkage,
+    renderPivots,
+    renderArrow,
+    renderSixBar,
+    renderInversionPaths,
+    renderPrecisionPositions,
+    renderCouplerCurve,
+    renderMechanism,
+    renderPhiThetaPlot,
+    parseDesign,
+    designToHash,
+    designFromHash,
+    solveFourBarPhi,
+    computeFourBarPositions,
+    normalizeAngle,
     // Expose the low‑level solver for unit testing
     solve3x3,
   };
@@ -169,7 +753,8 @@ function normalizeAngle(angle) {
 /**
  * Compute joint positions of the four‑bar mechanism for a given input angle.
  * Returns an object with the positions {O2, A, B, O4}, each as {x, y}, and
- * the corresponding rocker angle phi.
+ * the corresponding rocker angle phi.  When a coupler point is given, its
+ * position P is returned as well.
  *
  * @param {number} r1  ground link length
  * @param {number} r2  input link length
@@ -177,8 +762,12 @@ function normalizeAngle(angle) {
  * @param {number} r4  output link length
  * @param {number} theta  input angle in radians
  * @param {number|undefined} prevPhi  optional previous phi angle for continuity
+ * @param {string} mode  assembly mode passed on to solveFourBarPhi
+ * @param {{distance: number, angle: number}} [couplerPoint]  optional coupler point (see couplerPointPosition)
+ * @param {{O2: {x: number, y: number}, angle: number}} [frame]  optional ground frame (see groundFrame);
+ *        positions are then returned in global coordinates, while theta and phi stay relative to the ground line
  */
-function computeFourBarPositions(r1, r2, r3, r4, theta, prevPhi, mode) {
+function computeFourBarPositions(r1, r2, r3, r4, theta, prevPhi, mode, couplerPoint, frame) {
   const O2 = { x: 0, y: 0 };
   const O4 = { x: r1, y: 0 };
   // Input joint position
@@ -187,409 +776,5724 @@ function computeFourBarPositions(r1, r2, r3, r4, theta, prevPhi, mode) {
   const phi = solveFourBarPhi(r1, r2, r3, r4, theta, prevPhi, mode);
   // Output joint position
   const B = { x: O4.x + r4 * Math.cos(phi), y: O4.y + r4 * Math.sin(phi) };
-  return { O2, A, B, O4, phi };
+  const pos = { O2, A, B, O4, phi };
+  if (couplerPoint) pos.P = couplerPointPosition(A, B, couplerPoint.distance, couplerPoint.angle);
+  return frame ? toGlobalPositions(pos, frame) : pos;
 }
 
-// Expose functions to the browser when loaded via <script>
-if (typeof window !== 'undefined') {
-  window.threePositionSynthesis = threePositionSynthesis;
-  window.solveFourBarPhi = solveFourBarPhi;
-  window.computeFourBarPositions = computeFourBarPositions;
+/* -------------------------------------------------------------------------
+ * Ground frame
+ *
+ * The analysis works relative to the ground line: O2 at the origin, O4 at
+ * (r1, 0), and θ and φ measured counter‑clockwise from O2→O4.  A ground
+ * frame {O2, angle} places the linkage in a machine's global coordinates:
+ * the ground line starts at the global point O2 and makes the given angle
+ * (radians) with the global x‑axis.  Its optional flag globalAngles marks
+ * that crank and rocker angles are entered and reported from the global
+ * x‑axis; they then exceed the angles from the ground line by frame.angle.
+ */
 
-  /**
-   * Set up the user interface for the three‑position synthesis web application.
-   * This function runs in the browser after DOM content is loaded and
-   * attaches event handlers to the input fields, buttons, slider, and
-   * canvases.  It draws the initial design positions, enables panning
-   * and zooming, animates the mechanism, and plots the φ–θ curve for
-   * the current linkage and assembly mode.  All variables local to
-   * the interface are encapsulated within this function to avoid
-   * polluting the global namespace.
-   */
-  function setupUI() {
-    // Helper conversions
-    const rad2deg = (rad) => (rad * 180) / Math.PI;
+/**
+ * Ground frame through two ground pivots given in global coordinates.
+ *
+ * @param {{x: number, y: number}} O2  input pivot
+ * @param {{x: number, y: number}} O4  output pivot
+ * @param {boolean} globalAngles  whether angles are measured from the global x‑axis
+ * @returns {{O2: object, O4: object, r1: number, angle: number, globalAngles: boolean}}
+ */
+function groundFrame(O2, O4, globalAngles = false) {
+  const dx = O4.x - O2.x;
+  const dy = O4.y - O2.y;
+  const r1 = Math.hypot(dx, dy);
+  if (!(r1 > 0)) throw new Error('The ground pivots O2 and O4 must be distinct');
+  return { O2: { x: O2.x, y: O2.y }, O4: { x: O4.x, y: O4.y }, r1, angle: Math.atan2(dy, dx), globalAngles };
+}
 
-    // DOM elements
-    const r1Input = document.getElementById('r1');
-    const thetaInputs = [
-      document.getElementById('theta1'),
-      document.getElementById('theta2'),
-      document.getElementById('theta3'),
-    ];
-    const phiInputs = [
-      document.getElementById('phi1'),
-      document.getElementById('phi2'),
-      document.getElementById('phi3'),
-    ];
-    const synthesizeBtn = document.getElementById('synthesizeBtn');
-    const canvas = document.getElementById('fourbarCanvas');
-    const ctx = canvas.getContext('2d');
-    const plotCanvas = document.getElementById('plotCanvas');
-    const plotCtx = plotCanvas ? plotCanvas.getContext('2d') : null;
-    const slider = document.getElementById('slider');
-    const playPauseBtn = document.getElementById('playPauseBtn');
-    const modeOpenRadio = document.getElementById('modeOpen');
-    const modeClosedRadio = document.getElementById('modeClosed');
-    const resultsDiv = document.getElementById('results');
+/**
+ * Transform a point from ground‑line coordinates to global coordinates.
+ *
+ * @param {{x: number, y: number}} point  point relative to O2 and the ground line
+ * @param {{O2: {x: number, y: number}, angle: number}} frame  ground frame
+ */
+function toGlobal(point, frame) {
+  const c = Math.cos(frame.angle);
+  const s = Math.sin(frame.angle);
+  return { x: frame.O2.x + c * point.x - s * point.y, y: frame.O2.y + s * point.x + c * point.y };
+}
 
-    // State variables
-    let r1, r2, r3, r4;
-    let thetaVals = [];
-    let phiVals = [];
-    let prevPhi;
-    // Default assembly mode is set to 'closed'
-    let assemblyMode = 'closed';
-    let playing = false;
-    let animationId = null;
-    // View state for panning/zooming
-    let viewScale = 1;
-    let offsetX = 0;
-    let offsetY = 0;
-    let isDragging = false;
-    let lastMouseX = 0;
-    let lastMouseY = 0;
+/**
+ * Transform the joint positions of computeFourBarPositions (O2, A, B, O4
+ * and P if present, and C, D, O6 of a six‑bar) to global coordinates.
+ * Other fields such as phi are copied unchanged.
+ */
+function toGlobalPositions(pos, frame) {
+  const result = { ...pos };
+  ['O2', 'A', 'B', 'O4', 'P', 'C', 'D', 'O6'].forEach((key) => {
+    if (pos[key]) result[key] = toGlobal(pos[key], frame);
+  });
+  return result;
+}
 
-    /**
-     * Draw a light gray grid and axes on the mechanism canvas.  The
-     * spacing of the grid lines scales with the current zoom level so
-     * that the density appears constant.  The axes are drawn through
-     * the centre of the canvas (adjusted by pan offsets).
-     */
-    function drawGrid() {
-      const w = canvas.width;
-      const h = canvas.height;
-      ctx.save();
-      ctx.clearRect(0, 0, w, h);
-      ctx.fillStyle = '#e0e0e0';
-      ctx.fillRect(0, 0, w, h);
-      const baseSpacing = 20;
-      const spacing = baseSpacing * viewScale;
-      ctx.strokeStyle = '#cccccc';
-      ctx.lineWidth = 1;
-      for (let x = offsetX % spacing; x <= w; x += spacing) {
-        ctx.beginPath();
-        ctx.moveTo(x, 0);
-        ctx.lineTo(x, h);
-        ctx.stroke();
-      }
-      for (let y = offsetY % spacing; y <= h; y += spacing) {
-        ctx.beginPath();
-        ctx.moveTo(0, y);
-        ctx.lineTo(w, y);
-        ctx.stroke();
-      }
-      // Axes
-      ctx.strokeStyle = '#888888';
-      ctx.beginPath();
-      ctx.moveTo(w / 2 + offsetX, 0);
-      ctx.lineTo(w / 2 + offsetX, h);
-      ctx.moveTo(0, h / 2 + offsetY);
-      ctx.lineTo(w, h / 2 + offsetY);
-      ctx.stroke();
-      ctx.restore();
-    }
+/* -------------------------------------------------------------------------
+ * Kinematic inversion
+ *
+ * The same chain of links can be run with any of them held fixed.  An
+ * inversion re‑expresses the joint positions of computeFourBarPositions in
+ * the frame of the fixed link – 'ground' (O2→O4, the usual view), 'crank'
+ * (O2→A), 'coupler' (A→B) or 'rocker' (O4→B) – so that this link stays put
+ * and the others, the ground link included, move around it.  The relative
+ * motion is described by the angles of the two links jointed to the fixed
+ * one, measured from it: θⱼₖ is the angle of link j from link k, so that
+ * θ₂₁ = θ and θ₄₁ = φ when the ground is fixed.
+ */
 
-    /**
-     * Convert a point in mechanism coordinates (origin at O2, x right, y up)
-     * to canvas pixel coordinates, accounting for pan, zoom and ground
-     * length scaling.
-     */
-    function worldToCanvas(pt) {
-      const margin = 40;
-      // Determine base scale such that 2*r1 fits the smaller dimension
-      const baseScale = (Math.min(canvas.width, canvas.height) - 2 * margin) / (2 * r1);
-      const scale = baseScale * viewScale;
-      const cx = canvas.width / 2 + offsetX;
-      const cy = canvas.height / 2 + offsetY;
-      return {
-        x: cx + pt.x * scale,
-        y: cy - pt.y * scale,
-      };
-    }
+// Joints [from, to] that give the direction of each link
+const INVERSION_LINKS = {
+  ground: ['O2', 'O4'],
+  crank: ['O2', 'A'],
+  coupler: ['A', 'B'],
+  rocker: ['O4', 'B'],
+};
 
-    /**
-     * Draw a single linkage configuration (r2, r3, r4) on the mechanism
-     * canvas.  The positions object must contain O2, A, B, O4.  The
-     * linkage is drawn in the specified colour.
-     */
-function drawLinkage(pos, colour = 'blue', drawLabels = false) {
-      const { O2, A, B, O4 } = pos;
-      const pO2 = worldToCanvas(O2);
-      const pA = worldToCanvas(A);
-      const pB = worldToCanvas(B);
-      const pO4 = worldToCanvas(O4);
-      ctx.strokeStyle = colour;
-      ctx.lineWidth = 2;
-      ctx.beginPath();
-      // Draw r2 (input link)
-      ctx.moveTo(pO2.x, pO2.y);
-      ctx.lineTo(pA.x, pA.y);
-      // Draw r3 (coupler)
-      ctx.lineTo(pB.x, pB.y);
-      // Draw r4 (output)
-      ctx.lineTo(pO4.x, pO4.y);
-      ctx.stroke();
-      // Draw ground link r1 separately (O2 to O4)
-      ctx.beginPath();
-      ctx.moveTo(pO2.x, pO2.y);
-      ctx.lineTo(pO4.x, pO4.y);
-      ctx.stroke();
-      // Optionally draw labels for each link near its midpoint
-      if (drawLabels) {
-        ctx.save();
-        ctx.fillStyle = colour;
-        // Increase font size for link length labels for better visibility
-        ctx.font = '16px Arial';
-        // Helper to draw label near a segment defined by world coordinates
-        function labelSegment(pt1, pt2, label) {
-          const p1 = worldToCanvas(pt1);
-          const p2 = worldToCanvas(pt2);
-          const midX = (p1.x + p2.x) / 2;
-          const midY = (p1.y + p2.y) / 2;
-          const vx = p2.x - p1.x;
-          const vy = p2.y - p1.y;
-          const length = Math.hypot(vx, vy);
-          if (length === 0) {
-            ctx.fillText(label, midX, midY);
-            return;
-          }
-          // Perpendicular unit vector (rotate by 90 degrees)
-          let offX = -vy / length;
-          let offY = vx / length;
-          // Scale offset for label placement (fixed pixel distance)
-          const offsetPixels = 15;
-          const lx = midX + offX * offsetPixels;
-          const ly = midY + offY * offsetPixels;
-          ctx.fillText(label, lx - ctx.measureText(label).width / 2, ly);
-        }
-        // r2: between O2 and A
-        labelSegment(pos.O2, pos.A, 'r₂');
-        // r3: between A and B
-        labelSegment(pos.A, pos.B, 'r₃');
-        // r4: between B and O4
-        labelSegment(pos.B, pos.O4, 'r₄');
-        // r1: ground link between O2 and O4
-        labelSegment(pos.O2, pos.O4, 'r₁');
-        ctx.restore();
-      }
-    }
+// Links jointed to each link as [input, output], and the symbols of their relative angles
+const INVERSION_ANGLES = {
+  ground: { links: ['crank', 'rocker'], symbols: ['θ', 'φ'] },
+  crank: { links: ['ground', 'coupler'], symbols: ['θ₁₂', 'θ₃₂'] },
+  coupler: { links: ['crank', 'rocker'], symbols: ['θ₂₃', 'θ₄₃'] },
+  rocker: { links: ['coupler', 'ground'], symbols: ['θ₃₄', 'θ₁₄'] },
+};
 
-    /**
-     * Draw the design linkage at each of the three specified precision
-     * positions using distinct colours.  Also annotate each position
-     * with its θ and φ values near the coupler joint for clarity.
-     */
-    function drawSpecifiedPositions() {
-      const colours = ['red', 'green', 'purple'];
-      for (let i = 0; i < 3; i++) {
-        const theta = thetaVals[i];
-        const phi = phiVals[i];
-        const O2 = { x: 0, y: 0 };
-        const O4p = { x: r1, y: 0 };
-        const A = { x: r2 * Math.cos(theta), y: r2 * Math.sin(theta) };
-        const B = { x: O4p.x + r4 * Math.cos(phi), y: O4p.y + r4 * Math.sin(phi) };
-        drawLinkage({ O2: O2, A: A, B: B, O4: O4p }, colours[i]);
-        // Draw symbolic labels near the input and output links
-        const pA = worldToCanvas(A);
-        const pB = worldToCanvas(B);
-        ctx.fillStyle = colours[i];
-        ctx.font = '12px Arial';
-        // Place θᵢ near the input joint (slightly up and left)
-        ctx.fillText(`θ${i + 1}`, pA.x - 20, pA.y - 5);
-        // Place φᵢ near the output joint (slightly up and right)
-        ctx.fillText(`φ${i + 1}`, pB.x + 5, pB.y - 5);
-      }
-    }
+/**
+ * Frame {O2, angle} of one link in a configuration: its first joint and
+ * the direction to its second joint, in the coordinates of pos.  The
+ * result can be used wherever a ground frame is expected (see toGlobal).
+ *
+ * @param {object} pos  joint positions {O2, A, B, O4}
+ * @param {string} link  'ground', 'crank', 'coupler' or 'rocker'
+ */
+function linkFrame(pos, link) {
+  const [from, to] = INVERSION_LINKS[link];
+  return { O2: pos[from], angle: Math.atan2(pos[to].y - pos[from].y, pos[to].x - pos[from].x) };
+}
 
-    /**
-     * Map a slider value (0–1) to a θ value between θ1→θ2→θ3.  A
-     * linear interpolation is used across the two segments, with the first
-     * half of the slider covering θ₁→θ₂ and the second half covering
-     * θ₂→θ₃.
-     */
-    function thetaFromSlider(t) {
-      if (t <= 0.5) {
-        const local = t / 0.5;
-        return thetaVals[0] + local * (thetaVals[1] - thetaVals[0]);
-      } else {
-        const local = (t - 0.5) / 0.5;
-        return thetaVals[1] + local * (thetaVals[2] - thetaVals[1]);
-      }
-    }
+/**
+ * Re‑express a configuration (O2, A, B, O4 and P if present) in the frame
+ * of one link, placed at the given frame: the first joint of the link goes
+ * to frame.O2 and the link points along frame.angle.  Other fields such
+ * as phi are copied unchanged.
+ *
+ * @param {object} pos  joint positions from computeFourBarPositions
+ * @param {string} link  fixed link: 'ground', 'crank', 'coupler' or 'rocker'
+ * @param {{O2: {x: number, y: number}, angle: number}} [frame]  placement of the fixed link
+ *        (default: first joint at the origin, link along the x‑axis)
+ */
+function invertPositions(pos, link, frame = { O2: { x: 0, y: 0 }, angle: 0 }) {
+  const own = linkFrame(pos, link);
+  const c = Math.cos(own.angle);
+  const s = Math.sin(own.angle);
+  const result = { ...pos };
+  ['O2', 'A', 'B', 'O4', 'P'].forEach((key) => {
+    if (!pos[key]) return;
+    const dx = pos[key].x - own.O2.x;
+    const dy = pos[key].y - own.O2.y;
+    result[key] = toGlobal({ x: c * dx + s * dy, y: -s * dx + c * dy }, frame);
+  });
+  return result;
+}
 
-    /**
-     * Animation loop callback.  Computes the current θ from the slider,
-     * solves the mechanism for φ using the current assembly mode and
-     * previous φ for continuity, draws the grid, the mechanism and the
-     * design positions, and advances the slider if playing.
-     */
-    function animate() {
-      const tVal = parseFloat(slider.value);
-      const theta = thetaFromSlider(tVal);
-      const pos = computeFourBarPositions(r1, r2, r3, r4, theta, prevPhi, assemblyMode);
-      prevPhi = pos.phi;
-      drawGrid();
-      // Draw the mechanism with link labels
-      drawLinkage(pos, 'blue', true);
-      drawSpecifiedPositions();
-      // Draw φ–θ plot on the right, indicating the current (θ, φ)
-      if (plotCtx) drawPhiThetaPlot(theta, pos.phi);
-      if (playing) {
-        let next = tVal + 0.002;
-        if (next > 1) next = 0;
-        slider.value = next.toFixed(3);
-        animationId = requestAnimationFrame(animate);
-      }
-    }
+/**
+ * Angles of the two links jointed to a fixed link, measured from it, in
+ * the range [–π, π]: the input and output of the inversion (θ and φ when
+ * the ground is fixed).
+ *
+ * @returns {{input: number, output: number, symbols: string[]}}  symbols names the two angles
+ */
+function inversionAngles(pos, link) {
+  const base = linkFrame(pos, link).angle;
+  const { links, symbols } = INVERSION_ANGLES[link];
+  const [input, output] = links.map((other) => normalizeAngle(linkFrame(pos, other).angle - base));
+  return { input, output, symbols };
+}
 
-    /**
-     * Compute and draw the φ–θ relationship for the current linkage and
-     * assembly mode on the secondary plot canvas.  The θ range is set
-     * from θ₁ to θ₃, and the specified precision points are marked on
-     * the plot.  The axes are scaled to the min/max θ and φ values.
-     */
-    function drawPhiThetaPlot(currentTheta, currentPhi) {
-      const ctxp = plotCtx;
-      const w = plotCanvas.width;
-      const h = plotCanvas.height;
-      const margin = 40;
-      ctxp.clearRect(0, 0, w, h);
-      ctxp.fillStyle = '#ffffff';
-      ctxp.fillRect(0, 0, w, h);
-      ctxp.strokeStyle = '#333333';
-      ctxp.lineWidth = 1;
-      // Determine θ and φ ranges
-      const thetaMin = Math.min(...thetaVals);
-      const thetaMax = Math.max(...thetaVals);
-      // Compute φ values for a dense set of θ
-      const samples = 100;
-      let phiComputed = [];
-      for (let i = 0; i <= samples; i++) {
-        const t = i / samples;
-        const theta = thetaMin + t * (thetaMax - thetaMin);
-        const pos = computeFourBarPositions(r1, r2, r3, r4, theta, undefined, assemblyMode);
-        phiComputed.push(pos.phi);
-      }
-      const phiMin = Math.min(...phiComputed.concat(phiVals));
-      const phiMax = Math.max(...phiComputed.concat(phiVals));
-      // Draw axes
-      ctxp.beginPath();
-      // X axis (θ)
-      ctxp.moveTo(margin, h - margin);
-      ctxp.lineTo(w - margin, h - margin);
-      // Y axis (φ)
-      ctxp.moveTo(margin, margin);
-      ctxp.lineTo(margin, h - margin);
-      ctxp.stroke();
-      // Axis labels
-      ctxp.font = '12px Arial';
-      ctxp.fillStyle = '#000000';
-      ctxp.fillText('θ (rad)', w - margin - 30, h - margin + 20);
-      ctxp.save();
-      ctxp.translate(margin - 20, margin + (h - 2 * margin) / 2);
-      ctxp.rotate(-Math.PI / 2);
-      ctxp.fillText('φ (rad)', 0, 0);
-      ctxp.restore();
-      // Plot computed φ–θ curve
-      ctxp.strokeStyle = '#0077cc';
-      ctxp.lineWidth = 2;
-      ctxp.beginPath();
-      for (let i = 0; i <= samples; i++) {
-        const theta = thetaMin + (i / samples) * (thetaMax - thetaMin);
-        const phi = phiComputed[i];
-        const x = margin + ((theta - thetaMin) / (thetaMax - thetaMin)) * (w - 2 * margin);
-        const y = margin + ((phiMax - phi) / (phiMax - phiMin)) * (h - 2 * margin);
-        if (i === 0) ctxp.moveTo(x, y);
-        else ctxp.lineTo(x, y);
-      }
-      ctxp.stroke();
-      // Plot specified precision points
-      ctxp.fillStyle = '#ff0000';
-      for (let i = 0; i < 3; i++) {
-        const theta = thetaVals[i];
-        const phi = phiVals[i];
-        const x = margin + ((theta - thetaMin) / (thetaMax - thetaMin)) * (w - 2 * margin);
-        const y = margin + ((phiMax - phi) / (phiMax - phiMin)) * (h - 2 * margin);
-        ctxp.beginPath();
-        ctxp.arc(x, y, 4, 0, 2 * Math.PI);
-        ctxp.fill();
-      }
-      // If current θ and φ are provided, draw a vertical line and a marker
-      if (typeof currentTheta === 'number' && typeof currentPhi === 'number') {
-        const cx = margin + ((currentTheta - thetaMin) / (thetaMax - thetaMin)) * (w - 2 * margin);
-        const cy = margin + ((phiMax - currentPhi) / (phiMax - phiMin)) * (h - 2 * margin);
-        ctxp.strokeStyle = '#888888';
-        ctxp.lineWidth = 1;
-        ctxp.beginPath();
-        ctxp.moveTo(cx, margin);
-        ctxp.lineTo(cx, h - margin);
-        ctxp.stroke();
-        ctxp.fillStyle = '#0000ff';
-        ctxp.beginPath();
-        ctxp.arc(cx, cy, 4, 0, 2 * Math.PI);
-        ctxp.fill();
-        // Annotate the current angles near the vertical line and marker
-        const thetaDeg = rad2deg(currentTheta).toFixed(1);
-        const phiDeg = rad2deg(currentPhi).toFixed(1);
-        ctxp.fillStyle = '#333333';
-        ctxp.font = '12px Arial';
-        // Place θ label below the x-axis (slightly offset if necessary)
-        ctxp.fillText(`θ=${thetaDeg}°`, cx - 20, h - margin + 15);
-        // Place φ label near the marker, slightly above and to the right
-        ctxp.fillText(`φ=${phiDeg}°`, cx + 5, cy - 5);
-      }
+/**
+ * Sample an inversion over a crank range on one assembly mode: the joint
+ * positions in the frame of the fixed link and the relative input and
+ * output angles, kept continuous from sample to sample.  The samples
+ * carry the relative angles as theta and phi, so the sweep can be passed
+ * to renderPhiThetaPlot as its curve.
+ *
+ * @param {{r1: number, r2: number, r3: number, r4: number, couplerPoint?: object}} linkage  link lengths
+ * @param {string} mode  assembly mode ('open' or 'closed')
+ * @param {string} link  fixed link
+ * @param {number} thetaStart  start of the crank range in radians
+ * @param {number} thetaEnd    end of the crank range in radians
+ * @param {number} samples     number of intervals (default 360)
+ * @param {{O2: object, angle: number}} [frame]  placement of the fixed link (see invertPositions)
+ * @returns {{link: string, symbols: string[], samples: Array<{crank: number, theta: number, phi: number, pos: object|null}>}}
+ *          theta and phi are NaN and pos is null where the linkage cannot be assembled
+ */
+function sweepInversion(linkage, mode, link, thetaStart, thetaEnd, samples = 360, frame) {
+  const { r1, r2, r3, r4, couplerPoint } = linkage;
+  const result = [];
+  let prev = null;
+  for (let i = 0; i <= samples; i++) {
+    const crank = thetaStart + ((thetaEnd - thetaStart) * i) / samples;
+    const pos = computeFourBarPositions(r1, r2, r3, r4, crank, undefined, mode, couplerPoint);
+    if (Number.isNaN(pos.phi)) {
+      prev = null;
+      result.push({ crank, theta: NaN, phi: NaN, pos: null });
+      continue;
     }
+    let { input, output } = inversionAngles(pos, link);
+    if (prev) {
+      input = prev.theta + normalizeAngle(input - prev.theta);
+      output = prev.phi + normalizeAngle(output - prev.phi);
+    }
+    prev = { crank, theta: input, phi: output, pos: invertPositions(pos, link, frame) };
+    result.push(prev);
+  }
+  return { link, symbols: INVERSION_ANGLES[link].symbols, samples: result };
+}
 
-    /**
-     * Perform synthesis based on current input field values, update
-     * link lengths, enable controls, draw the design positions and
-     * compute the φ–θ plot.  Called when the user clicks the
-     * “Synthesize” button or on initial page load.
+/* -------------------------------------------------------------------------
+ * Slider‑crank function generation
+ *
+ * With the crank pivot O2 at the origin and the slider pin B moving along
+ * the line y = e (the offset), B = (s, e) and A = r2(cos θ, sin θ).  The
+ * coupler length condition |B − A|² = r3² expands to
+ *
+ *   s² = 2r2 · s cos θ + 2r2e · sin θ + (r3² − r2² − e²)
+ *
+ * which is linear in K1 = 2r2, K2 = 2r2e and K3 = r3² − r2² − e².  Three
+ * (θᵢ, sᵢ) pairs give rows [sᵢ cos θᵢ, sin θᵢ, 1] K = sᵢ², solved like the
+ * four‑bar design equations with solve3x3.  For a given θ the slider lies
+ * at s = r2 cos θ ± √(r3² − (e − r2 sin θ)²); the + solution (slider beyond
+ * the crank) is called 'open' and the − solution 'closed'.
+ */
+
+/**
+ * Three‑position synthesis of a slider‑crank function generator.
+ *
+ * @param {number[]} thetaDeg  three crank angles θᵢ in degrees
+ * @param {number[]} s         three slider displacements sᵢ along the guide, measured from O2
+ * @returns {{r2: number, r3: number, e: number, branch: string|null, valid: boolean, diagnostics: object[]}}
+ *          crank length, coupler length, guide offset and the branch
+ *          ('open' or 'closed') all three positions lie on, or null if they
+ *          lie on different branches; valid is false, with a diagnostic in
+ *          the form of synthesisDiagnostics, when the crank length or r3²
+ *          is not positive
+ */
+function sliderCrankSynthesis(thetaDeg, s) {
+  if (!Array.isArray(thetaDeg) || thetaDeg.length !== 3 || !Array.isArray(s) || s.length !== 3) {
+    throw new Error('thetaDeg and s must be arrays of three numbers');
+  }
+  const theta = thetaDeg.map(deg2rad);
+  const A = theta.map((t, i) => [s[i] * Math.cos(t), Math.sin(t), 1]);
+  const b = s.map((si) => si * si);
+  const [K1, K2, K3] = solve3x3(A, b);
+  const r2 = K1 / 2;
+  const e = K2 / K1;
+  const r3Squared = K3 + r2 * r2 + e * e;
+  const r3 = Math.sqrt(Math.max(0, r3Squared));
+  // Branch of each position: the sign of s − r2 cos θ
+  const branches = new Set(theta.map((t, i) => (s[i] - r2 * Math.cos(t) >= 0 ? 'open' : 'closed')));
+  const diagnostics = [];
+  if (!(r2 > 0)) {
+    diagnostics.push({
+      code: 'negative-length',
+      severity: 'error',
+      message: `The crank length r₂ = ${r2.toFixed(4)} is not positive.`,
+      rows: [],
+      // θᵢ + 180° turns K1 and K2 around, i.e. r₂ → −r₂ with the same offset
+      suggestion:
+        r2 < 0
+          ? 'Add 180° to every crank angle θᵢ for the same mechanism with a positive crank, or change the slider displacements sᵢ.'
+          : 'Change the slider displacements sᵢ.',
+      link: 'r2',
+      value: r2,
+    });
+  }
+  // r₃² = |Bᵢ − Aᵢ|², so it is only undefined (zero crank, e = 0/0) or zero
+  if (!(r3Squared > 0)) {
+    diagnostics.push({
+      code: 'no-real-coupler',
+      severity: 'error',
+      message: Number.isFinite(r3Squared)
+        ? `r₃² = ${r3Squared.toFixed(4)} is not positive: the slider pin B falls on the crank pin A.`
+        : 'The coupler length r₃ is undefined: with a zero crank the guide offset e cannot be found.',
+      rows: [],
+      suggestion: Number.isFinite(r3Squared)
+        ? 'Change the slider displacements sᵢ so the slider stays clear of the crank.'
+        : 'Change the slider displacements sᵢ: the same distance |sᵢ| at every θᵢ gives a zero crank.',
+      r3Squared,
+    });
+  }
+  return { r2, r3, e, branch: branches.size === 1 ? [...branches][0] : null, valid: !diagnostics.length, diagnostics };
+}
+
+/**
+ * Slider displacement s of a slider‑crank at crank angle θ, or NaN when
+ * the coupler cannot reach the guide.
+ *
+ * @param {number} theta  crank angle in radians
+ * @param {string} mode   'open' (slider beyond the crank) or 'closed'
+ */
+function solveSliderCrank(r2, r3, e, theta, mode) {
+  const h = e - r2 * Math.sin(theta);
+  const disc = r3 * r3 - h * h;
+  if (disc < 0) return NaN;
+  const root = Math.sqrt(disc);
+  return r2 * Math.cos(theta) + (mode === 'closed' || mode === 'crossed' ? -root : root);
+}
+
+/**
+ * Joint positions {O2, A, B} of a slider‑crank and the displacement s.
+ * The guide runs along the ground line (the x‑axis, or the ground
+ * direction of an optional ground frame) at offset e.
+ *
+ * @param {number} theta  crank angle in radians from the guide direction
+ * @param {{O2: object, angle: number}} [frame]  optional ground frame (see groundFrame)
+ */
+function computeSliderCrankPositions(r2, r3, e, theta, mode, frame) {
+  const s = solveSliderCrank(r2, r3, e, theta, mode);
+  const pos = {
+    O2: { x: 0, y: 0 },
+    A: { x: r2 * Math.cos(theta), y: r2 * Math.sin(theta) },
+    B: { x: s, y: e },
+    s,
+  };
+  return frame ? toGlobalPositions(pos, frame) : pos;
+}
+
+/**
+ * Branch and order check of a slider‑crank design, in the form of
+ * validateBranchAndOrder: every position must lie on the same branch, the
+ * crank must keep turning the same way from θ₁ to θₙ, and the coupler must
+ * not pass a limit position (perpendicular to the guide) in between.
+ *
+ * @param {{r2: number, r3: number, e: number}} linkage
+ * @param {number[]} thetaDeg  crank angles θᵢ in degrees
+ * @param {number[]} s         slider displacements sᵢ
+ */
+function validateSliderCrank(linkage, thetaDeg, s, options = {}) {
+  const { r2, r3, e } = linkage;
+  const stepDeg = options.stepDeg || 0.25;
+  const messages = [];
+  const positiveLengths = r2 > 0 && r3 > 0;
+  if (!positiveLengths) messages.push('The crank and coupler lengths must be positive.');
+  // Branch of each precision position: the solution that reproduces sᵢ
+  const positions = thetaDeg.map((t, i) => {
+    let branch = null;
+    let error = NaN;
+    for (const mode of ['open', 'closed']) {
+      const err = Math.abs(solveSliderCrank(r2, r3, e, deg2rad(t), mode) - s[i]);
+      if (!(err >= error)) {
+        if (!Number.isNaN(err)) branch = mode;
+        error = err;
+      }
+    }
+    return { thetaDeg: t, s: s[i], branch, error };
+  });
+  positions.forEach((p, i) => {
+    if (p.branch === null) messages.push(`Position ${i + 1} cannot be assembled.`);
+  });
+  const branches = new Set(positions.map((p) => p.branch));
+  const branch = branches.size === 1 && !branches.has(null) ? positions[0].branch : null;
+  if (branches.size > 1 && !branches.has(null)) {
+    messages.push(
+      'Branch defect: ' +
+        positions.map((p, i) => `position ${i + 1} is on the ${p.branch} branch`).join(', ') +
+        '.'
+    );
+  }
+  // Order: the crank must keep turning the same way from θ₁ to θₙ
+  let orderDefect = false;
+  for (let i = 1; i < thetaDeg.length - 1; i++) {
+    if ((thetaDeg[i] - thetaDeg[i - 1]) * (thetaDeg[i + 1] - thetaDeg[i]) <= 0) {
+      orderDefect = true;
+    }
+  }
+  if (orderDefect) {
+    messages.push('Order defect: the crank has to reverse to reach the positions in the prescribed order.');
+  }
+  // Limit positions along the crank travel θ₁ → … → θₙ
+  let deadCenterThetaDeg = null;
+  const allAssemblable = positions.every((p) => p.branch !== null);
+  for (let i = 0; allAssemblable && i < thetaDeg.length - 1 && deadCenterThetaDeg === null; i++) {
+    const span = thetaDeg[i + 1] - thetaDeg[i];
+    const steps = Math.max(1, Math.ceil(Math.abs(span) / stepDeg));
+    for (let k = 0; k <= steps; k++) {
+      const t = thetaDeg[i] + (k / steps) * span;
+      if (Number.isNaN(solveSliderCrank(r2, r3, e, deg2rad(t), 'open'))) {
+        deadCenterThetaDeg = t;
+        break;
+      }
+    }
+  }
+  if (deadCenterThetaDeg !== null) {
+    messages.push(`Branch defect: the crank reaches a limit position near θ = ${deadCenterThetaDeg.toFixed(1)}° between the positions.`);
+  }
+  const branchDefect = branch === null || deadCenterThetaDeg !== null;
+  return {
+    positions,
+    branch,
+    branchDefect,
+    orderDefect,
+    deadCenterThetaDeg,
+    valid: positiveLengths && !branchDefect && !orderDefect,
+    messages,
+  };
+}
+
+/**
+ * Range of crank motion of a slider‑crank around θ₁ and the slider stroke
+ * over it.  The crank turns fully when r3 ≥ r2 + |e|; otherwise it stops
+ * at the limit angles where |e − r2 sin θ| = r3, i.e. where the coupler
+ * stands perpendicular to the guide.
+ *
+ * @param {number} theta1  crank angle in radians inside the wanted interval
+ * @param {string} mode    'open' or 'closed'
+ * @returns {{lo: number, hi: number, fullRotation: boolean, sMin: number, sMax: number, stroke: number}}
+ *          crank interval in radians (lo ≤ θ₁ ≤ hi) and the extreme slider displacements
+ */
+function sliderCrankMotion(r2, r3, e, theta1, mode, samples = 360) {
+  const fullRotation = r3 >= r2 + Math.abs(e);
+  let lo = theta1 - Math.PI;
+  let hi = theta1 + Math.PI;
+  if (!fullRotation) {
+    if (Number.isNaN(solveSliderCrank(r2, r3, e, theta1, mode))) {
+      return { lo: theta1, hi: theta1, fullRotation, sMin: NaN, sMax: NaN, stroke: NaN };
+    }
+    // Assemblable while (e − r3)/r2 ≤ sin θ ≤ (e + r3)/r2
+    const limits = [];
+    [(e + r3) / r2, (e - r3) / r2].forEach((bound) => {
+      if (Math.abs(bound) < 1) limits.push(Math.asin(bound), Math.PI - Math.asin(bound));
+    });
+    const turn = (a) => ((a % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    lo = theta1 - Math.min(...limits.map((L) => turn(theta1 - L)));
+    hi = theta1 + Math.min(...limits.map((L) => turn(L - theta1)));
+  }
+  let sMin = Infinity;
+  let sMax = -Infinity;
+  for (let i = 0; i <= samples; i++) {
+    const s = solveSliderCrank(r2, r3, e, lo + (i / samples) * (hi - lo), mode);
+    if (Number.isNaN(s)) continue;
+    sMin = Math.min(sMin, s);
+    sMax = Math.max(sMax, s);
+  }
+  return { lo, hi, fullRotation, sMin, sMax, stroke: sMax - sMin };
+}
+
+/* -------------------------------------------------------------------------
+ * Coupler point and coupler curve
+ *
+ * A coupler point P is rigidly attached to the coupler AB.  It is defined
+ * by its distance from A and the angle of AP measured counter‑clockwise
+ * from AB, so it keeps its place on the coupler triangle ABP as the
+ * linkage moves.
+ */
+
+/**
+ * Position of a coupler point for given joint positions A and B.
+ *
+ * @param {{x: number, y: number}} A  input joint
+ * @param {{x: number, y: number}} B  output joint
+ * @param {number} distance  length of AP
+ * @param {number} angle     angle from AB to AP in radians (counter‑clockwise)
+ * @returns {{x: number, y: number}}
+ */
+function couplerPointPosition(A, B, distance, angle) {
+  const beta = Math.atan2(B.y - A.y, B.x - A.x);
+  return {
+    x: A.x + distance * Math.cos(beta + angle),
+    y: A.y + distance * Math.sin(beta + angle),
+  };
+}
+
+/**
+ * Trace the coupler curve over a full turn of the crank on both assembly
+ * modes.  Each mode yields a list of continuous segments; the curve is
+ * broken wherever the linkage cannot be assembled, and a segment that
+ * runs through θ = 0 is joined across it.
+ *
+ * @param {number} r1  ground link length
+ * @param {number} r2  input link length
+ * @param {number} r3  coupler link length
+ * @param {number} r4  output link length
+ * @param {{distance: number, angle: number}} couplerPoint  coupler point definition
+ * @param {number} samples  number of crank angles per turn
+ * @returns {{open: Array<Array<{x: number, y: number, theta: number}>>,
+ *            closed: Array<Array<{x: number, y: number, theta: number}>>}}
+ */
+function couplerCurve(r1, r2, r3, r4, couplerPoint, samples = 360) {
+  const curve = {};
+  for (const mode of ['open', 'closed']) {
+    const segments = [];
+    let current = null;
+    for (let i = 0; i < samples; i++) {
+      const theta = (2 * Math.PI * i) / samples;
+      const pos = computeFourBarPositions(r1, r2, r3, r4, theta, undefined, mode, couplerPoint);
+      if (Number.isNaN(pos.phi)) {
+        current = null;
+        continue;
+      }
+      if (!current) {
+        current = [];
+        segments.push(current);
+      }
+      current.push({ x: pos.P.x, y: pos.P.y, theta });
+    }
+    const first = segments[0];
+    const last = segments[segments.length - 1];
+    const wraps = first && first[0].theta === 0 && last[last.length - 1].theta === (2 * Math.PI * (samples - 1)) / samples;
+    if (wraps && segments.length === 1) {
+      // Closed curve: repeat the first point to close the loop
+      first.push({ ...first[0] });
+    } else if (wraps) {
+      segments[0] = last.concat(first);
+      segments.pop();
+    }
+    curve[mode] = segments;
+  }
+  return curve;
+}
+
+/* -------------------------------------------------------------------------
+ * Mechanism quality: Grashof classification and transmission angle
+ *
+ * Let s and l be the shortest and longest links and p, q the other two.
+ * The linkage is Grashof when s + l < p + q, in which case the shortest
+ * link can rotate fully relative to the others; which link is shortest
+ * decides the type.  When s + l = p + q the linkage is a change‑point
+ * mechanism that can flip between assembly modes, and when s + l > p + q
+ * no link can rotate fully (non‑Grashof triple rocker).
+ */
+
+/**
+ * Classify a four‑bar linkage by the Grashof criterion.
+ *
+ * @param {number} r1  ground link length
+ * @param {number} r2  input link length
+ * @param {number} r3  coupler link length
+ * @param {number} r4  output link length
+ * @param {number} tol relative tolerance for the change‑point test
+ * @returns {{grashof: boolean, type: string, label: string, shortest: string, s: number, l: number, p: number, q: number}}
+ */
+function grashofClassification(r1, r2, r3, r4, tol = 1e-9) {
+  const links = [
+    { name: 'r1', length: r1 },
+    { name: 'r2', length: r2 },
+    { name: 'r3', length: r3 },
+    { name: 'r4', length: r4 },
+  ];
+  const sorted = [...links].sort((a, b) => a.length - b.length);
+  const s = sorted[0].length;
+  const p = sorted[1].length;
+  const q = sorted[2].length;
+  const l = sorted[3].length;
+  const shortest = sorted[0].name;
+  const diff = s + l - (p + q);
+  let type;
+  if (Math.abs(diff) <= tol * l) {
+    type = 'change-point';
+  } else if (diff > 0) {
+    type = 'triple-rocker';
+  } else if (shortest === 'r1') {
+    type = 'double-crank';
+  } else if (shortest === 'r2') {
+    type = 'crank-rocker';
+  } else if (shortest === 'r4') {
+    type = 'rocker-crank';
+  } else {
+    type = 'double-rocker';
+  }
+  const labels = {
+    'change-point': 'Change point (s + l = p + q)',
+    'triple-rocker': 'Non‑Grashof double rocker (triple rocker)',
+    'double-crank': 'Grashof double crank (drag link)',
+    'crank-rocker': 'Grashof crank‑rocker',
+    'rocker-crank': 'Grashof rocker‑crank (output rotates fully)',
+    'double-rocker': 'Grashof double rocker',
+  };
+  return { grashof: diff <= tol * l, type, label: labels[type], shortest, s, l, p, q };
+}
+
+/**
+ * Transmission angle μ between the coupler AB and the rocker O4B at a
+ * given crank angle, from the law of cosines on triangle ABO4:
+ * cos μ = (r3² + r4² − |AO4|²) / (2 r3 r4).  The magnitude of μ is the
+ * same on both assembly modes.  Returns μ in radians in [0, π], or NaN
+ * when the linkage cannot be assembled at θ.
+ *
+ * @param {number} theta  input angle in radians
+ */
+function transmissionAngle(r1, r2, r3, r4, theta) {
+  const d2 = r1 * r1 + r2 * r2 - 2 * r1 * r2 * Math.cos(theta);
+  const cosMu = (r3 * r3 + r4 * r4 - d2) / (2 * r3 * r4);
+  if (cosMu > 1 + 1e-12 || cosMu < -1 - 1e-12) {
+    return NaN;
+  }
+  return Math.acos(Math.min(1, Math.max(-1, cosMu)));
+}
+
+/**
+ * Mechanism quality report for a synthesized linkage: Grashof type,
+ * transmission angle at each precision position and its extremes over
+ * the working range, plus warnings when the deviation of μ from 90°
+ * leaves less than minTransmissionDeg (μ < μmin or μ > 180° − μmin).
+ *
+ * @param {{r1: number, r2: number, r3: number, r4: number}} linkage  link lengths
+ * @param {number[]} thetaDeg  precision crank angles in degrees
+ * @param {{thetaRangeDeg?: number[], samples?: number, minTransmissionDeg?: number}} options
+ *        thetaRangeDeg defaults to the span of thetaDeg, minTransmissionDeg to 40°
+ * @returns {{grashof: object, transmission: {atPositionsDeg: number[], minDeg: number,
+ *            minAtThetaDeg: number, maxDeg: number, maxAtThetaDeg: number, assemblable: boolean},
+ *            warnings: string[]}}
+ */
+function analyzeLinkage(linkage, thetaDeg, options = {}) {
+  const { r1, r2, r3, r4 } = linkage;
+  const minTransmissionDeg = options.minTransmissionDeg === undefined ? 40 : options.minTransmissionDeg;
+  const samples = options.samples || 200;
+  const [thetaStart, thetaEnd] = options.thetaRangeDeg || [Math.min(...thetaDeg), Math.max(...thetaDeg)];
+  const rad2deg = (rad) => (rad * 180) / Math.PI;
+  const grashof = grashofClassification(r1, r2, r3, r4);
+  const atPositionsDeg = thetaDeg.map((t) => rad2deg(transmissionAngle(r1, r2, r3, r4, deg2rad(t))));
+  const transmission = {
+    atPositionsDeg,
+    minDeg: Infinity,
+    minAtThetaDeg: NaN,
+    maxDeg: -Infinity,
+    maxAtThetaDeg: NaN,
+    assemblable: true,
+  };
+  for (let i = 0; i <= samples; i++) {
+    const t = thetaStart + (i / samples) * (thetaEnd - thetaStart);
+    const mu = rad2deg(transmissionAngle(r1, r2, r3, r4, deg2rad(t)));
+    if (Number.isNaN(mu)) {
+      transmission.assemblable = false;
+      continue;
+    }
+    if (mu < transmission.minDeg) {
+      transmission.minDeg = mu;
+      transmission.minAtThetaDeg = t;
+    }
+    if (mu > transmission.maxDeg) {
+      transmission.maxDeg = mu;
+      transmission.maxAtThetaDeg = t;
+    }
+  }
+  const warnings = [];
+  if (!transmission.assemblable) {
+    warnings.push(`The linkage cannot be assembled over part of θ = ${thetaStart.toFixed(1)}°…${thetaEnd.toFixed(1)}°.`);
+  }
+  atPositionsDeg.forEach((mu, i) => {
+    if (Number.isNaN(mu)) {
+      warnings.push(`Position ${i + 1} cannot be assembled.`);
+    } else if (Math.min(mu, 180 - mu) < minTransmissionDeg) {
+      warnings.push(`Transmission angle at position ${i + 1} is ${mu.toFixed(1)}° (limit ${minTransmissionDeg}°).`);
+    }
+  });
+  if (transmission.minDeg < minTransmissionDeg) {
+    warnings.push(
+      `Minimum transmission angle ${transmission.minDeg.toFixed(1)}° at θ = ${transmission.minAtThetaDeg.toFixed(1)}° is below ${minTransmissionDeg}°.`
+    );
+  }
+  if (transmission.maxDeg > 180 - minTransmissionDeg) {
+    warnings.push(
+      `Maximum transmission angle ${transmission.maxDeg.toFixed(1)}° at θ = ${transmission.maxAtThetaDeg.toFixed(1)}° is above ${180 - minTransmissionDeg}°.`
+    );
+  }
+  if (grashof.type === 'change-point') {
+    warnings.push('Change‑point linkage: it can switch assembly modes when all links become collinear.');
+  }
+  return { grashof, transmission, warnings };
+}
+
+/* -------------------------------------------------------------------------
+ * Branch and order defects
+ *
+ * With θ as the input, the two solutions of solveFourBarPhi (the sign of
+ * the angle γ at O4) stay separate as long as the linkage can be
+ * assembled; they only meet where A, B and O4 become collinear, which is a
+ * dead‑center of the input where the crank cannot move on.  A synthesized
+ * linkage is therefore usable only if every precision position lies on the
+ * same branch, the crank can travel from θ₁ through each θᵢ to θₙ without
+ * reaching such a dead‑center, and the positions are met in the prescribed
+ * order along that travel.  The θ values are taken literally, i.e. the
+ * crank travels θ₁ → θ₂ → … → θₙ as the UI animates it.
+ */
+
+/**
+ * Check a synthesized linkage for branch and order defects.
+ *
+ * @param {{r1: number, r2: number, r3: number, r4: number}} linkage  link lengths
+ * @param {number[]} thetaDeg  precision crank angles in degrees, in prescribed order
+ * @param {number[]} phiDeg    precision rocker angles in degrees
+ * @param {{stepDeg?: number, toleranceDeg?: number}} options  sampling step along the crank
+ *        travel (default 0.25°) and the largest φ error at which a position still
+ *        counts as reproduced by its nearest branch (default 5°, e.g. for least squares)
+ * @returns {{positions: Array<{thetaDeg: number, phiDeg: number, branch: string|null, errorDeg: number,
+ *            reproduced: boolean}>,
+ *            branch: string|null, branchDefect: boolean, orderDefect: boolean,
+ *            deadCenterThetaDeg: number|null, valid: boolean, messages: string[]}}
+ */
+function validateBranchAndOrder(linkage, thetaDeg, phiDeg, options = {}) {
+  const { r1, r2, r3, r4 } = linkage;
+  const stepDeg = options.stepDeg || 0.25;
+  const toleranceDeg = options.toleranceDeg === undefined ? 5 : options.toleranceDeg;
+  const messages = [];
+  // Branch of each precision position: the solution closest to φᵢ, which
+  // has to come within toleranceDeg of it
+  const positions = thetaDeg.map((t, i) => {
+    let branch = null;
+    let errorDeg = NaN;
+    for (const mode of ['open', 'closed']) {
+      const phi = solveFourBarPhi(r1, r2, r3, r4, deg2rad(t), undefined, mode);
+      const err = (Math.abs(normalizeAngle(phi - deg2rad(phiDeg[i]))) * 180) / Math.PI;
+      if (!(err >= errorDeg)) {
+        if (!Number.isNaN(err)) branch = mode;
+        errorDeg = err;
+      }
+    }
+    return { thetaDeg: t, phiDeg: phiDeg[i], branch, errorDeg, reproduced: branch !== null && errorDeg <= toleranceDeg };
+  });
+  positions.forEach((p, i) => {
+    if (p.branch === null) messages.push(`Position ${i + 1} cannot be assembled.`);
+    else if (!p.reproduced) {
+      messages.push(
+        `Position ${i + 1} is not reproduced: φ is off by ${p.errorDeg.toFixed(2)}° even on the nearest (${p.branch}) branch, more than ${toleranceDeg}°.`
+      );
+    }
+  });
+  const branches = new Set(positions.map((p) => p.branch));
+  const branch =
+    branches.size === 1 && !branches.has(null) && positions.every((p) => p.reproduced) ? positions[0].branch : null;
+  if (branches.size > 1 && !branches.has(null)) {
+    messages.push(
+      'Branch defect: ' +
+        positions.map((p, i) => `position ${i + 1} is on the ${p.branch} branch`).join(', ') +
+        '.'
+    );
+  }
+  // Order: the crank must keep turning the same way from θ₁ to θₙ
+  let orderDefect = false;
+  for (let i = 1; i < thetaDeg.length - 1; i++) {
+    if ((thetaDeg[i] - thetaDeg[i - 1]) * (thetaDeg[i + 1] - thetaDeg[i]) <= 0) {
+      orderDefect = true;
+    }
+  }
+  if (orderDefect) {
+    messages.push('Order defect: the crank has to reverse to reach the positions in the prescribed order.');
+  }
+  // Dead‑centers along the crank travel θ₁ → … → θₙ
+  let deadCenterThetaDeg = null;
+  const allAssemblable = positions.every((p) => p.branch !== null);
+  for (let i = 0; allAssemblable && i < thetaDeg.length - 1 && deadCenterThetaDeg === null; i++) {
+    const span = thetaDeg[i + 1] - thetaDeg[i];
+    const steps = Math.max(1, Math.ceil(Math.abs(span) / stepDeg));
+    for (let k = 0; k <= steps; k++) {
+      const t = thetaDeg[i] + (k / steps) * span;
+      if (Number.isNaN(solveFourBarPhi(r1, r2, r3, r4, deg2rad(t), undefined, 'open'))) {
+        deadCenterThetaDeg = t;
+        break;
+      }
+    }
+  }
+  if (deadCenterThetaDeg !== null) {
+    messages.push(`Branch defect: the linkage reaches a dead‑center near θ = ${deadCenterThetaDeg.toFixed(1)}° between the positions.`);
+  }
+  const branchDefect = branch === null || deadCenterThetaDeg !== null;
+  return {
+    positions,
+    branch,
+    branchDefect,
+    orderDefect,
+    deadCenterThetaDeg,
+    valid: !branchDefect && !orderDefect,
+    messages,
+  };
+}
+
+/* -------------------------------------------------------------------------
+ * Free reference angles
+ *
+ * Often only the increments Δθᵢ = θᵢ − θ₁ and Δφᵢ = φᵢ − φ₁ matter, and the
+ * angles θ₀ = θ₁ and φ₀ = φ₁ of the first position relative to the ground
+ * line are free.  Every choice of (θ₀, φ₀) gives a different linkage, so a
+ * grid over both is synthesized and the usable designs – positive link
+ * lengths, all positions on one branch in order, assemblable between them
+ * – are ranked by how far the transmission angle stays from 0° and 180°.
+ */
+
+/**
+ * Synthesize over a grid of free reference angles and rank the valid
+ * designs.  Three positions use threePositionSynthesis, more use
+ * leastSquaresSynthesis.  Designs closer than minSeparationDeg in both θ₀
+ * and φ₀ to a better ranked one are dropped, so the list shows distinct
+ * designs rather than one design at neighbouring grid points.
+ *
+ * @param {number[]} dThetaDeg  crank increments from the first position in degrees (first entry 0)
+ * @param {number[]} dPhiDeg    rocker increments from the first position in degrees (first entry 0)
+ * @param {number} r1  ground link length
+ * @param {{stepDeg?: number, count?: number, minSeparationDeg?: number,
+ *          grashofTypes?: string[], minTransmissionDeg?: number,
+ *          maxLengthRatio?: number, weights?: number[]}} options
+ *        stepDeg of the θ₀/φ₀ grid (default 5°, at least 1° since the
+ *        work grows with 1/stepDeg²), count of candidates
+ *        returned (default 10), minSeparationDeg (default 2·stepDeg),
+ *        accepted Grashof types (default all), minTransmissionDeg below
+ *        which designs are rejected (default 0), maxLengthRatio of the
+ *        longest to the shortest link (default 20)
+ * @returns {{candidates: Array<{theta0Deg: number, phi0Deg: number, thetaDeg: number[],
+ *            phiDeg: number[], r1: number, r2: number, r3: number, r4: number, mode: string,
+ *            grashof: object, transmission: object, transmissionMarginDeg: number}>,
+ *            evaluated: number, valid: number}}
+ *          transmissionMarginDeg = min(μmin, 180° − μmax) over θ₁…θₙ
+ */
+function freeReferenceSynthesis(dThetaDeg, dPhiDeg, r1 = 1, options = {}) {
+  if (dThetaDeg.length !== dPhiDeg.length) {
+    throw new Error('dThetaDeg and dPhiDeg must have the same length');
+  }
+  if (dThetaDeg.length < 3) {
+    throw new Error('At least three positions are required');
+  }
+  const stepDeg = Math.max(1, options.stepDeg || 5);
+  const count = options.count || 10;
+  const minSeparationDeg = options.minSeparationDeg === undefined ? 2 * stepDeg : options.minSeparationDeg;
+  const minTransmissionDeg = options.minTransmissionDeg || 0;
+  const maxLengthRatio = options.maxLengthRatio || 20;
+  const steps = Math.round(360 / stepDeg);
+  const designs = [];
+  let evaluated = 0;
+  for (let i = 0; i < steps; i++) {
+    const theta0Deg = i * stepDeg;
+    const thetaDeg = dThetaDeg.map((d) => theta0Deg + d);
+    for (let j = 0; j < steps; j++) {
+      const phi0Deg = j * stepDeg;
+      const phiDeg = dPhiDeg.map((d) => phi0Deg + d);
+      evaluated++;
+      let result;
+      try {
+        result =
+          thetaDeg.length === 3
+            ? threePositionSynthesis(thetaDeg, phiDeg, r1)
+            : leastSquaresSynthesis(thetaDeg, phiDeg, r1, options.weights);
+      } catch (err) {
+        // Singular for this choice of reference angles
+        continue;
+      }
+      const { r2, r3, r4 } = result;
+      if (!(r2 > 0 && r3 > 0 && r4 > 0)) continue;
+      const lengths = [r1, r2, r3, r4];
+      if (Math.max(...lengths) > maxLengthRatio * Math.min(...lengths)) continue;
+      const linkage = { r1, r2, r3, r4 };
+      const validation = validateBranchAndOrder(linkage, thetaDeg, phiDeg);
+      if (!validation.valid) continue;
+      const report = analyzeLinkage(linkage, thetaDeg, { samples: 50 });
+      if (options.grashofTypes && !options.grashofTypes.includes(report.grashof.type)) continue;
+      const mu = report.transmission;
+      const transmissionMarginDeg = Math.min(mu.minDeg, 180 - mu.maxDeg);
+      if (!(transmissionMarginDeg >= minTransmissionDeg)) continue;
+      designs.push({
+        theta0Deg,
+        phi0Deg,
+        thetaDeg,
+        phiDeg,
+        r1,
+        r2,
+        r3,
+        r4,
+        mode: validation.branch,
+        grashof: report.grashof,
+        transmission: mu,
+        transmissionMarginDeg,
+      });
+    }
+  }
+  designs.sort((a, b) => b.transmissionMarginDeg - a.transmissionMarginDeg);
+  // Angular distance on the circle, so 355° and 0° count as neighbours
+  const apart = (a, b) => Math.abs(((a - b + 540) % 360) - 180);
+  const candidates = [];
+  for (const d of designs) {
+    if (candidates.length >= count) break;
+    const close = candidates.some(
+      (c) => apart(c.theta0Deg, d.theta0Deg) < minSeparationDeg && apart(c.phi0Deg, d.phi0Deg) < minSeparationDeg
+    );
+    if (!close) candidates.push(d);
+  }
+  return { candidates, evaluated, valid: designs.length };
+}
+
+/* -------------------------------------------------------------------------
+ * Crank‑rocker from swing angle and time ratio
+ *
+ * The rocker swings through ψ between its two toggle positions B₁ and B₂,
+ * where crank and coupler are collinear: extended at B₁ (O2B₁ = r3 + r2)
+ * and folded at B₂ (O2B₂ = r3 − r2).  Between them the crank turns through
+ * 180° + α one way and 180° − α back, so a crank turning at constant speed
+ * gives the time ratio Q = (180° + α)/(180° − α), i.e. α = 180°(Q − 1)/(Q + 1).
+ * O2 therefore sees the chord B₁B₂ = 2r4 sin(ψ/2) under the angle α, and
+ * the law of cosines in the triangle O2B₁B₂ gives
+ *
+ *   (B₁B₂)² = 2r3²(1 − cos α) + 2r2²(1 + cos α)
+ *
+ * so once the coupler r3 is chosen freely the crank r2 follows, and O2 is
+ * one of the two mirror images across the chord at distances r3 ± r2.
+ */
+
+/**
+ * Synthesize a crank‑rocker for a rocker swing angle and a quick‑return
+ * time ratio.  The free design choice is the coupler ratio r3/r4; of the
+ * two crank pivot locations the one that is a Grashof crank‑rocker with
+ * the better transmission angle is returned.  The result is scaled to the
+ * given rocker length r4 or ground length r1 (r4 = 1 when neither is given).
+ *
+ * @param {number} swingDeg   rocker swing angle ψ in degrees (0 < ψ < 180)
+ * @param {number} timeRatio  time ratio Q ≥ 1 of the slow to the quick stroke
+ * @param {{couplerRatio: number, r4?: number, r1?: number, minTransmissionDeg?: number}} options
+ * @returns {{r1: number, r2: number, r3: number, r4: number, mode: string,
+ *            toggles: object[], alphaDeg: number, swingDeg: number, timeRatio: number,
+ *            grashof: object, transmission: object, warnings: string[], valid: boolean}}
+ *          link lengths, the assembly mode, the extended and folded toggle
+ *          positions {kind, thetaDeg, phiDeg} relative to the ground line,
+ *          the swing and time ratio measured on the result, and its quality
+ *          report (see analyzeLinkage); valid when it is a crank‑rocker
+ *          whose transmission angle stays within the limit
+ */
+function crankRockerSynthesis(swingDeg, timeRatio, options = {}) {
+  const { couplerRatio } = options;
+  const minTransmissionDeg = options.minTransmissionDeg === undefined ? 40 : options.minTransmissionDeg;
+  if (!(swingDeg > 0 && swingDeg < 180)) throw new Error('The swing angle must lie between 0° and 180°');
+  if (!(timeRatio >= 1)) throw new Error('The time ratio must be at least 1');
+  if (!(couplerRatio > 0)) throw new Error('The coupler ratio r3/r4 must be positive');
+  const psi = deg2rad(swingDeg);
+  const alpha = (Math.PI * (timeRatio - 1)) / (timeRatio + 1);
+  // Work with r4 = 1 and scale at the end
+  const chord = 2 * Math.sin(psi / 2);
+  const r3 = couplerRatio;
+  const r2Squared = (chord * chord - 2 * r3 * r3 * (1 - Math.cos(alpha))) / (2 * (1 + Math.cos(alpha)));
+  if (!(r2Squared > 0)) {
+    throw new Error(`The coupler is too long for this time ratio: r3/r4 must be below ${(chord / (2 * Math.sin(alpha / 2))).toFixed(4)}`);
+  }
+  const r2 = Math.sqrt(r2Squared);
+  if (!(r3 > r2)) throw new Error(`The coupler must be longer than the crank (r2/r4 = ${r2.toFixed(4)})`);
+  // O4 at the origin, the chord B₁B₂ vertical with B₁ below
+  const B1 = { x: Math.cos(psi / 2), y: -Math.sin(psi / 2) };
+  const B2 = { x: Math.cos(psi / 2), y: Math.sin(psi / 2) };
+  const L1 = r3 + r2;
+  const L2 = r3 - r2;
+  // O2 at distance L1 from B₁ and L2 from B₂, on either side of the chord
+  const along = (L1 * L1 - L2 * L2 + chord * chord) / (2 * chord);
+  const across = Math.sqrt(Math.max(0, L1 * L1 - along * along));
+  const deg = (rad) => ((((rad * 180) / Math.PI) % 360) + 360) % 360;
+  const designs = [-1, 1].map((side) => {
+    const O2 = { x: B1.x + side * across, y: B1.y + along };
+    const r1 = Math.hypot(O2.x, O2.y);
+    // Angles are measured from the ground line O2 → O4
+    const ground = Math.atan2(-O2.y, -O2.x);
+    const toggles = [
+      { kind: 'extended', thetaDeg: deg(Math.atan2(B1.y - O2.y, B1.x - O2.x) - ground), phiDeg: deg(Math.atan2(B1.y, B1.x) - ground) },
+      { kind: 'folded', thetaDeg: deg(Math.atan2(B2.y - O2.y, B2.x - O2.x) + Math.PI - ground), phiDeg: deg(Math.atan2(B2.y, B2.x) - ground) },
+    ];
+    const report = analyzeLinkage(
+      { r1, r2, r3, r4: 1 },
+      toggles.map((t) => t.thetaDeg),
+      { minTransmissionDeg, thetaRangeDeg: [0, 360] }
+    );
+    const mu = report.transmission;
+    return { r1, toggles, report, marginDeg: Math.min(mu.minDeg, 180 - mu.maxDeg) };
+  });
+  const isCrankRocker = (d) => d.report.grashof.type === 'crank-rocker';
+  designs.sort((a, b) => isCrankRocker(b) - isCrankRocker(a) || b.marginDeg - a.marginDeg);
+  const best = designs[0];
+  const scale = options.r1 > 0 ? options.r1 / best.r1 : options.r4 > 0 ? options.r4 : 1;
+  const linkage = { r1: best.r1 * scale, r2: r2 * scale, r3: r3 * scale, r4: scale };
+  // The assembly mode that reproduces the toggle positions
+  const [t1, t2] = best.toggles;
+  const mode = ['open', 'closed'].find((m) => {
+    const phi = solveFourBarPhi(linkage.r1, linkage.r2, linkage.r3, linkage.r4, deg2rad(t1.thetaDeg), undefined, m);
+    return Math.abs(normalizeAngle(phi - deg2rad(t1.phiDeg))) < 1e-6;
+  });
+  const crankTravel = (((t2.thetaDeg - t1.thetaDeg) % 360) + 360) % 360;
+  const warnings = best.report.warnings.slice();
+  if (!isCrankRocker(best)) warnings.unshift(`Not a crank‑rocker: ${best.report.grashof.label}.`);
+  const mu = best.report.transmission;
+  return {
+    ...linkage,
+    mode: mode || 'open',
+    toggles: best.toggles,
+    alphaDeg: (alpha * 180) / Math.PI,
+    swingDeg: Math.abs((((t2.phiDeg - t1.phiDeg + 540) % 360) - 180)),
+    timeRatio: Math.max(crankTravel, 360 - crankTravel) / Math.min(crankTravel, 360 - crankTravel),
+    grashof: best.report.grashof,
+    transmission: mu,
+    warnings,
+    valid: isCrankRocker(best) && mu.minDeg >= minTransmissionDeg && mu.maxDeg <= 180 - minTransmissionDeg,
+  };
+}
+
+/* -------------------------------------------------------------------------
+ * Motion generation: three coupler poses
+ *
+ * For rigid‑body guidance the coupler has to pass through three poses
+ * (xⱼ, yⱼ, γⱼ) of a reference point P on it and the orientation γ of a
+ * line on it.  A moving pivot chosen on the coupler (a circle point)
+ * occupies three positions, which lie on a circle about the matching fixed
+ * pivot (its center point): the circumcentre of the three positions.  Two
+ * circle points A and B give O2 and O4 and so the whole four‑bar; the
+ * crank and rocker angles at the poses then define it as a function
+ * generator, which is how the rest of the tool draws and animates it.
+ */
+
+/**
+ * Centre of the circle through three points.  Throws when the points are
+ * collinear (the center point lies at infinity, i.e. a slider).
+ */
+function circumcenter(p1, p2, p3) {
+  const ax = p2.x - p1.x;
+  const ay = p2.y - p1.y;
+  const bx = p3.x - p1.x;
+  const by = p3.y - p1.y;
+  const d = 2 * (ax * by - ay * bx);
+  const scale = Math.max(Math.hypot(ax, ay), Math.hypot(bx, by));
+  if (!(Math.abs(d) > 1e-12 * scale * scale)) {
+    throw new Error('The three positions of a moving pivot are collinear: its center point lies at infinity');
+  }
+  const a2 = ax * ax + ay * ay;
+  const b2 = bx * bx + by * by;
+  return { x: p1.x + (by * a2 - ay * b2) / d, y: p1.y + (ax * b2 - bx * a2) / d };
+}
+
+/**
+ * Three‑position motion generation.  The moving pivots are given in global
+ * coordinates at the first pose; their positions at the other poses follow
+ * from the coupler displacements, and the fixed pivots are the centre
+ * points of the three positions of each.
+ *
+ * @param {{x: number, y: number, angleDeg: number}[]} poses  three coupler poses: reference point and orientation
+ * @param {{A: {x: number, y: number}, B: {x: number, y: number}}} pivots  circle points A and B at the first pose
+ * @returns {{O2: object, O4: object, r1: number, r2: number, r3: number, r4: number,
+ *            frame: object, thetaDeg: number[], phiDeg: number[], couplerPoint: object,
+ *            A: object[], B: object[], validation: object}}
+ *          fixed pivots and link lengths, the ground frame, the crank and
+ *          rocker angles at the poses (degrees from the ground line), the
+ *          pose reference point as a coupler point {distance, angle} (angle
+ *          in radians from AB), the moving pivot positions at every pose and
+ *          the branch and order check (see validateBranchAndOrder)
+ */
+function motionGenerationSynthesis(poses, pivots) {
+  if (!Array.isArray(poses) || poses.length !== 3) throw new Error('Motion generation needs three coupler poses');
+  const gamma = poses.map((p) => deg2rad(p.angleDeg));
+  // Coordinates of a pivot in the coupler frame of the first pose, then at every pose
+  const place = (point) => {
+    const dx = point.x - poses[0].x;
+    const dy = point.y - poses[0].y;
+    const c = Math.cos(-gamma[0]);
+    const s = Math.sin(-gamma[0]);
+    const local = { x: c * dx - s * dy, y: s * dx + c * dy };
+    return poses.map((p, j) => ({
+      x: p.x + Math.cos(gamma[j]) * local.x - Math.sin(gamma[j]) * local.y,
+      y: p.y + Math.sin(gamma[j]) * local.x + Math.cos(gamma[j]) * local.y,
+    }));
+  };
+  const A = place(pivots.A);
+  const B = place(pivots.B);
+  if (Math.hypot(B[0].x - A[0].x, B[0].y - A[0].y) === 0) throw new Error('The moving pivots A and B must be distinct');
+  const O2 = circumcenter(...A);
+  const O4 = circumcenter(...B);
+  const frame = groundFrame(O2, O4);
+  const dist = (p, q) => Math.hypot(q.x - p.x, q.y - p.y);
+  const r1 = frame.r1;
+  const r2 = dist(O2, A[0]);
+  const r3 = dist(A[0], B[0]);
+  const r4 = dist(O4, B[0]);
+  const angle = (from, to) => ((Math.atan2(to.y - from.y, to.x - from.x) - frame.angle) * 180) / Math.PI;
+  const thetaDeg = A.map((a) => angle(O2, a));
+  const phiDeg = B.map((b) => angle(O4, b));
+  // Keep the angles of the later poses on the turn nearest the first, so the
+  // crank travel between them is the short way round
+  [thetaDeg, phiDeg].forEach((list) => {
+    for (let j = 1; j < list.length; j++) list[j] -= 360 * Math.round((list[j] - list[j - 1]) / 360);
+  });
+  const P = poses[0];
+  const couplerPoint = {
+    distance: dist(A[0], P),
+    angle: normalizeAngle(Math.atan2(P.y - A[0].y, P.x - A[0].x) - Math.atan2(B[0].y - A[0].y, B[0].x - A[0].x)),
+  };
+  const validation = validateBranchAndOrder({ r1, r2, r3, r4 }, thetaDeg, phiDeg);
+  return { O2, O4, r1, r2, r3, r4, frame, thetaDeg, phiDeg, couplerPoint, A, B, validation };
+}
+
+/* -------------------------------------------------------------------------
+ * Series six‑bar function generation
+ *
+ * When one four‑bar cannot span the required output range, two are chained:
+ * the rocker of stage 1 (O2‑A‑B‑O4) is rigidly joined to the crank of
+ * stage 2 (O4‑C‑D‑O6), forming the ternary link O4‑B‑C of a Watt II chain.
+ * The stage‑2 crank O4C leads the stage‑1 rocker O4B by the coupling angle
+ * δ, and the stage‑2 ground line O4O6 (length r1′) is turned by β from the
+ * stage‑1 ground line.  All angles are measured from the stage‑1 ground
+ * line, so in the frame of stage 2 its input is φ + δ − β and its output
+ * ψ − β.  Overall precision pairs (θᵢ, ψᵢ) are split through intermediate
+ * rocker angles φᵢ into (θᵢ, φᵢ) for stage 1 and (φᵢ + δ − β, ψᵢ − β) for
+ * stage 2, each solved by threePositionSynthesis.
+ */
+
+/**
+ * Synthesize a series six‑bar function generator from three precision
+ * pairs (θᵢ, ψᵢ) of the input crank and the output rocker.  Each stage is
+ * checked for branch and order defects on its own, and the combined
+ * mechanism is checked to assemble over the whole travel θ₁ → θ₃.
+ *
+ * @param {number[]} thetaDeg  input angles θ₁…θ₃ in degrees
+ * @param {number[]} psiDeg    output angles ψ₁…ψ₃ in degrees
+ * @param {{intermediateDeg: number[], couplingDeg?: number, groundAngleDeg?: number, r1?: number, r1b?: number}} options
+ *        intermediate rocker angles φ₁…φ₃, coupling angle δ and stage‑2 ground
+ *        angle β in degrees (default 0), and the ground lengths of stage 1
+ *        (r1, default 1) and stage 2 (r1b, default r1)
+ * @returns {{stages: Array<{r1: number, r2: number, r3: number, r4: number, thetaDeg: number[],
+ *            phiDeg: number[], validation: object|null, diagnostics: object[]}>, modes: Array<string|null>,
+ *            couplingDeg: number, groundAngleDeg: number, thetaDeg: number[],
+ *            intermediateDeg: number[], psiDeg: number[], valid: boolean, messages: string[]}}
+ *          each stage holds its precision angles in its own frame and the
+ *          synthesisDiagnostics of its design equations; validation is null
+ *          for a stage that cannot be synthesized (lengths NaN when singular)
+ */
+function sixBarSynthesis(thetaDeg, psiDeg, options = {}) {
+  if (thetaDeg.length !== 3 || psiDeg.length !== 3) {
+    throw new Error('A series six‑bar is synthesized from exactly three (θ, ψ) pairs');
+  }
+  const intermediateDeg = options.intermediateDeg || [];
+  if (intermediateDeg.length !== 3 || !intermediateDeg.every(Number.isFinite)) {
+    throw new Error('Three intermediate angles φᵢ are required');
+  }
+  const couplingDeg = options.couplingDeg || 0;
+  const groundAngleDeg = options.groundAngleDeg || 0;
+  const r1 = options.r1 === undefined ? 1 : options.r1;
+  const r1b = options.r1b === undefined ? r1 : options.r1b;
+  if (!(r1 > 0 && r1b > 0)) throw new Error('The ground lengths of both stages must be positive');
+  const messages = [];
+  const stages = [
+    [thetaDeg, intermediateDeg, r1],
+    [intermediateDeg.map((phi) => phi + couplingDeg - groundAngleDeg), psiDeg.map((psi) => psi - groundAngleDeg), r1b],
+  ].map(([input, output, ground], k) => {
+    const report = synthesisDiagnostics(input, output, ground);
+    const { r2, r3, r4 } = report.result || { r2: NaN, r3: NaN, r4: NaN };
+    const stage = { r1: ground, r2, r3, r4, thetaDeg: input.slice(), phiDeg: output.slice(), validation: null, diagnostics: report.diagnostics };
+    if (!report.valid) {
+      report.diagnostics.filter((d) => d.severity === 'error').forEach((d) => messages.push(`Stage ${k + 1}: ${d.message}`));
+      return stage;
+    }
+    stage.validation = validateBranchAndOrder(stage, input, output);
+    stage.validation.messages.forEach((msg) => messages.push(`Stage ${k + 1}: ${msg}`));
+    return stage;
+  });
+  const modes = stages.map((s) => (s.validation ? s.validation.branch : null));
+  let valid = stages.every((s) => s.validation && s.validation.valid);
+  if (valid) {
+    // The stage‑1 rocker may leave φ₁…φ₃ on the way, so walk the combined
+    // mechanism through the whole travel
+    const start = deg2rad(thetaDeg[0]);
+    const end = deg2rad(thetaDeg[2]);
+    const steps = Math.max(1, Math.ceil(Math.abs(thetaDeg[2] - thetaDeg[0]) / 0.5));
+    for (let i = 0; i <= steps; i++) {
+      const theta = start + ((end - start) * i) / steps;
+      const pos = computeSixBarPositions(stages, theta, modes, couplingDeg, groundAngleDeg);
+      if (Number.isNaN(pos.psi)) {
+        messages.push(`The second loop cannot be assembled at θ = ${((theta * 180) / Math.PI).toFixed(1)}° between θ₁ and θ₃`);
+        valid = false;
+        break;
+      }
+    }
+  }
+  return {
+    stages,
+    modes,
+    couplingDeg,
+    groundAngleDeg,
+    thetaDeg: thetaDeg.slice(),
+    intermediateDeg: intermediateDeg.slice(),
+    psiDeg: psiDeg.slice(),
+    valid,
+    messages,
+  };
+}
+
+/**
+ * Position analysis of a series six‑bar at crank angle theta (radians
+ * from the ground line).  Returns the joints O2, A, B, O4 of stage 1 and
+ * C, D, O6 of stage 2 with the rocker angle phi and the output angle psi,
+ * both from the stage‑1 ground line; joints that cannot be assembled are
+ * NaN.
+ *
+ * @param {Array<{r1: number, r2: number, r3: number, r4: number}>} stages  the two stages
+ * @param {number} theta  crank angle in radians
+ * @param {string[]} modes  assembly mode of each stage ('open' or 'closed')
+ * @param {number} couplingDeg  coupling angle δ in degrees (default 0)
+ * @param {number} groundAngleDeg  stage‑2 ground angle β in degrees (default 0)
+ * @param {object} frame  optional ground frame (see groundFrame)
+ */
+function computeSixBarPositions(stages, theta, modes, couplingDeg = 0, groundAngleDeg = 0, frame) {
+  const [s1, s2] = stages;
+  const delta = deg2rad(couplingDeg);
+  const beta = deg2rad(groundAngleDeg);
+  const phi = solveFourBarPhi(s1.r1, s1.r2, s1.r3, s1.r4, theta, undefined, modes[0]);
+  const psi = solveFourBarPhi(s2.r1, s2.r2, s2.r3, s2.r4, phi + delta - beta, undefined, modes[1]) + beta;
+  const O4 = { x: s1.r1, y: 0 };
+  const O6 = { x: O4.x + s2.r1 * Math.cos(beta), y: s2.r1 * Math.sin(beta) };
+  const pos = {
+    O2: { x: 0, y: 0 },
+    A: { x: s1.r2 * Math.cos(theta), y: s1.r2 * Math.sin(theta) },
+    B: { x: O4.x + s1.r4 * Math.cos(phi), y: s1.r4 * Math.sin(phi) },
+    O4,
+    C: { x: O4.x + s2.r2 * Math.cos(phi + delta), y: s2.r2 * Math.sin(phi + delta) },
+    D: { x: O6.x + s2.r4 * Math.cos(psi), y: O6.y + s2.r4 * Math.sin(psi) },
+    O6,
+    phi,
+    psi,
+  };
+  return frame ? toGlobalPositions(pos, frame) : pos;
+}
+
+/**
+ * Sample the overall input–output relation ψ(θ) of a series six‑bar over
+ * a crank range in radians.  ψ is kept continuous across samples and is
+ * NaN where either loop cannot be assembled.
+ *
+ * @param {object} design  result of sixBarSynthesis (stages, modes, couplingDeg, groundAngleDeg)
+ * @returns {{samples: Array<{theta: number, phi: number, psi: number}>}}
+ */
+function sweepSixBar(design, thetaStart, thetaEnd, samples = 360) {
+  const { stages, modes, couplingDeg, groundAngleDeg } = design;
+  const result = [];
+  let prevPsi;
+  for (let i = 0; i <= samples; i++) {
+    const theta = thetaStart + ((thetaEnd - thetaStart) * i) / samples;
+    const { phi, psi } = computeSixBarPositions(stages, theta, modes, couplingDeg, groundAngleDeg);
+    const value = Number.isNaN(psi) || prevPsi === undefined ? psi : prevPsi + normalizeAngle(psi - prevPsi);
+    if (!Number.isNaN(value)) prevPsi = value;
+    result.push({ theta, phi, psi: value });
+  }
+  return { samples: result };
+}
+
+/* -------------------------------------------------------------------------
+ * Velocity and acceleration analysis
+ *
+ * Differentiating the loop closure r₂e^{iθ} + r₃e^{iβ} = r₁ + r₄e^{iφ}
+ * (β is the coupler angle) once and twice with respect to time gives
+ *
+ *   r₂ω₂ie^{iθ} + r₃ω₃ie^{iβ} = r₄ω₄ie^{iφ}
+ *   r₂(α₂i − ω₂²)e^{iθ} + r₃(α₃i − ω₃²)e^{iβ} = r₄(α₄i − ω₄²)e^{iφ}
+ *
+ * Each is a pair of real linear equations in the unknown angular rates of
+ * the coupler and the rocker.  Both share the determinant r₃r₄ sin(β − φ),
+ * which vanishes at the dead‑centers where the coupler and rocker are
+ * collinear.
+ */
+
+/**
+ * Velocity and acceleration analysis of the four‑bar at one crank angle.
+ * Angular quantities are in radians, rad/s and rad/s²; linear ones in the
+ * length unit of the links per second (squared).
+ *
+ * @param {number} r1  ground link length
+ * @param {number} r2  input link length
+ * @param {number} r3  coupler link length
+ * @param {number} r4  output link length
+ * @param {number} theta   input angle in radians
+ * @param {number} omega2  crank angular velocity in rad/s (positive counter‑clockwise)
+ * @param {number} alpha2  crank angular acceleration in rad/s²
+ * @param {number|undefined} prevPhi  optional previous phi angle for continuity
+ * @param {string} mode    assembly mode passed on to solveFourBarPhi
+ * @returns {{phi: number, beta: number, omega3: number, omega4: number, alpha3: number, alpha4: number,
+ *            velocityRatio: number, vA: {x: number, y: number}, vB: {x: number, y: number},
+ *            aA: {x: number, y: number}, aB: {x: number, y: number}}}
+ *          velocityRatio is dφ/dθ = ω₄/ω₂; every value is NaN where the linkage cannot be assembled
+ */
+function fourBarKinematics(r1, r2, r3, r4, theta, omega2 = 1, alpha2 = 0, prevPhi, mode) {
+  const pos = computeFourBarPositions(r1, r2, r3, r4, theta, prevPhi, mode);
+  const { A, B, phi } = pos;
+  const beta = Math.atan2(B.y - A.y, B.x - A.x);
+  const sinBP = Math.sin(beta - phi);
+  // Velocity: coupler and rocker angular velocities
+  const omega3 = (r2 * omega2 * Math.sin(phi - theta)) / (r3 * sinBP);
+  const omega4 = (r2 * omega2 * Math.sin(beta - theta)) / (r4 * sinBP);
+  // Acceleration: move the known terms to the right‑hand side C and solve
+  const Cx =
+    r2 * alpha2 * Math.sin(theta) + r2 * omega2 * omega2 * Math.cos(theta) +
+    r3 * omega3 * omega3 * Math.cos(beta) - r4 * omega4 * omega4 * Math.cos(phi);
+  const Cy =
+    -r2 * alpha2 * Math.cos(theta) + r2 * omega2 * omega2 * Math.sin(theta) +
+    r3 * omega3 * omega3 * Math.sin(beta) - r4 * omega4 * omega4 * Math.sin(phi);
+  const alpha3 = -(Cx * Math.cos(phi) + Cy * Math.sin(phi)) / (r3 * sinBP);
+  const alpha4 = -(Cx * Math.cos(beta) + Cy * Math.sin(beta)) / (r4 * sinBP);
+  // Joint velocities and accelerations (tangential + normal components)
+  const vA = { x: -r2 * omega2 * Math.sin(theta), y: r2 * omega2 * Math.cos(theta) };
+  const vB = { x: -r4 * omega4 * Math.sin(phi), y: r4 * omega4 * Math.cos(phi) };
+  const aA = {
+    x: -r2 * alpha2 * Math.sin(theta) - r2 * omega2 * omega2 * Math.cos(theta),
+    y: r2 * alpha2 * Math.cos(theta) - r2 * omega2 * omega2 * Math.sin(theta),
+  };
+  const aB = {
+    x: -r4 * alpha4 * Math.sin(phi) - r4 * omega4 * omega4 * Math.cos(phi),
+    y: r4 * alpha4 * Math.cos(phi) - r4 * omega4 * omega4 * Math.sin(phi),
+  };
+  return {
+    phi,
+    beta,
+    omega3,
+    omega4,
+    alpha3,
+    alpha4,
+    velocityRatio: (r2 * Math.sin(beta - theta)) / (r4 * sinBP),
+    vA,
+    vB,
+    aA,
+    aB,
+  };
+}
+
+/**
+ * Sample fourBarKinematics over a range of crank angles, following the
+ * assembly mode with continuity from one sample to the next.
+ *
+ * @param {number} thetaStart  first crank angle in radians
+ * @param {number} thetaEnd    last crank angle in radians
+ * @param {number} samples     number of intervals between thetaStart and thetaEnd
+ * @returns {Array<object>}    one fourBarKinematics result per sample, with its theta added
+ */
+function sampleKinematics(r1, r2, r3, r4, thetaStart, thetaEnd, samples = 100, omega2 = 1, alpha2 = 0, mode) {
+  const result = [];
+  let prevPhi;
+  for (let i = 0; i <= samples; i++) {
+    const theta = thetaStart + (i / samples) * (thetaEnd - thetaStart);
+    const k = fourBarKinematics(r1, r2, r3, r4, theta, omega2, alpha2, prevPhi, mode);
+    prevPhi = k.phi;
+    result.push({ theta, ...k });
+  }
+  return result;
+}
+
+/* -------------------------------------------------------------------------
+ * Sensitivity and tolerance analysis
+ *
+ * Perturbing the link lengths and the pivots in the loop closure
+ * O₂ + r₂e^{iθ} + r₃e^{iβ} = O₄ + r₄e^{iφ} at fixed θ, and taking the
+ * real part after multiplying by e^{−iβ} to eliminate the coupler rotation
+ * dβ, gives
+ *
+ *   −r₄ sin(φ − β) dφ = Re[(dO₂ + dr₂e^{iθ} + dr₃e^{iβ} − dO₄ − dr₄e^{iφ}) e^{−iβ}]
+ *
+ * so every sensitivity shares the factor 1/(r₄ sin(φ − β)), which grows
+ * without bound as the transmission angle approaches 0° or 180°.  A change
+ * of r₁ is a shift of O₄ along the ground line.
+ */
+
+/**
+ * Analytic sensitivities of the rocker angle to the link lengths and the
+ * pivot positions at one crank angle.  Pivot components are along and
+ * normal to the ground line.  All values are NaN when the linkage cannot
+ * be assembled at θ.
+ *
+ * @param {number} theta  input angle in radians
+ * @returns {{phi: number, r1: number, r2: number, r3: number, r4: number,
+ *            O2x: number, O2y: number, O4x: number, O4y: number}}
+ *          ∂φ/∂(parameter) in radians per unit length
+ */
+function phiSensitivities(r1, r2, r3, r4, theta, prevPhi, mode) {
+  const phi = solveFourBarPhi(r1, r2, r3, r4, theta, prevPhi, mode);
+  const A = { x: r2 * Math.cos(theta), y: r2 * Math.sin(theta) };
+  const B = { x: r1 + r4 * Math.cos(phi), y: r4 * Math.sin(phi) };
+  const beta = Math.atan2(B.y - A.y, B.x - A.x);
+  const k = -1 / (r4 * Math.sin(phi - beta));
+  return {
+    phi,
+    r1: -k * Math.cos(beta),
+    r2: k * Math.cos(theta - beta),
+    r3: k,
+    r4: -k * Math.cos(phi - beta),
+    O2x: k * Math.cos(beta),
+    O2y: k * Math.sin(beta),
+    O4x: -k * Math.cos(beta),
+    O4y: -k * Math.sin(beta),
+  };
+}
+
+/**
+ * Small seeded pseudo‑random generator (mulberry32) so that tolerance
+ * studies can be repeated exactly.  Returns a function giving numbers in
+ * [0, 1).
+ */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Monte Carlo tolerance analysis of the rocker angle.  Each trial draws
+ * r1…r4 within ± their tolerances and moves each pivot by up to ± the
+ * pivot tolerance in x and y, then solves φ over the crank range on the
+ * given assembly mode.  θ and φ stay measured from the nominal ground
+ * line, as they would be on a machine frame whose pivot bores are off.
+ * Uniform draws cover the whole ± band; normal draws use σ = tolerance/3.
+ *
+ * @param {{r1: number, r2: number, r3: number, r4: number}} linkage  nominal link lengths
+ * @param {string} mode  assembly mode ('open' or 'closed')
+ * @param {number[]} thetaRangeDeg  [start, end] of the crank range in degrees
+ * @param {{r1?: number, r2?: number, r3?: number, r4?: number, pivot?: number}} tolerances  ± half‑widths
+ * @param {{trials?: number, samples?: number, seed?: number, distribution?: string}} options
+ *        trials (default 200), intervals of the range (default 100), seed (default 1),
+ *        distribution 'uniform' (default) or 'normal'
+ * @returns {{samples: Array<{thetaDeg: number, phiDeg: number, minErrorDeg: number,
+ *            maxErrorDeg: number, meanErrorDeg: number, stdErrorDeg: number, failures: number}>,
+ *            maxAbsErrorDeg: number, rmsErrorDeg: number, failedTrials: number, trials: number}}
+ *          errors are perturbed minus nominal φ; failures counts the trials
+ *          that cannot be assembled at that θ
+ */
+function toleranceAnalysis(linkage, mode, thetaRangeDeg, tolerances = {}, options = {}) {
+  const { r1, r2, r3, r4 } = linkage;
+  const trials = options.trials || 200;
+  const samples = options.samples || 100;
+  const random = seededRandom(options.seed === undefined ? 1 : options.seed);
+  const draw =
+    options.distribution === 'normal'
+      ? (tol) => {
+          // Box–Muller transform
+          const u = 1 - random();
+          const v = random();
+          return ((tol || 0) / 3) * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        }
+      : (tol) => (tol || 0) * (2 * random() - 1);
+  const thetas = [];
+  for (let i = 0; i <= samples; i++) {
+    thetas.push(deg2rad(thetaRangeDeg[0] + (i / samples) * (thetaRangeDeg[1] - thetaRangeDeg[0])));
+  }
+  const nominal = thetas.map((t) => solveFourBarPhi(r1, r2, r3, r4, t, undefined, mode));
+  const errors = thetas.map(() => []);
+  const failures = thetas.map(() => 0);
+  let failedTrials = 0;
+  for (let n = 0; n < trials; n++) {
+    const O2 = { x: draw(tolerances.pivot), y: draw(tolerances.pivot) };
+    const O4 = { x: r1 + draw(tolerances.r1) + draw(tolerances.pivot), y: draw(tolerances.pivot) };
+    const lengths = [r2 + draw(tolerances.r2), r3 + draw(tolerances.r3), r4 + draw(tolerances.r4)];
+    const ground = Math.atan2(O4.y - O2.y, O4.x - O2.x);
+    const ground1 = Math.hypot(O4.x - O2.x, O4.y - O2.y);
+    let failed = false;
+    thetas.forEach((t, i) => {
+      // The crank angle stays fixed relative to the nominal ground line
+      const local = solveFourBarPhi(ground1, lengths[0], lengths[1], lengths[2], t - ground, undefined, mode);
+      if (Number.isNaN(local)) {
+        if (!Number.isNaN(nominal[i])) {
+          failures[i]++;
+          failed = true;
+        }
+        return;
+      }
+      // Turn φ from the perturbed ground line back to the nominal one
+      if (!Number.isNaN(nominal[i])) errors[i].push(normalizeAngle(local + ground - nominal[i]));
+    });
+    if (failed) failedTrials++;
+  }
+  let maxAbs = 0;
+  let sumSq = 0;
+  let count = 0;
+  const rows = thetas.map((t, i) => {
+    const e = errors[i];
+    const mean = e.length ? e.reduce((a, b) => a + b, 0) / e.length : NaN;
+    const variance = e.length ? e.reduce((a, b) => a + (b - mean) ** 2, 0) / e.length : NaN;
+    e.forEach((v) => {
+      maxAbs = Math.max(maxAbs, Math.abs(v));
+      sumSq += v * v;
+      count++;
+    });
+    return {
+      thetaDeg: (t * 180) / Math.PI,
+      phiDeg: (nominal[i] * 180) / Math.PI,
+      minErrorDeg: e.length ? (Math.min(...e) * 180) / Math.PI : NaN,
+      maxErrorDeg: e.length ? (Math.max(...e) * 180) / Math.PI : NaN,
+      meanErrorDeg: (mean * 180) / Math.PI,
+      stdErrorDeg: (Math.sqrt(variance) * 180) / Math.PI,
+      failures: failures[i],
+    };
+  });
+  return {
+    samples: rows,
+    maxAbsErrorDeg: (maxAbs * 180) / Math.PI,
+    rmsErrorDeg: count ? (Math.sqrt(sumSq / count) * 180) / Math.PI : NaN,
+    failedTrials,
+    trials,
+  };
+}
+
+/* -------------------------------------------------------------------------
+ * Full‑range sweep: assemblable intervals, limit and toggle positions
+ *
+ * The linkage can be assembled at θ only if the distance d = |AO4| lies
+ * between |r3 − r4| and r3 + r4, with d² = r1² + r2² − 2r1r2 cos θ.  The
+ * input limit angles, where the linkage locks, are therefore the
+ * solutions of cos θ = (r1² + r2² − d²)/(2r1r2) for d = r3 + r4 and
+ * d = |r3 − r4|.  Within each assemblable interval the rocker reaches its
+ * extreme (toggle) positions where dφ/dθ = 0, i.e. where the crank and
+ * coupler are collinear.
+ */
+
+/**
+ * Sweep the crank over a range of angles on one assembly mode.
+ *
+ * @param {number} r1  ground link length
+ * @param {number} r2  input link length
+ * @param {number} r3  coupler link length
+ * @param {number} r4  output link length
+ * @param {string} mode  assembly mode ('open' or 'closed')
+ * @param {number} thetaStart  start of the sweep in radians (default 0)
+ * @param {number} thetaEnd    end of the sweep in radians (default 2π)
+ * @param {number} samples     number of intervals in the sweep
+ * @returns {{samples: Array<{theta: number, phi: number, assemblable: boolean}>,
+ *            intervals: Array<{start: number, end: number, phiMin: number, phiMax: number, swing: number}>,
+ *            limits: Array<{theta: number, phi: number}>, toggles: Array<{theta: number, phi: number}>,
+ *            swing: number, fullRotation: boolean}}
+ *          φ is unwrapped so that it varies continuously along each interval.  Over a
+ *          full turn an interval that runs through the ends of the range is joined
+ *          into one that ends 2π beyond its start.
+ */
+function sweepFourBar(r1, r2, r3, r4, mode, thetaStart = 0, thetaEnd = 2 * Math.PI, samples = 720) {
+  const lo = Math.min(thetaStart, thetaEnd);
+  const hi = Math.max(thetaStart, thetaEnd);
+  const assemblable = (theta) => !Number.isNaN(solveFourBarPhi(r1, r2, r3, r4, theta, undefined, mode));
+  // Analytic input limit angles inside the range
+  const limitAngles = [];
+  for (const d of [r3 + r4, Math.abs(r3 - r4)]) {
+    const c = (r1 * r1 + r2 * r2 - d * d) / (2 * r1 * r2);
+    if (Math.abs(c) > 1) continue;
+    const base = Math.acos(c);
+    for (const t0 of [base, -base]) {
+      for (let k = Math.ceil((lo - t0) / (2 * Math.PI)); t0 + 2 * Math.PI * k <= hi; k++) {
+        const t = t0 + 2 * Math.PI * k;
+        if (!limitAngles.some((u) => Math.abs(u - t) < 1e-12)) limitAngles.push(t);
+      }
+    }
+  }
+  limitAngles.sort((a, b) => a - b);
+  // Assemblable intervals between consecutive breakpoints
+  const breaks = [lo, ...limitAngles.filter((t) => t > lo && t < hi), hi];
+  const intervals = [];
+  for (let i = 0; i < breaks.length - 1; i++) {
+    if (!assemblable((breaks[i] + breaks[i + 1]) / 2)) continue;
+    const last = intervals[intervals.length - 1];
+    if (last && last.end === breaks[i]) last.end = breaks[i + 1];
+    else intervals.push({ start: breaks[i], end: breaks[i + 1] });
+  }
+  const limits = limitAngles
+    .filter((t) => intervals.some((iv) => iv.start === t || iv.end === t))
+    .map((theta) => {
+      const dx = r2 * Math.cos(theta) - r1;
+      const dy = r2 * Math.sin(theta);
+      const d = Math.hypot(dx, dy);
+      // At a limit A, B and O4 are collinear.  B lies on the ray O4 → A unless
+      // the coupler is folded back over a shorter rocker (d = r3 − r4).
+      const folded = r3 > r4 && Math.abs(d - (r3 - r4)) < Math.abs(d - (r3 + r4));
+      return { theta, phi: normalizeAngle(Math.atan2(dy, dx) + (folded ? Math.PI : 0)) };
+    });
+  // Sampled φ(θ), unwrapped along each assemblable run
+  const points = [];
+  let prev;
+  for (let i = 0; i <= samples; i++) {
+    const theta = lo + (i / samples) * (hi - lo);
+    let phi = solveFourBarPhi(r1, r2, r3, r4, theta, undefined, mode);
+    if (Number.isNaN(phi)) {
+      prev = undefined;
+      points.push({ theta, phi, assemblable: false });
+      continue;
+    }
+    if (prev !== undefined) phi = prev + normalizeAngle(phi - prev);
+    prev = phi;
+    points.push({ theta, phi, assemblable: true });
+  }
+  // Toggle positions: sign changes of dφ/dθ, refined by bisection
+  const ratio = (theta) => fourBarKinematics(r1, r2, r3, r4, theta, 1, 0, undefined, mode).velocityRatio;
+  const toggles = [];
+  for (let i = 0; i < samples; i++) {
+    if (!points[i].assemblable || !points[i + 1].assemblable) continue;
+    let a = points[i].theta;
+    let b = points[i + 1].theta;
+    let fa = ratio(a);
+    const fb = ratio(b);
+    if (!Number.isFinite(fa) || !Number.isFinite(fb) || fa * fb > 0 || fa === 0) continue;
+    for (let k = 0; k < 60; k++) {
+      const m = (a + b) / 2;
+      const fm = ratio(m);
+      if (fa * fm <= 0) {
+        b = m;
+      } else {
+        a = m;
+        fa = fm;
+      }
+    }
+    const theta = (a + b) / 2;
+    const phi = points[i].phi + normalizeAngle(solveFourBarPhi(r1, r2, r3, r4, theta, undefined, mode) - points[i].phi);
+    toggles.push({ theta, phi });
+  }
+  // Over a full turn the first and last intervals meet at θ = hi ≡ lo
+  // (mod 2π); join them, continuing φ of the first past the end
+  let wrapShift = 0;
+  const first = intervals[0];
+  const last = intervals[intervals.length - 1];
+  if (intervals.length > 1 && hi - lo >= 2 * Math.PI - 1e-12 && first.start === lo && last.end === hi) {
+    wrapShift = 2 * Math.PI * Math.round((points[samples].phi - points[0].phi) / (2 * Math.PI));
+    last.end = first.end + 2 * Math.PI;
+    intervals.shift();
+  }
+  // Rocker swing within each interval
+  let swing = 0;
+  intervals.forEach((iv) => {
+    const inside = (t) => t.theta >= iv.start && t.theta <= iv.end;
+    const wrapped = (t) => iv.end > hi && t.theta + 2 * Math.PI <= iv.end;
+    const phis = points
+      .filter((p) => p.assemblable && inside(p))
+      .map((p) => p.phi)
+      .concat(points.filter((p) => p.assemblable && wrapped(p)).map((p) => p.phi + wrapShift))
+      .concat(toggles.filter(inside).map((t) => t.phi))
+      .concat(toggles.filter(wrapped).map((t) => t.phi + wrapShift));
+    iv.phiMin = Math.min(...phis);
+    iv.phiMax = Math.max(...phis);
+    iv.swing = iv.phiMax - iv.phiMin;
+    swing = Math.max(swing, iv.swing);
+  });
+  const fullRotation = intervals.length === 1 && intervals[0].start === lo && intervals[0].end === hi && hi - lo >= 2 * Math.PI - 1e-12;
+  return { samples: points, intervals, limits, toggles, swing, fullRotation };
+}
+
+/**
+ * Tabulate φ(θ) and the moving joint positions over a crank range, for
+ * export to spreadsheets.  Samples follow one assembly mode as in
+ * sweepFourBar, so φ is continuous along each assemblable interval;
+ * where the linkage cannot be assembled φ and B are NaN.
+ *
+ * @param {{r1: number, r2: number, r3: number, r4: number}} linkage  link lengths
+ * @param {string} mode  assembly mode ('open' or 'closed')
+ * @param {number[]} thetaRangeDeg  [start, end] of the crank range in degrees
+ * @param {number} samples  number of intervals in the range (default 100)
+ * @param {{O2: object, angle: number, globalAngles?: boolean}} [frame]  optional ground frame; A and B
+ *        are then global coordinates, and with frame.globalAngles the range and the tabulated
+ *        angles are measured from the global x‑axis
+ * @returns {Array<{thetaDeg: number, phiDeg: number, A: {x: number, y: number},
+ *          B: {x: number, y: number}, mode: string, assemblable: boolean}>}
+ */
+function phiThetaTable(linkage, mode, thetaRangeDeg, samples = 100, frame) {
+  const { r1, r2, r3, r4 } = linkage;
+  const offset = frame && frame.globalAngles ? frame.angle : 0;
+  const start = deg2rad(thetaRangeDeg[0]) - offset;
+  const end = deg2rad(thetaRangeDeg[1]) - offset;
+  const sweep = sweepFourBar(r1, r2, r3, r4, mode, start, end, samples);
+  const place = (point) => (frame ? toGlobal(point, frame) : point);
+  const rows = sweep.samples.map((p) => ({
+    thetaDeg: ((p.theta + offset) * 180) / Math.PI,
+    phiDeg: ((p.phi + offset) * 180) / Math.PI,
+    A: place({ x: r2 * Math.cos(p.theta), y: r2 * Math.sin(p.theta) }),
+    B: place({ x: r1 + r4 * Math.cos(p.phi), y: r4 * Math.sin(p.phi) }),
+    mode,
+    assemblable: p.assemblable,
+  }));
+  // sweepFourBar always runs upwards; keep the order the range was given in
+  return end < start ? rows.reverse() : rows;
+}
+
+/**
+ * Format a phiThetaTable as CSV with a header row.  Unassemblable samples
+ * leave φ and B empty.
+ *
+ * @param {Array<object>} rows  result of phiThetaTable
+ * @returns {string}
+ */
+function phiThetaTableCSV(rows) {
+  const num = (v) => (Number.isFinite(v) ? String(Number(v.toFixed(9))) : '');
+  const lines = ['theta_deg,phi_deg,Ax,Ay,Bx,By,mode,assemblable'];
+  rows.forEach((row) => {
+    lines.push(
+      [num(row.thetaDeg), num(row.phiDeg), num(row.A.x), num(row.A.y), num(row.B.x), num(row.B.y), row.mode, row.assemblable].join(',')
+    );
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Tabulate the slider displacement s(θ) and the joint positions of a
+ * slider‑crank over a crank range, in the form of phiThetaTable.  Where
+ * the coupler cannot reach the guide s and B are NaN.
+ *
+ * @param {{r2: number, r3: number, e: number}} linkage  crank, coupler and guide offset
+ * @param {string} mode  branch ('open' or 'closed')
+ * @param {number[]} thetaRangeDeg  [start, end] of the crank range in degrees
+ * @param {number} samples  number of intervals in the range (default 100)
+ * @param {{O2: object, angle: number, globalAngles?: boolean}} [frame]  optional ground frame, as for phiThetaTable
+ * @returns {Array<{thetaDeg: number, s: number, A: {x: number, y: number},
+ *          B: {x: number, y: number}, mode: string, assemblable: boolean}>}
+ */
+function sliderCrankTable(linkage, mode, thetaRangeDeg, samples = 100, frame) {
+  const { r2, r3, e } = linkage;
+  const offset = frame && frame.globalAngles ? frame.angle : 0;
+  const rows = [];
+  for (let i = 0; i <= samples; i++) {
+    const thetaDeg = thetaRangeDeg[0] + ((thetaRangeDeg[1] - thetaRangeDeg[0]) * i) / samples;
+    const pos = computeSliderCrankPositions(r2, r3, e, deg2rad(thetaDeg) - offset, mode, frame);
+    rows.push({ thetaDeg, s: pos.s, A: pos.A, B: pos.B, mode, assemblable: !Number.isNaN(pos.s) });
+  }
+  return rows;
+}
+
+/**
+ * Format a sliderCrankTable as CSV with a header row.  Samples the
+ * coupler cannot reach leave s and B empty.
+ *
+ * @param {Array<object>} rows  result of sliderCrankTable
+ * @returns {string}
+ */
+function sliderCrankTableCSV(rows) {
+  const num = (v) => (Number.isFinite(v) ? String(Number(v.toFixed(9))) : '');
+  const lines = ['theta_deg,s,Ax,Ay,Bx,By,mode,assemblable'];
+  rows.forEach((row) => {
+    lines.push([num(row.thetaDeg), num(row.s), num(row.A.x), num(row.A.y), num(row.B.x), num(row.B.y), row.mode, row.assemblable].join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Tabulate the output angle ψ(θ), the stage‑1 rocker angle φ and the
+ * moving joints A, B, C, D of a series six‑bar over a crank range, in the
+ * form of phiThetaTable.  ψ is continuous as in sweepSixBar; where either
+ * loop cannot be assembled the angles and joints after it are NaN.
+ *
+ * @param {object} design  result of sixBarSynthesis (stages, modes, couplingDeg, groundAngleDeg)
+ * @param {number[]} thetaRangeDeg  [start, end] of the crank range in degrees
+ * @param {number} samples  number of intervals in the range (default 100)
+ * @param {{O2: object, angle: number, globalAngles?: boolean}} [frame]  optional ground frame, as for phiThetaTable
+ * @returns {Array<{thetaDeg: number, phiDeg: number, psiDeg: number, A: object, B: object, C: object,
+ *          D: object, modes: string[], assemblable: boolean}>}
+ */
+function sixBarTable(design, thetaRangeDeg, samples = 100, frame) {
+  const { stages, modes, couplingDeg, groundAngleDeg } = design;
+  const offset = frame && frame.globalAngles ? frame.angle : 0;
+  const sweep = sweepSixBar(design, deg2rad(thetaRangeDeg[0]) - offset, deg2rad(thetaRangeDeg[1]) - offset, samples);
+  return sweep.samples.map((p) => {
+    const pos = computeSixBarPositions(stages, p.theta, modes, couplingDeg, groundAngleDeg, frame);
+    return {
+      thetaDeg: ((p.theta + offset) * 180) / Math.PI,
+      phiDeg: ((p.phi + offset) * 180) / Math.PI,
+      psiDeg: ((p.psi + offset) * 180) / Math.PI,
+      A: pos.A,
+      B: pos.B,
+      C: pos.C,
+      D: pos.D,
+      modes: modes.slice(),
+      assemblable: !Number.isNaN(p.psi),
+    };
+  });
+}
+
+/**
+ * Format a sixBarTable as CSV with a header row.  Unassemblable samples
+ * leave the missing angles and joints empty.
+ *
+ * @param {Array<object>} rows  result of sixBarTable
+ * @returns {string}
+ */
+function sixBarTableCSV(rows) {
+  const num = (v) => (Number.isFinite(v) ? String(Number(v.toFixed(9))) : '');
+  const lines = ['theta_deg,phi_deg,psi_deg,Ax,Ay,Bx,By,Cx,Cy,Dx,Dy,mode1,mode2,assemblable'];
+  rows.forEach((row) => {
+    const joints = ['A', 'B', 'C', 'D'].flatMap((key) => [num(row[key].x), num(row[key].y)]);
+    lines.push([num(row.thetaDeg), num(row.phiDeg), num(row.psiDeg), ...joints, ...row.modes, row.assemblable].join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/* -------------------------------------------------------------------------
+ * Quasi‑static force analysis
+ *
+ * The links are treated as massless and the joints as frictionless, so
+ * the coupler is a two‑force member: it carries a single force f along AB
+ * (f > 0 in compression, pushing A and B apart).  Moment equilibrium of
+ * the rocker about O4 under the load gives f, and moment equilibrium of
+ * the crank about O2 then gives the input torque
+ *
+ *   f = −(T₄ + (B − O4) × F) / ((B − O4) × u),   T₂ = f (A − O2) × u,
+ *
+ * where u is the unit vector from A to B, T₄ the load torque and F the
+ * load force acting on the rocker at B.  Torques are positive
+ * counter‑clockwise.  Without friction the input power balances the
+ * output power, so for a pure torque load T₂ω₂ + T₄ω₄ = 0.
+ */
+
+/**
+ * Static force analysis at one crank angle.
+ *
+ * @param {number} r1  ground link length
+ * @param {number} r2  input link length
+ * @param {number} r3  coupler link length
+ * @param {number} r4  output link length
+ * @param {number} theta  input angle in radians
+ * @param {{torque?: number, force?: {x: number, y: number}}} load
+ *        load torque on the rocker and/or load force applied to the rocker at B
+ * @param {number|undefined} prevPhi  optional previous phi angle for continuity
+ * @param {string} mode  assembly mode passed on to solveFourBarPhi
+ * @returns {{phi: number, inputTorque: number, outputTorque: number, mechanicalAdvantage: number,
+ *            couplerForce: number, pins: {O2: object, A: object, B: object, O4: object}}}
+ *          outputTorque is the total load moment about O4; each pin force is the force
+ *          {x, y, magnitude} exerted on the crank (O2, A) or on the rocker (B, O4)
+ */
+function staticForceAnalysis(r1, r2, r3, r4, theta, load = {}, prevPhi, mode) {
+  const pos = computeFourBarPositions(r1, r2, r3, r4, theta, prevPhi, mode);
+  const { A, B, O2, O4, phi } = pos;
+  const cross = (p, q) => p.x * q.y - p.y * q.x;
+  const F = load.force || { x: 0, y: 0 };
+  const rB = { x: B.x - O4.x, y: B.y - O4.y };
+  const rA = { x: A.x - O2.x, y: A.y - O2.y };
+  const u = { x: (B.x - A.x) / r3, y: (B.y - A.y) / r3 };
+  const outputTorque = (load.torque || 0) + cross(rB, F);
+  const f = -outputTorque / cross(rB, u);
+  const inputTorque = f * cross(rA, u);
+  const pin = (x, y) => ({ x, y, magnitude: Math.hypot(x, y) });
+  return {
+    phi,
+    inputTorque,
+    outputTorque,
+    mechanicalAdvantage: Math.abs(outputTorque / inputTorque),
+    couplerForce: f,
+    pins: {
+      // Ground on crank, coupler on crank, coupler on rocker, ground on rocker
+      O2: pin(f * u.x, f * u.y),
+      A: pin(-f * u.x, -f * u.y),
+      B: pin(f * u.x, f * u.y),
+      O4: pin(-f * u.x - F.x, -f * u.y - F.y),
+    },
+  };
+}
+
+/**
+ * Sample staticForceAnalysis over a range of crank angles, following the
+ * assembly mode with continuity from one sample to the next.
+ *
+ * @returns {Array<object>}  one staticForceAnalysis result per sample, with its theta added
+ */
+function sampleStaticForces(r1, r2, r3, r4, thetaStart, thetaEnd, samples = 100, load = {}, mode) {
+  const result = [];
+  let prevPhi;
+  for (let i = 0; i <= samples; i++) {
+    const theta = thetaStart + (i / samples) * (thetaEnd - thetaStart);
+    const f = staticForceAnalysis(r1, r2, r3, r4, theta, load, prevPhi, mode);
+    prevPhi = f.phi;
+    result.push({ theta, ...f });
+  }
+  return result;
+}
+
+/* -------------------------------------------------------------------------
+ * Drawing export: SVG and DXF
+ *
+ * createSvgContext records the subset of the Canvas 2D API used by the
+ * drawing code (paths, arcs, text, styles, save/restore, translate and
+ * rotate) and turns it into an SVG document, so any drawing routine that
+ * takes a context can produce SVG without an on‑screen canvas.
+ * linkageDXF writes link centerlines and pivot circles in the units of
+ * the link lengths as an ASCII DXF (R12) file.
+ */
+
+// Helper: escape text for use in XML content and attributes
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Create a Canvas2D‑like context that records drawing operations as SVG.
+ *
+ * @param {number} width   width of the drawing in pixels
+ * @param {number} height  height of the drawing in pixels
+ * @returns {object}  context with the Canvas 2D subset and toSVG()
+ */
+function createSvgContext(width, height) {
+  const elements = [];
+  const stack = [];
+  let path = [];
+  // Affine transform [a, b, c, d, e, f] as in CanvasRenderingContext2D
+  let m = [1, 0, 0, 1, 0, 0];
+  const apply = (x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+  const num = (v) => Number(v.toFixed(3));
+  let current = null;
+  const ctx = {
+    canvas: { width, height },
+    strokeStyle: '#000000',
+    fillStyle: '#000000',
+    lineWidth: 1,
+    font: '10px sans-serif',
+    globalAlpha: 1,
+    lineDash: [],
+    save() {
+      stack.push({
+        strokeStyle: ctx.strokeStyle,
+        fillStyle: ctx.fillStyle,
+        lineWidth: ctx.lineWidth,
+        font: ctx.font,
+        globalAlpha: ctx.globalAlpha,
+        lineDash: ctx.lineDash,
+        m: [...m],
+      });
+    },
+    restore() {
+      const state = stack.pop();
+      if (!state) return;
+      m = state.m;
+      delete state.m;
+      Object.assign(ctx, state);
+    },
+    translate(x, y) {
+      m = [m[0], m[1], m[2], m[3], m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+    },
+    rotate(angle) {
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      m = [m[0] * cos + m[2] * sin, m[1] * cos + m[3] * sin, m[2] * cos - m[0] * sin, m[3] * cos - m[1] * sin, m[4], m[5]];
+    },
+    setLineDash(dash) {
+      ctx.lineDash = [...dash];
+    },
+    getLineDash() {
+      return [...ctx.lineDash];
+    },
+    beginPath() {
+      path = [];
+      current = null;
+    },
+    moveTo(x, y) {
+      const [px, py] = apply(x, y);
+      path.push(`M${num(px)} ${num(py)}`);
+      current = [px, py];
+    },
+    lineTo(x, y) {
+      const [px, py] = apply(x, y);
+      path.push(`${current ? 'L' : 'M'}${num(px)} ${num(py)}`);
+      current = [px, py];
+    },
+    closePath() {
+      path.push('Z');
+    },
+    arc(x, y, radius, start, end, anticlockwise = false) {
+      const r = radius * Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+      let sweep = anticlockwise ? start - end : end - start;
+      if (sweep < 0) sweep += 2 * Math.PI;
+      const point = (angle) => apply(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+      const [sx, sy] = point(start);
+      path.push(`${current ? 'L' : 'M'}${num(sx)} ${num(sy)}`);
+      const flag = anticlockwise ? 0 : 1;
+      if (sweep >= 2 * Math.PI - 1e-9 || Math.abs(end - start) >= 2 * Math.PI - 1e-9) {
+        // A full circle needs two half arcs
+        const [hx, hy] = point(start + Math.PI);
+        path.push(`A${num(r)} ${num(r)} 0 0 ${flag} ${num(hx)} ${num(hy)}`);
+        path.push(`A${num(r)} ${num(r)} 0 0 ${flag} ${num(sx)} ${num(sy)}`);
+        current = [sx, sy];
+        return;
+      }
+      const [ex, ey] = point(anticlockwise ? start - sweep : start + sweep);
+      path.push(`A${num(r)} ${num(r)} 0 ${sweep > Math.PI ? 1 : 0} ${flag} ${num(ex)} ${num(ey)}`);
+      current = [ex, ey];
+    },
+    rect(x, y, w, h) {
+      ctx.moveTo(x, y);
+      ctx.lineTo(x + w, y);
+      ctx.lineTo(x + w, y + h);
+      ctx.lineTo(x, y + h);
+      ctx.closePath();
+    },
+    stroke() {
+      if (!path.length) return;
+      const dash = ctx.lineDash.length ? ` stroke-dasharray="${ctx.lineDash.join(' ')}"` : '';
+      elements.push(
+        `<path d="${path.join(' ')}" fill="none" stroke="${escapeXml(ctx.strokeStyle)}" ` +
+          `stroke-width="${ctx.lineWidth}" stroke-opacity="${ctx.globalAlpha}"${dash}/>`
+      );
+    },
+    fill() {
+      if (!path.length) return;
+      elements.push(`<path d="${path.join(' ')}" fill="${escapeXml(ctx.fillStyle)}" fill-opacity="${ctx.globalAlpha}"/>`);
+    },
+    fillRect(x, y, w, h) {
+      // Like the canvas, leave the current path untouched
+      const saved = [path, current];
+      ctx.beginPath();
+      ctx.rect(x, y, w, h);
+      ctx.fill();
+      [path, current] = saved;
+    },
+    strokeRect(x, y, w, h) {
+      const saved = [path, current];
+      ctx.beginPath();
+      ctx.rect(x, y, w, h);
+      ctx.stroke();
+      [path, current] = saved;
+    },
+    clearRect() {
+      // Nothing has to be cleared in a recorded drawing
+    },
+    measureText(text) {
+      const size = parseFloat(ctx.font) || 10;
+      return { width: String(text).length * size * 0.6 };
+    },
+    fillText(text, x, y) {
+      const size = parseFloat(ctx.font) || 10;
+      const family = ctx.font.replace(/^.*?px\s*/, '') || 'sans-serif';
+      const weight = /bold/.test(ctx.font) ? ' font-weight="bold"' : '';
+      const transform = `matrix(${m.map(num).join(' ')})`;
+      elements.push(
+        `<text x="${num(x)}" y="${num(y)}" transform="${transform}" font-family="${escapeXml(family)}" ` +
+          `font-size="${size}"${weight} fill="${escapeXml(ctx.fillStyle)}" fill-opacity="${ctx.globalAlpha}">${escapeXml(text)}</text>`
+      );
+    },
+    toSVG() {
+      return (
+        `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+        elements.join('\n') +
+        `\n</svg>\n`
+      );
+    },
+  };
+  return ctx;
+}
+
+/**
+ * Write linkage configurations as an ASCII DXF (R12) drawing.  Each
+ * configuration contributes the centerlines of the links (and of the
+ * coupler triangle when a coupler point P is present) on its own layer;
+ * the two pivots of the fixed link – the ground pivots unless an
+ * inversion is drawn (see invertPositions) – are drawn once as circles on
+ * layer PIVOTS.  Coordinates are in the units of the link lengths.
+ *
+ * @param {Array<{pos: {O2: object, A: object, B: object, O4: object, P?: object}, layer: string, color?: number}>} configurations
+ *        joint positions per configuration; color is an AutoCAD colour index
+ * @param {number} pivotRadius  radius of the pivot circles (default 3% of |O2O4|)
+ * @param {string} fixed  link held fixed: 'ground' (default), 'crank', 'coupler' or 'rocker'
+ * @returns {string}  DXF file content
+ */
+function linkageDXF(configurations, pivotRadius, fixed = 'ground') {
+  const lines = [];
+  const emit = (...pairs) => {
+    for (let i = 0; i < pairs.length; i += 2) {
+      lines.push(String(pairs[i]), typeof pairs[i + 1] === 'number' ? String(Number(pairs[i + 1].toFixed(6))) : pairs[i + 1]);
+    }
+  };
+  const layers = [{ name: 'PIVOTS', color: 7 }].concat(
+    configurations.map((cfg) => ({ name: cfg.layer, color: cfg.color || 7 }))
+  );
+  emit(0, 'SECTION', 2, 'TABLES', 0, 'TABLE', 2, 'LAYER', 70, layers.length);
+  layers.forEach((layer) => emit(0, 'LAYER', 2, layer.name, 70, 0, 62, layer.color, 6, 'CONTINUOUS'));
+  emit(0, 'ENDTAB', 0, 'ENDSEC', 0, 'SECTION', 2, 'ENTITIES');
+  const line = (layer, p, q) => emit(0, 'LINE', 8, layer, 10, p.x, 20, p.y, 30, 0, 11, q.x, 21, q.y, 31, 0);
+  const circle = (layer, p, r) => emit(0, 'CIRCLE', 8, layer, 10, p.x, 20, p.y, 30, 0, 40, r);
+  if (configurations.length) {
+    const { O2, O4 } = configurations[0].pos;
+    const r = pivotRadius || Math.hypot(O4.x - O2.x, O4.y - O2.y) * 0.03;
+    const pivots = INVERSION_LINKS[fixed];
+    const moving = ['O2', 'A', 'B', 'O4'].filter((key) => !pivots.includes(key));
+    configurations.forEach(({ pos, layer }) => {
+      line(layer, pos.O2, pos.A);
+      line(layer, pos.A, pos.B);
+      line(layer, pos.B, pos.O4);
+      line(layer, pos.O4, pos.O2);
+      if (pos.P) {
+        line(layer, pos.A, pos.P);
+        line(layer, pos.B, pos.P);
+      }
+      // Moving pivots are drawn slightly smaller than the fixed pivots
+      moving.forEach((key) => circle(layer, pos[key], 0.75 * r));
+    });
+    pivots.forEach((key) => circle('PIVOTS', configurations[0].pos[key], r));
+  }
+  emit(0, 'ENDSEC', 0, 'EOF');
+  return lines.join('\n') + '\n';
+}
+
+/* -------------------------------------------------------------------------
+ * Animation export: GIF and ZIP
+ *
+ * Frames rendered into a canvas are written without a server or external
+ * library.  encodeGIF quantizes RGBA frames to one global palette of the
+ * most frequent colours (line drawings have few colours apart from their
+ * anti‑aliased edges, which map to the nearest palette entry) and writes
+ * an animated GIF89a with LZW‑compressed image data.  createZip packs
+ * files, e.g. PNG frames from canvas.toDataURL, into an uncompressed
+ * (stored) ZIP archive.
+ */
+
+/**
+ * Global palette of at most 256 colours for a set of RGBA frames: the
+ * most frequent colours of every stride‑th pixel.  Transparent pixels
+ * count as white.
+ *
+ * @returns {{colours: number[], indexOf: function(number, number, number): number}}
+ *          colours as 0xRRGGBB; indexOf maps any colour to the nearest entry
+ */
+function gifPalette(frames, stride = 3) {
+  const counts = new Map();
+  frames.forEach(({ data }) => {
+    for (let i = 0; i < data.length; i += 4 * stride) {
+      const key = data[i + 3] ? (data[i] << 16) | (data[i + 1] << 8) | data[i + 2] : 0xffffff;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  });
+  const colours = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 256)
+    .map(([key]) => key);
+  if (!colours.length) colours.push(0xffffff);
+  const cache = new Map(colours.map((key, i) => [key, i]));
+  const indexOf = (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    let index = cache.get(key);
+    if (index === undefined) {
+      let best = Infinity;
+      colours.forEach((c, i) => {
+        const d = ((c >> 16) - r) ** 2 + (((c >> 8) & 0xff) - g) ** 2 + ((c & 0xff) - b) ** 2;
+        if (d < best) {
+          best = d;
+          index = i;
+        }
+      });
+      cache.set(key, index);
+    }
+    return index;
+  };
+  return { colours, indexOf };
+}
+
+/**
+ * LZW‑compress palette indices as GIF image data with a minimum code size
+ * of 8 bits: variable‑length codes of up to 12 bits, packed least
+ * significant bit first, with a clear code whenever the table is full.
+ *
+ * @param {Uint8Array} indices  palette index of every pixel
+ * @returns {number[]}  the code stream bytes, not yet split into sub‑blocks
+ */
+function gifLzw(indices) {
+  const clearCode = 256;
+  const endCode = 257;
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  let codeSize = 9;
+  let next = 258;
+  let table = new Map();
+  const emit = (code) => {
+    buffer |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      bytes.push(buffer & 0xff);
+      buffer >>>= 8;
+      bits -= 8;
+    }
+  };
+  emit(clearCode);
+  let prefix = indices.length ? indices[0] : -1;
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = prefix * 256 + k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (next < 4096) {
+      table.set(key, next++);
+      // The decoder widens its codes one code later than it adds the entry
+      if (next > 1 << codeSize && codeSize < 12) codeSize++;
+    } else {
+      emit(clearCode);
+      table = new Map();
+      next = 258;
+      codeSize = 9;
+    }
+    prefix = k;
+  }
+  if (prefix >= 0) emit(prefix);
+  emit(endCode);
+  if (bits > 0) bytes.push(buffer & 0xff);
+  return bytes;
+}
+
+/**
+ * Encode RGBA frames of equal size as an animated GIF that loops forever.
+ *
+ * @param {Array<{data: Uint8ClampedArray}>} frames  frames as from getImageData
+ * @param {number} width   frame width in pixels
+ * @param {number} height  frame height in pixels
+ * @param {{delayMs?: number, loop?: number}} options  frame delay (default 50 ms, rounded to
+ *        1/100 s) and the number of repetitions (0, the default, repeats forever)
+ * @returns {Uint8Array}  GIF file content
+ */
+function encodeGIF(frames, width, height, options = {}) {
+  const delay = Math.max(1, Math.round((options.delayMs || 50) / 10));
+  const loop = options.loop || 0;
+  const { colours, indexOf } = gifPalette(frames);
+  const out = [];
+  const word = (v) => out.push(v & 0xff, (v >> 8) & 0xff);
+  const ascii = (text) => [...text].forEach((ch) => out.push(ch.charCodeAt(0)));
+  ascii('GIF89a');
+  word(width);
+  word(height);
+  // Global colour table of 256 entries, 8 bits per primary
+  out.push(0xf7, 0, 0);
+  for (let i = 0; i < 256; i++) {
+    const c = colours[i] || 0;
+    out.push(c >> 16, (c >> 8) & 0xff, c & 0xff);
+  }
+  // Application extension for looping
+  out.push(0x21, 0xff, 11);
+  ascii('NETSCAPE2.0');
+  out.push(3, 1);
+  word(loop);
+  out.push(0);
+  frames.forEach(({ data }) => {
+    // Graphic control extension: frame delay, each frame replaces the last
+    out.push(0x21, 0xf9, 4, 0x04);
+    word(delay);
+    out.push(0, 0);
+    // Image descriptor covering the whole screen, no local colour table
+    out.push(0x2c);
+    word(0);
+    word(0);
+    word(width);
+    word(height);
+    out.push(0);
+    const indices = new Uint8Array(width * height);
+    for (let p = 0; p < indices.length; p++) {
+      const i = 4 * p;
+      indices[p] = data[i + 3] ? indexOf(data[i], data[i + 1], data[i + 2]) : indexOf(255, 255, 255);
+    }
+    const lzw = gifLzw(indices);
+    out.push(8);
+    for (let i = 0; i < lzw.length; i += 255) {
+      const block = lzw.slice(i, i + 255);
+      out.push(block.length, ...block);
+    }
+    out.push(0);
+  });
+  out.push(0x3b);
+  return Uint8Array.from(out);
+}
+
+// CRC‑32 lookup table (polynomial 0xEDB88320) for ZIP entries
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC‑32 checksum of a byte array, as used by ZIP and PNG.
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Pack files into a ZIP archive without compression (method 0, "stored"),
+ * which every unzip tool reads.  Names should be plain ASCII; all entries
+ * are dated 1 January 1980.
+ *
+ * @param {Array<{name: string, data: Uint8Array}>} files
+ * @returns {Uint8Array}  ZIP file content
+ */
+function createZip(files) {
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  const header = (fields) => {
+    const bytes = [];
+    fields.forEach(([value, size]) => {
+      for (let i = 0; i < size; i++) bytes.push((value >>> (8 * i)) & 0xff);
+    });
+    return bytes;
+  };
+  files.forEach(({ name, data }) => {
+    const nameBytes = [...name].map((ch) => ch.charCodeAt(0) & 0xff);
+    const crc = crc32(data);
+    // version, flags, method, time, date, CRC, sizes and name length shared by both headers
+    const common = [[20, 2], [0, 2], [0, 2], [0, 2], [0x21, 2], [crc, 4], [data.length, 4], [data.length, 4], [nameBytes.length, 2], [0, 2]];
+    const local = header([[0x04034b50, 4], ...common]).concat(nameBytes);
+    chunks.push(Uint8Array.from(local), data);
+    central.push(
+      ...header([[0x02014b50, 4], [20, 2], ...common, [0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]]),
+      ...nameBytes
+    );
+    offset += local.length + data.length;
+  });
+  const end = header([[0x06054b50, 4], [0, 2], [0, 2], [files.length, 2], [files.length, 2], [central.length, 4], [offset, 4], [0, 2]]);
+  chunks.push(Uint8Array.from(central), Uint8Array.from(end));
+  const result = new Uint8Array(chunks.reduce((n, chunk) => n + chunk.length, 0));
+  let pos = 0;
+  chunks.forEach((chunk) => {
+    result.set(chunk, pos);
+    pos += chunk.length;
+  });
+  return result;
+}
+
+/* -------------------------------------------------------------------------
+ * Rendering
+ *
+ * The routines below draw a linkage from plain data into any Canvas2D‑like
+ * context – a browser canvas, createSvgContext or a recording stub – and
+ * read nothing from the page.  A view created by createView maps global
+ * coordinates to pixels; the linkage state is a plain object
+ *
+ *   { r1, r2, r3, r4, mode, thetaDeg: [...], phiDeg: [...],
+ *     ground?: {O2, angle}, couplerPoint?: {distance, angle},
+ *     poseAnglesDeg?: [...], crankDeg?, inversion? }
+ *
+ * with the precision angles measured from the ground line.  With an
+ * inversion other than 'ground' the linkage is drawn with that link held
+ * where it is at precision position 1 (see invertPositions).  The web page
+ * draws through the same routines, so report images produced in batch,
+ * several views on one page and rendering checks all match the screen.
+ */
+
+// Colours of the precision positions, in order
+const POSITION_COLOURS = ['red', 'green', 'purple', 'orange', 'teal', 'brown', 'magenta', 'olive'];
+
+// Ground frame used when a state does not give one: O2 at the origin, ground line along x
+const DEFAULT_GROUND = { O2: { x: 0, y: 0 }, angle: 0 };
+
+/**
+ * Create a view mapping global coordinates (x right, y up) to canvas
+ * pixels (y down).  The view is centred on the point center, shifted by
+ * the pan offsets in pixels, and scaled so that 2·length fits the smaller
+ * canvas dimension inside the margin, times the zoom factor.
+ *
+ * @param {{width: number, height: number, length?: number, center?: {x: number, y: number},
+ *          zoom?: number, offsetX?: number, offsetY?: number, margin?: number}} options
+ * @returns {{width: number, height: number, zoom: number, scale: number,
+ *            worldToCanvas: function, canvasToWorld: function}}  scale is in pixels per unit length
+ */
+function createView(options) {
+  const { width, height, center = { x: 0, y: 0 }, zoom = 1, offsetX = 0, offsetY = 0, margin = 40 } = options;
+  // Without a characteristic length (nothing synthesised yet) one unit spans the view
+  const length = options.length > 0 ? options.length : 1;
+  const scale = ((Math.min(width, height) - 2 * margin) / (2 * length)) * zoom;
+  const cx = width / 2 + offsetX;
+  const cy = height / 2 + offsetY;
+  return {
+    width,
+    height,
+    zoom,
+    scale,
+    worldToCanvas: (pt) => ({ x: cx + (pt.x - center.x) * scale, y: cy - (pt.y - center.y) * scale }),
+    canvasToWorld: (p) => ({ x: center.x + (p.x - cx) / scale, y: center.y - (p.y - cy) / scale }),
+  };
+}
+
+/**
+ * Clear the view to light gray and draw a grid and the global x and y
+ * axes.  The spacing of the grid lines scales with the zoom factor so
+ * that the density appears constant.
+ */
+function renderGrid(c, view) {
+  const { width: w, height: h } = view;
+  c.save();
+  c.clearRect(0, 0, w, h);
+  c.fillStyle = '#e0e0e0';
+  c.fillRect(0, 0, w, h);
+  const spacing = 20 * view.zoom;
+  const origin = view.worldToCanvas({ x: 0, y: 0 });
+  c.strokeStyle = '#cccccc';
+  c.lineWidth = 1;
+  for (let x = origin.x % spacing; x <= w; x += spacing) {
+    c.beginPath();
+    c.moveTo(x, 0);
+    c.lineTo(x, h);
+    c.stroke();
+  }
+  for (let y = origin.y % spacing; y <= h; y += spacing) {
+    c.beginPath();
+    c.moveTo(0, y);
+    c.lineTo(w, y);
+    c.stroke();
+  }
+  // Axes
+  c.strokeStyle = '#888888';
+  c.beginPath();
+  c.moveTo(origin.x, 0);
+  c.lineTo(origin.x, h);
+  c.moveTo(0, origin.y);
+  c.lineTo(w, origin.y);
+  c.stroke();
+  c.restore();
+}
+
+/**
+ * Draw a single four‑bar configuration {O2, A, B, O4, P?} in global
+ * coordinates: the links r2, r3, r4 and the ground link, the coupler
+ * triangle ABP when P is present and optionally the link labels r₁…r₄.
+ * drawLabels may also be an array of the four labels to use instead, in
+ * the order r₂, r₃, r₄, r₁.
+ */
+function renderLinkage(c, view, pos, colour = 'blue', drawLabels = false) {
+  const toCanvas = view.worldToCanvas;
+  const pO2 = toCanvas(pos.O2);
+  const pA = toCanvas(pos.A);
+  const pB = toCanvas(pos.B);
+  const pO4 = toCanvas(pos.O4);
+  c.strokeStyle = colour;
+  c.lineWidth = 2;
+  c.beginPath();
+  // Input link, coupler and output link
+  c.moveTo(pO2.x, pO2.y);
+  c.lineTo(pA.x, pA.y);
+  c.lineTo(pB.x, pB.y);
+  c.lineTo(pO4.x, pO4.y);
+  c.stroke();
+  // Ground link r1 separately (O2 to O4)
+  c.beginPath();
+  c.moveTo(pO2.x, pO2.y);
+  c.lineTo(pO4.x, pO4.y);
+  c.stroke();
+  if (pos.P) {
+    const pP = toCanvas(pos.P);
+    c.save();
+    c.fillStyle = colour;
+    c.globalAlpha = 0.15;
+    c.beginPath();
+    c.moveTo(pA.x, pA.y);
+    c.lineTo(pB.x, pB.y);
+    c.lineTo(pP.x, pP.y);
+    c.closePath();
+    c.fill();
+    c.globalAlpha = 1;
+    c.stroke();
+    c.beginPath();
+    c.arc(pP.x, pP.y, 4, 0, 2 * Math.PI);
+    c.fill();
+    c.restore();
+  }
+  if (drawLabels) {
+    const labels = Array.isArray(drawLabels) ? drawLabels : ['r₂', 'r₃', 'r₄', 'r₁'];
+    c.save();
+    c.fillStyle = colour;
+    c.font = '16px Arial';
+    [
+      [pO2, pA],
+      [pA, pB],
+      [pB, pO4],
+      [pO2, pO4],
+    ].forEach(([p1, p2], k) => {
+      const label = labels[k];
+      const midX = (p1.x + p2.x) / 2;
+      const midY = (p1.y + p2.y) / 2;
+      const length = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+      if (length === 0) {
+        c.fillText(label, midX, midY);
+        return;
+      }
+      // Offset the label 15 pixels perpendicular to the link
+      const lx = midX - ((p2.y - p1.y) / length) * 15;
+      const ly = midY + ((p2.x - p1.x) / length) * 15;
+      c.fillText(label, lx - c.measureText(label).width / 2, ly);
+    });
+    c.restore();
+  }
+}
+
+/**
+ * Draw the ground pivots O2, O4 and O6 of a configuration (only those
+ * present) as small circles with labels.
+ */
+function renderPivots(c, view, pos) {
+  c.save();
+  c.lineWidth = 1.5;
+  c.strokeStyle = '#000000';
+  c.font = '12px Arial';
+  [
+    { p: pos.O2, label: 'O₂' },
+    { p: pos.O4, label: 'O₄' },
+    { p: pos.O6, label: 'O₆' },
+  ]
+    .filter(({ p }) => p)
+    .forEach(({ p, label }) => {
+      const q = view.worldToCanvas(p);
+      c.fillStyle = '#ffffff';
+      c.beginPath();
+      c.arc(q.x, q.y, 5, 0, 2 * Math.PI);
+      c.fill();
+      c.stroke();
+      c.fillStyle = '#000000';
+      c.fillText(label, q.x - 8, q.y + 18);
+    });
+  c.restore();
+}
+
+/**
+ * Draw a series six‑bar configuration {O2, A, B, O4, C, D, O6} from
+ * computeSixBarPositions: both four‑bar stages, with the ternary link
+ * O4‑B‑C filled in, and optionally the link labels (primed for stage 2).
+ * Where stage 2 cannot be assembled (ψ is NaN) only stage 1 is drawn.
+ */
+function renderSixBar(c, view, pos, colour = 'blue', drawLabels = false) {
+  renderLinkage(c, view, { O2: pos.O2, A: pos.A, B: pos.B, O4: pos.O4 }, colour, drawLabels);
+  if (Number.isNaN(pos.psi)) return;
+  renderLinkage(c, view, { O2: pos.O4, A: pos.C, B: pos.D, O4: pos.O6 }, colour, drawLabels && ['r₂′', 'r₃′', 'r₄′', 'r₁′']);
+  const [pO4, pB, pC] = [pos.O4, pos.B, pos.C].map(view.worldToCanvas);
+  c.save();
+  c.fillStyle = colour;
+  c.globalAlpha = 0.15;
+  c.beginPath();
+  c.moveTo(pO4.x, pO4.y);
+  c.lineTo(pB.x, pB.y);
+  c.lineTo(pC.x, pC.y);
+  c.closePath();
+  c.fill();
+  c.restore();
+}
+
+/**
+ * Draw an arrow between two canvas points with a small arrow head.
+ */
+function renderArrow(c, from, to, colour) {
+  const angle = Math.atan2(to.y - from.y, to.x - from.x);
+  const head = 8;
+  c.save();
+  c.strokeStyle = colour;
+  c.fillStyle = colour;
+  c.lineWidth = 2;
+  c.beginPath();
+  c.moveTo(from.x, from.y);
+  c.lineTo(to.x, to.y);
+  c.stroke();
+  c.beginPath();
+  c.moveTo(to.x, to.y);
+  c.lineTo(to.x - head * Math.cos(angle - Math.PI / 6), to.y - head * Math.sin(angle - Math.PI / 6));
+  c.lineTo(to.x - head * Math.cos(angle + Math.PI / 6), to.y - head * Math.sin(angle + Math.PI / 6));
+  c.closePath();
+  c.fill();
+  c.restore();
+}
+
+/**
+ * Joint positions in global coordinates of precision position i of a
+ * linkage state, with the coupler point P when the state has one.
+ */
+function statePrecisionPosition(state, i) {
+  const { r1, r2, r4 } = state;
+  const theta = deg2rad(state.thetaDeg[i]);
+  const phi = deg2rad(state.phiDeg[i]);
+  const pos = {
+    O2: { x: 0, y: 0 },
+    A: { x: r2 * Math.cos(theta), y: r2 * Math.sin(theta) },
+    B: { x: r1 + r4 * Math.cos(phi), y: r4 * Math.sin(phi) },
+    O4: { x: r1, y: 0 },
+  };
+  if (state.couplerPoint) pos.P = couplerPointPosition(pos.A, pos.B, state.couplerPoint.distance, state.couplerPoint.angle);
+  return toGlobalPositions(pos, state.ground || DEFAULT_GROUND);
+}
+
+/**
+ * Placement of the fixed link of a state's inversion, or null when the
+ * ground is fixed: where the link is at precision position 1.
+ */
+function stateInversionFrame(state) {
+  if (!state.inversion || state.inversion === 'ground') return null;
+  return linkFrame(statePrecisionPosition(state, 0), state.inversion);
+}
+
+/**
+ * Global joint positions of a state as seen with its fixed link held.
+ */
+function stateInversion(state, pos) {
+  const frame = stateInversionFrame(state);
+  return frame ? invertPositions(pos, state.inversion, frame) : pos;
+}
+
+/**
+ * Draw the linkage of a state at each of its precision positions in
+ * distinct colours, labelled θᵢ at the input joint and φᵢ at the output
+ * joint.  With poseAnglesDeg (motion generation) each coupler triangle
+ * carries an arrow along the prescribed coupler orientation γᵢ.
+ */
+function renderPrecisionPositions(c, view, state) {
+  state.thetaDeg.forEach((_, i) => {
+    const colour = POSITION_COLOURS[i % POSITION_COLOURS.length];
+    const pos = stateInversion(state, statePrecisionPosition(state, i));
+    renderLinkage(c, view, pos, colour, false);
+    // The prescribed orientations γᵢ are absolute, so they are left out of an inversion
+    if (pos.P && state.poseAnglesDeg && !stateInversionFrame(state)) {
+      const from = view.worldToCanvas(pos.P);
+      const gamma = deg2rad(state.poseAnglesDeg[i]);
+      renderArrow(c, from, { x: from.x + 25 * Math.cos(gamma), y: from.y - 25 * Math.sin(gamma) }, colour);
+    }
+    const pA = view.worldToCanvas(pos.A);
+    const pB = view.worldToCanvas(pos.B);
+    c.fillStyle = colour;
+    c.font = '12px Arial';
+    c.fillText(`θ${i + 1}`, pA.x - 20, pA.y - 5);
+    c.fillText(`φ${i + 1}`, pB.x + 5, pB.y - 5);
+  });
+}
+
+/**
+ * Draw the coupler curve of a state with a coupler point on both assembly
+ * branches: solid on the branch of state.mode, dashed and lighter on the
+ * other.  An inverted state draws its relative paths instead (see
+ * renderInversionPaths).
+ */
+function renderCouplerCurve(c, view, state) {
+  if (!state.couplerPoint || stateInversionFrame(state)) return;
+  const curve = couplerCurve(state.r1, state.r2, state.r3, state.r4, state.couplerPoint);
+  const frame = state.ground || DEFAULT_GROUND;
+  c.save();
+  c.lineWidth = 1.5;
+  for (const mode of ['open', 'closed']) {
+    const current = mode === (state.mode || 'open');
+    c.strokeStyle = current ? '#aa00aa' : '#d9a0d9';
+    c.setLineDash(current ? [] : [5, 4]);
+    curve[mode].forEach((segment) => {
+      c.beginPath();
+      segment.forEach((pt, i) => {
+        const p = view.worldToCanvas(toGlobal(pt, frame));
+        if (i === 0) c.moveTo(p.x, p.y);
+        else c.lineTo(p.x, p.y);
+      });
+      c.stroke();
+    });
+  }
+  c.restore();
+}
+
+/**
+ * Draw the paths that the joints of an inversion trace relative to the
+ * fixed link, from a sweepInversion result in global coordinates – e.g.
+ * the path of O4 seen from the coupler – dashed and labelled, with the
+ * fixed link underlaid as a wide grey bar.
+ */
+function renderInversionPaths(c, view, sweep) {
+  const fixed = INVERSION_LINKS[sweep.link];
+  const first = sweep.samples.find((sample) => sample.pos);
+  if (!first) return;
+  const labels = { O2: 'O₂', A: 'A', B: 'B', O4: 'O₄', P: 'P' };
+  c.save();
+  const [p1, p2] = fixed.map((key) => view.worldToCanvas(first.pos[key]));
+  c.strokeStyle = '#999999';
+  c.lineWidth = 8;
+  c.lineCap = 'round';
+  c.beginPath();
+  c.moveTo(p1.x, p1.y);
+  c.lineTo(p2.x, p2.y);
+  c.stroke();
+  c.lineCap = 'butt';
+  c.lineWidth = 1.5;
+  c.strokeStyle = '#aa00aa';
+  c.fillStyle = '#aa00aa';
+  c.font = '11px Arial';
+  c.setLineDash([5, 4]);
+  Object.keys(labels)
+    .filter((key) => first.pos[key] && !fixed.includes(key))
+    .forEach((key) => {
+      let last = null;
+      c.beginPath();
+      sweep.samples.forEach((sample) => {
+        if (!sample.pos) {
+          last = null;
+          return;
+        }
+        const p = view.worldToCanvas(sample.pos[key]);
+        if (last) c.lineTo(p.x, p.y);
+        else c.moveTo(p.x, p.y);
+        last = p;
+      });
+      c.stroke();
+      const end = sweep.samples.filter((sample) => sample.pos).pop();
+      const p = view.worldToCanvas(end.pos[key]);
+      c.fillText(`${labels[key]} path`, p.x + 6, p.y + 12);
+    });
+  c.restore();
+}
+
+/**
+ * Render a complete view of a four‑bar state: grid, coupler curve (or the
+ * relative paths of an inversion over a crank turn), precision positions,
+ * the linkage at crank angle crankDeg (θ₁ when not given) with link
+ * labels, and the ground pivots.
+ *
+ * @param {object} c  Canvas2D‑like context
+ * @param {object} state  linkage state (see above)
+ * @param {{width?: number, height?: number, zoom?: number, offsetX?: number, offsetY?: number}} options
+ *        view settings; the size defaults to that of c.canvas
+ * @returns {object}  the view used, e.g. for hit testing
+ */
+function renderMechanism(c, state, options = {}) {
+  const ground = state.ground || DEFAULT_GROUND;
+  const view = createView({
+    width: options.width || c.canvas.width,
+    height: options.height || c.canvas.height,
+    length: state.r1,
+    center: ground.O2,
+    zoom: options.zoom,
+    offsetX: options.offsetX,
+    offsetY: options.offsetY,
+  });
+  renderGrid(c, view);
+  renderCouplerCurve(c, view, state);
+  const crank = deg2rad(state.crankDeg !== undefined ? state.crankDeg : state.thetaDeg[0]);
+  const { r1, r2, r3, r4 } = state;
+  const inversionFrame = stateInversionFrame(state);
+  if (inversionFrame) {
+    const theta1 = deg2rad(state.thetaDeg[0]);
+    // Positions relative to the fixed link do not depend on the ground frame
+    const sweep = sweepInversion(state, state.mode || 'open', state.inversion, theta1 - Math.PI, theta1 + Math.PI, 360, inversionFrame);
+    renderInversionPaths(c, view, sweep);
+  }
+  renderPrecisionPositions(c, view, state);
+  const pos = stateInversion(
+    state,
+    computeFourBarPositions(r1, r2, r3, r4, crank, deg2rad(state.phiDeg[0]), state.mode || 'open', state.couplerPoint, ground)
+  );
+  if (!Number.isNaN(pos.phi)) renderLinkage(c, view, pos, 'blue', true);
+  renderPivots(c, view, pos);
+  return view;
+}
+
+/**
+ * Round tick values covering [lo, hi] with about maxTicks intervals, at
+ * steps of 1, 2 or 5 × 10ᵏ; for angles in degrees the steps above 10° are
+ * 15°, 30°, 45°, 90°, 180° or 360° instead.
+ *
+ * @returns {{step: number, values: number[], decimals: number}}
+ */
+function axisTicks(lo, hi, maxTicks, degrees = false) {
+  const span = hi - lo;
+  if (!(span > 0) || !Number.isFinite(span)) return { step: 0, values: [], decimals: 0 };
+  const raw = span / maxTicks;
+  const power = 10 ** Math.floor(Math.log10(raw));
+  let step = [1, 2, 5, 10].map((k) => k * power).find((s) => s >= raw * (1 - 1e-9));
+  if (degrees && raw > 10 && raw <= 360) step = [15, 30, 45, 90, 180, 360].find((s) => s >= raw);
+  const values = [];
+  for (let k = Math.ceil(lo / step - 1e-9); k * step <= hi + step * 1e-9; k++) values.push(k * step);
+  return { step, values, decimals: Math.max(0, -Math.floor(Math.log10(step) + 1e-9)) };
+}
+
+// Helper: the sample of a series nearest to the given θ (radians), or null
+function nearestSample(samples, theta) {
+  return samples.reduce(
+    (best, p) => (!Number.isFinite(p.theta) || (best && Math.abs(best.theta - theta) <= Math.abs(p.theta - theta)) ? best : p),
+    null
+  );
+}
+
+/**
+ * Render the φ–θ plot of a four‑bar as a chart: the output angle over the
+ * crank range on the assembly branch, with gaps where the linkage cannot
+ * be assembled, the precision points in red, gridlines at round values
+ * of the axes and a legend of the curves shown.  Angles are given in
+ * degrees from the ground line; the axes are labelled in degrees or
+ * radians.
+ *
+ * The plot object holds the linkage state fields r1…r4, mode, thetaDeg
+ * and phiDeg, plus
+ *   width, height     plot size in pixels (default: that of c.canvas)
+ *   units             'deg' (default) or 'rad' for the axes and labels
+ *   thetaRangeDeg     crank range [min, max] (default: the precision angles,
+ *                     widened to the extent of the curve when one is given)
+ *   viewport          {thetaDeg: [min, max], phiDeg: [min, max]} shown, to
+ *                     pan and zoom (default: the extent of the data)
+ *   samples           number of sample intervals (default 100)
+ *   curve             precomputed {samples: [{theta, phi}]} in radians over
+ *                     thetaRangeDeg to plot instead of the four‑bar sweep,
+ *                     e.g. the overall output of a six‑bar
+ *   inputSymbol, outputSymbol  names of the angles in labels (default 'θ', 'φ'),
+ *                     e.g. the relative angles of a sweepInversion curve
+ *   showLimits        mark input limit angles and rocker toggles
+ *   showOtherBranch   also draw φ on the other assembly branch (dashed)
+ *   showTransmission  draw the transmission angle μ on a 0–180° axis at the
+ *                     right, with dotted lines at minTransmissionDeg and its
+ *                     supplement when given
+ *   series            extra curves [{label, color, dash, samples: [{theta, phi}]}]
+ *                     in radians on the φ axis
+ *   structuralError   result of structuralError to overlay, with
+ *   showIdeal, showError  whether to draw the ideal curve and the error curve
+ *   tolerance         toleranceAnalysis result over the same range and samples,
+ *                     drawn as a band with red bars where assembly fails
+ *   current           {thetaDeg, phiDeg} marked with a cursor, or null
+ *   readout           list the value of every curve at the current θ in a box
+ *   legend            false to leave out the legend
+ *   angleOffsetDeg    added to angles in labels (e.g. the ground angle)
+ *
+ * Returns the mapping between the plot and the data, e.g. for panning and
+ * hover: the margin, the visible thetaRangeDeg and phiRangeDeg,
+ * thetaAt(x) and phiAt(y) in radians, and sampleAt(x), the assemblable
+ * sample of the curve nearest to x (with its crank angle when the curve
+ * came from sweepInversion), or null.
+ */
+function renderPhiThetaPlot(c, plot) {
+  const { r1, r2, r3, r4 } = plot;
+  const mode = plot.mode || 'open';
+  const w = plot.width || c.canvas.width;
+  const h = plot.height || c.canvas.height;
+  const margin = 40;
+  const rad2deg = (rad) => (rad * 180) / Math.PI;
+  const inputSymbol = plot.inputSymbol || 'θ';
+  const symbol = plot.outputSymbol || 'φ';
+  const offset = plot.angleOffsetDeg || 0;
+  const degrees = plot.units !== 'rad';
+  const unit = degrees ? '°' : 'rad';
+  // Angle from the ground line (radians) as shown on the axes and back
+  const shown = (rad) => (degrees ? rad2deg(rad) + offset : rad + deg2rad(offset));
+  const fromShown = (value) => (degrees ? deg2rad(value - offset) : value - deg2rad(offset));
+  const format = (rad) => (degrees ? `${shown(rad).toFixed(1)}°` : `${shown(rad).toFixed(3)} rad`);
+  const thetaVals = plot.thetaDeg.map(deg2rad);
+  const phiVals = plot.phiDeg.map(deg2rad);
+  const curveThetaDeg = plot.curve ? plot.curve.samples.map((p) => rad2deg(p.theta)).filter(Number.isFinite) : [];
+  const [thetaMin, thetaMax] = (
+    plot.thetaRangeDeg || [Math.min(...plot.thetaDeg, ...curveThetaDeg), Math.max(...plot.thetaDeg, ...curveThetaDeg)]
+  ).map(deg2rad);
+  const targetError = plot.structuralError || null;
+  const showIdeal = Boolean(targetError && plot.showIdeal);
+  const showError = Boolean(targetError && plot.showError);
+  const band = plot.tolerance || null;
+  c.clearRect(0, 0, w, h);
+  c.fillStyle = '#ffffff';
+  c.fillRect(0, 0, w, h);
+  const phiIdeal = showIdeal ? targetError.samples.map((p) => deg2rad(p.phiIdealDeg)) : [];
+  // φ for a dense set of θ, continuous along the branch
+  const sweep = plot.curve || sweepFourBar(r1, r2, r3, r4, mode, thetaMin, thetaMax, plot.samples || 100);
+  const samples = sweep.samples.length - 1;
+  const phiComputed = sweep.samples.map((p) => p.phi);
+  const otherMode = mode === 'open' ? 'closed' : 'open';
+  const other =
+    plot.showOtherBranch && !plot.curve ? sweepFourBar(r1, r2, r3, r4, otherMode, thetaMin, thetaMax, plot.samples || 100) : null;
+  const transmission =
+    plot.showTransmission && !plot.curve
+      ? sweep.samples.map((p) => ({ theta: p.theta, phi: transmissionAngle(r1, r2, r3, r4, p.theta) }))
+      : null;
+  const series = plot.series || [];
+  const bandLo = band ? phiComputed.map((phi, i) => phi + deg2rad(band.samples[i].minErrorDeg)) : [];
+  const bandHi = band ? phiComputed.map((phi, i) => phi + deg2rad(band.samples[i].maxErrorDeg)) : [];
+  const phiFinite = phiComputed
+    .concat(phiVals, phiIdeal, bandLo, bandHi, other ? other.samples.map((p) => p.phi) : [])
+    .concat(...series.map((s) => s.samples.map((p) => p.phi)))
+    .filter(Number.isFinite);
+  let [viewThetaMin, viewThetaMax] = plot.viewport ? plot.viewport.thetaDeg.map(deg2rad) : [thetaMin, thetaMax];
+  let [phiMin, phiMax] = plot.viewport ? plot.viewport.phiDeg.map(deg2rad) : [Math.min(...phiFinite), Math.max(...phiFinite)];
+  // Keep a usable scale for a constant output or a single crank angle
+  if (!(phiMax - phiMin > 1e-9)) {
+    phiMin = (Number.isFinite(phiMin) ? phiMin : 0) - deg2rad(1);
+    phiMax = phiMin + deg2rad(2);
+  }
+  if (!(viewThetaMax - viewThetaMin > 1e-9)) {
+    viewThetaMin -= deg2rad(1);
+    viewThetaMax = viewThetaMin + deg2rad(2);
+  }
+  const px = (theta) => margin + ((theta - viewThetaMin) / (viewThetaMax - viewThetaMin)) * (w - 2 * margin);
+  const py = (phi) => margin + ((phiMax - phi) / (phiMax - phiMin)) * (h - 2 * margin);
+  // Secondary axis of the transmission angle, 0–180° from bottom to top
+  const muY = (mu) => margin + ((Math.PI - mu) / Math.PI) * (h - 2 * margin);
+  const polyline = (points, yOf = py) => {
+    c.beginPath();
+    let penDown = false;
+    points.forEach((p) => {
+      if (!Number.isFinite(p.theta) || !Number.isFinite(p.phi)) {
+        penDown = false;
+        return;
+      }
+      if (penDown) c.lineTo(px(p.theta), yOf(p.phi));
+      else c.moveTo(px(p.theta), yOf(p.phi));
+      penDown = true;
+    });
+    c.stroke();
+  };
+  // Gridlines at the ticks of both axes
+  const xTicks = axisTicks(shown(viewThetaMin), shown(viewThetaMax), Math.max(2, Math.floor((w - 2 * margin) / 60)), degrees);
+  const yTicks = axisTicks(shown(phiMin), shown(phiMax), Math.max(2, Math.floor((h - 2 * margin) / 40)), degrees);
+  c.strokeStyle = '#e4e4e4';
+  c.lineWidth = 1;
+  c.beginPath();
+  xTicks.values.forEach((value) => {
+    const x = px(fromShown(value));
+    c.moveTo(x, margin);
+    c.lineTo(x, h - margin);
+  });
+  yTicks.values.forEach((value) => {
+    const y = py(fromShown(value));
+    c.moveTo(margin, y);
+    c.lineTo(w - margin, y);
+  });
+  c.stroke();
+  if (band) {
+    const sx = (i) => px(sweep.samples[i].theta);
+    c.save();
+    c.fillStyle = 'rgba(0, 119, 204, 0.2)';
+    // One polygon per run of samples where the band is defined
+    let start = null;
+    for (let i = 0; i <= samples + 1; i++) {
+      const ok = i <= samples && Number.isFinite(bandLo[i]) && Number.isFinite(bandHi[i]);
+      if (ok && start === null) start = i;
+      if (!ok && start !== null) {
+        c.beginPath();
+        for (let j = start; j < i; j++) c.lineTo(sx(j), py(bandHi[j]));
+        for (let j = i - 1; j >= start; j--) c.lineTo(sx(j), py(bandLo[j]));
+        c.closePath();
+        c.fill();
+        start = null;
+      }
+    }
+    // Red bars on the θ axis where perturbed linkages fail to assemble,
+    // as tall as the share of failing trials
+    c.fillStyle = '#cc0000';
+    band.samples.forEach((row, i) => {
+      if (row.failures > 0) {
+        const height = Math.max(2, (row.failures / band.trials) * 30);
+        c.fillRect(sx(i) - 1, h - margin - height, 2, height);
+      }
+    });
+    c.restore();
+  }
+  // Transmission angle with the μ limit and its supplement
+  if (transmission) {
+    c.save();
+    c.strokeStyle = '#009944';
+    c.lineWidth = 1.5;
+    polyline(transmission, muY);
+    if (Number.isFinite(plot.minTransmissionDeg)) {
+      c.lineWidth = 1;
+      c.setLineDash([2, 3]);
+      c.beginPath();
+      [plot.minTransmissionDeg, 180 - plot.minTransmissionDeg].forEach((limit) => {
+        c.moveTo(margin, muY(deg2rad(limit)));
+        c.lineTo(w - margin, muY(deg2rad(limit)));
+      });
+      c.stroke();
+    }
+    c.restore();
+  }
+  // Other assembly branch and extra series
+  c.save();
+  if (other) {
+    c.strokeStyle = '#77aadd';
+    c.lineWidth = 1.5;
+    c.setLineDash([6, 3]);
+    polyline(other.samples);
+  }
+  series.forEach((s) => {
+    c.strokeStyle = s.color || '#aa00aa';
+    c.lineWidth = 1.5;
+    c.setLineDash(s.dash || []);
+    polyline(s.samples);
+  });
+  c.restore();
+  // Computed φ–θ curve, with gaps where the linkage cannot be assembled
+  c.strokeStyle = '#0077cc';
+  c.lineWidth = 2;
+  polyline(sweep.samples);
+  if (plot.showLimits && !plot.curve) {
+    c.save();
+    c.font = '11px Arial';
+    c.strokeStyle = '#cc0000';
+    c.fillStyle = '#cc0000';
+    c.setLineDash([4, 3]);
+    sweep.limits.forEach((lim) => {
+      const x = px(lim.theta);
+      c.beginPath();
+      c.moveTo(x, margin);
+      c.lineTo(x, h - margin);
+      c.stroke();
+      c.fillText('limit', x + 3, margin + 10);
+    });
+    c.setLineDash([]);
+    c.fillStyle = '#007700';
+    sweep.toggles.forEach((tog) => {
+      const x = px(tog.theta);
+      const y = py(tog.phi);
+      c.beginPath();
+      c.moveTo(x, y - 6);
+      c.lineTo(x - 5, y + 3);
+      c.lineTo(x + 5, y + 3);
+      c.closePath();
+      c.fill();
+      c.fillText(format(tog.phi), x + 6, y - 4);
+    });
+    c.restore();
+  }
+  // Ideal curve of the target function
+  const idealPoints = showIdeal ? targetError.samples.map((p, i) => ({ theta: deg2rad(p.thetaDeg), phi: phiIdeal[i] })) : [];
+  if (showIdeal) {
+    c.save();
+    c.strokeStyle = '#555555';
+    c.lineWidth = 1;
+    c.setLineDash([6, 4]);
+    polyline(idealPoints);
+    c.restore();
+  }
+  // Structural error curve on a secondary axis centred on the plot,
+  // with the local extremes annotated
+  if (showError) {
+    const finite = targetError.samples.filter((p) => Number.isFinite(p.errorDeg));
+    const errScale = Math.max(1e-9, ...finite.map((p) => Math.abs(p.errorDeg)));
+    const errX = (thetaDeg) => px(deg2rad(thetaDeg));
+    const errY = (errorDeg) => h / 2 - (errorDeg / errScale) * (h / 2 - margin);
+    c.save();
+    c.strokeStyle = '#cccccc';
+    c.lineWidth = 1;
+    c.beginPath();
+    c.moveTo(margin, h / 2);
+    c.lineTo(w - margin, h / 2);
+    c.stroke();
+    c.strokeStyle = '#e07000';
+    c.setLineDash([2, 2]);
+    c.beginPath();
+    let errPenDown = false;
+    targetError.samples.forEach((p) => {
+      if (!Number.isFinite(p.errorDeg)) {
+        errPenDown = false;
+        return;
+      }
+      if (errPenDown) c.lineTo(errX(p.thetaDeg), errY(p.errorDeg));
+      else c.moveTo(errX(p.thetaDeg), errY(p.errorDeg));
+      errPenDown = true;
+    });
+    c.stroke();
+    c.setLineDash([]);
+    c.fillStyle = '#e07000';
+    c.font = '11px Arial';
+    targetError.extremes.forEach((e) => {
+      const ex = errX(e.thetaDeg);
+      const ey = errY(e.errorDeg);
+      c.beginPath();
+      c.arc(ex, ey, 3, 0, 2 * Math.PI);
+      c.fill();
+      c.fillText(`${e.errorDeg.toFixed(3)}°`, ex + 4, e.errorDeg >= 0 ? ey - 4 : ey + 12);
+    });
+    c.restore();
+  }
+  // Precision points
+  c.fillStyle = '#ff0000';
+  thetaVals.forEach((theta, i) => {
+    c.beginPath();
+    c.arc(px(theta), py(phiVals[i]), 4, 0, 2 * Math.PI);
+    c.fill();
+  });
+  // Cursor at the current θ with a marker on the curve
+  let cursor = null;
+  if (plot.current && Number.isFinite(plot.current.thetaDeg)) {
+    const currentTheta = deg2rad(plot.current.thetaDeg);
+    let currentPhi = deg2rad(plot.current.phiDeg);
+    // Bring φ onto the same revolution as the plotted curve
+    const nearest = nearestSample(
+      sweep.samples.filter((p) => !Number.isNaN(p.phi)),
+      currentTheta
+    );
+    if (nearest && Number.isFinite(currentPhi)) currentPhi = nearest.phi + normalizeAngle(currentPhi - nearest.phi);
+    cursor = { theta: currentTheta, phi: currentPhi, x: px(currentTheta), y: py(currentPhi) };
+    c.strokeStyle = '#888888';
+    c.lineWidth = 1;
+    c.beginPath();
+    c.moveTo(cursor.x, margin);
+    c.lineTo(cursor.x, h - margin);
+    c.stroke();
+    if (Number.isFinite(currentPhi)) {
+      c.fillStyle = '#0000ff';
+      c.beginPath();
+      c.arc(cursor.x, cursor.y, 4, 0, 2 * Math.PI);
+      c.fill();
+    }
+  }
+  // Clear the margins of everything drawn outside the visible window
+  c.fillStyle = '#ffffff';
+  c.fillRect(0, 0, w, margin);
+  c.fillRect(0, h - margin, w, margin);
+  c.fillRect(0, 0, margin, h);
+  c.fillRect(w - margin, 0, margin, h);
+  // Axes with tick labels
+  c.strokeStyle = '#333333';
+  c.lineWidth = 1;
+  c.beginPath();
+  c.moveTo(margin, h - margin);
+  c.lineTo(w - margin, h - margin);
+  c.moveTo(margin, margin);
+  c.lineTo(margin, h - margin);
+  if (transmission) {
+    c.moveTo(w - margin, margin);
+    c.lineTo(w - margin, h - margin);
+  }
+  c.stroke();
+  c.font = '10px Arial';
+  c.fillStyle = '#333333';
+  xTicks.values.forEach((value) => {
+    const text = value.toFixed(xTicks.decimals);
+    c.fillText(text, px(fromShown(value)) - c.measureText(text).width / 2, h - margin + 12);
+  });
+  yTicks.values.forEach((value) => {
+    const text = value.toFixed(yTicks.decimals);
+    c.fillText(text, margin - 4 - c.measureText(text).width, py(fromShown(value)) + 3);
+  });
+  if (transmission) {
+    const muTicks = axisTicks(0, degrees ? 180 : Math.PI, 4, degrees);
+    c.fillStyle = '#009944';
+    muTicks.values.forEach((value) => {
+      c.fillText(value.toFixed(muTicks.decimals), w - margin + 4, muY(degrees ? deg2rad(value) : value) + 3);
+    });
+    c.fillText(`μ (${unit})`, w - margin + 2, margin - 8);
+  }
+  c.font = '12px Arial';
+  c.fillStyle = '#000000';
+  c.fillText(`${inputSymbol} (${unit})`, w - margin - 30, h - margin + 28);
+  c.fillText(`${symbol} (${unit})`, 4, margin - 8);
+  if (showError) {
+    c.fillStyle = '#e07000';
+    c.font = '11px Arial';
+    c.fillText(`error (°), max |e| = ${targetError.maxAbsErrorDeg.toFixed(3)}°`, w - margin - 190, margin - 10);
+  }
+  if (cursor) {
+    c.font = '12px Arial';
+    const label = `${inputSymbol}=${format(cursor.theta)}`;
+    // Over the tick labels of the θ axis
+    c.fillStyle = '#ffffff';
+    c.fillRect(cursor.x - 22, h - margin + 2, c.measureText(label).width + 4, 14);
+    c.fillStyle = '#333333';
+    c.fillText(label, cursor.x - 20, h - margin + 13);
+    if (Number.isFinite(cursor.phi)) c.fillText(`${symbol}=${format(cursor.phi)}`, cursor.x + 5, cursor.y - 5);
+  }
+  // Legend of the curves shown
+  const entries = [{ label: plot.curve ? symbol : `${symbol} (${mode})`, color: '#0077cc' }];
+  if (other) entries.push({ label: `${symbol} (${otherMode})`, color: '#77aadd', dash: [6, 3] });
+  series.forEach((s) => entries.push({ label: s.label, color: s.color || '#aa00aa', dash: s.dash }));
+  if (showIdeal) entries.push({ label: 'target', color: '#555555', dash: [6, 4] });
+  if (showError) entries.push({ label: 'error', color: '#e07000', dash: [2, 2] });
+  if (transmission) entries.push({ label: 'μ (right axis)', color: '#009944' });
+  if (band) entries.push({ label: 'tolerance band', color: 'rgba(0, 119, 204, 0.2)', fill: true });
+  entries.push({ label: 'precision points', color: '#ff0000', dot: true });
+  if (plot.legend !== false && entries.length > 2) {
+    c.save();
+    c.font = '11px Arial';
+    const boxW = Math.max(...entries.map((e) => c.measureText(e.label).width)) + 34;
+    const x0 = w - margin - boxW - 4;
+    const y0 = margin + 4;
+    c.globalAlpha = 0.85;
+    c.fillStyle = '#ffffff';
+    c.fillRect(x0, y0, boxW, entries.length * 14 + 6);
+    c.globalAlpha = 1;
+    c.strokeStyle = '#cccccc';
+    c.lineWidth = 1;
+    c.strokeRect(x0, y0, boxW, entries.length * 14 + 6);
+    entries.forEach((e, i) => {
+      const y = y0 + 12 + i * 14;
+      c.fillStyle = e.color;
+      c.strokeStyle = e.color;
+      if (e.dot) {
+        c.beginPath();
+        c.arc(x0 + 15, y - 4, 3, 0, 2 * Math.PI);
+        c.fill();
+      } else if (e.fill) {
+        c.fillRect(x0 + 6, y - 8, 18, 8);
+      } else {
+        c.lineWidth = 2;
+        c.setLineDash(e.dash || []);
+        c.beginPath();
+        c.moveTo(x0 + 6, y - 4);
+        c.lineTo(x0 + 24, y - 4);
+        c.stroke();
+        c.setLineDash([]);
+      }
+      c.fillStyle = '#333333';
+      c.fillText(e.label, x0 + 30, y);
+    });
+    c.restore();
+  }
+  // Value of every curve at the current θ
+  if (plot.readout && cursor) {
+    const valueAt = (points) => {
+      const p = nearestSample(points, cursor.theta);
+      return p && Number.isFinite(p.phi) ? format(p.phi) : '—';
+    };
+    const lines = [`${inputSymbol} = ${format(cursor.theta)}`, `${symbol} = ${Number.isFinite(cursor.phi) ? format(cursor.phi) : '—'}`];
+    if (other) lines.push(`${symbol} (${otherMode}) = ${valueAt(other.samples)}`);
+    series.forEach((s) => lines.push(`${s.label} = ${valueAt(s.samples)}`));
+    if (showIdeal) lines.push(`target = ${valueAt(idealPoints)}`);
+    if (showError) {
+      const e = nearestSample(
+        targetError.samples.map((p) => ({ theta: deg2rad(p.thetaDeg), phi: p.errorDeg })),
+        cursor.theta
+      );
+      lines.push(`error = ${e && Number.isFinite(e.phi) ? `${e.phi.toFixed(3)}°` : '—'}`);
+    }
+    if (transmission) {
+      const mu = transmissionAngle(r1, r2, r3, r4, cursor.theta);
+      lines.push(`μ = ${Number.isFinite(mu) ? (degrees ? `${rad2deg(mu).toFixed(1)}°` : `${mu.toFixed(3)} rad`) : '—'}`);
+    }
+    c.save();
+    c.font = '11px Arial';
+    const boxW = Math.max(...lines.map((line) => c.measureText(line).width)) + 10;
+    c.globalAlpha = 0.9;
+    c.fillStyle = '#ffffee';
+    c.fillRect(margin + 4, margin + 4, boxW, lines.length * 14 + 4);
+    c.globalAlpha = 1;
+    c.strokeStyle = '#999999';
+    c.lineWidth = 1;
+    c.strokeRect(margin + 4, margin + 4, boxW, lines.length * 14 + 4);
+    c.fillStyle = '#333333';
+    lines.forEach((line, i) => c.fillText(line, margin + 9, margin + 16 + i * 14));
+    c.restore();
+  }
+  const plotW = w - 2 * margin;
+  const plotH = h - 2 * margin;
+  return {
+    margin,
+    thetaRangeDeg: [rad2deg(viewThetaMin), rad2deg(viewThetaMax)],
+    phiRangeDeg: [rad2deg(phiMin), rad2deg(phiMax)],
+    thetaAt: (x) => viewThetaMin + ((x - margin) / plotW) * (viewThetaMax - viewThetaMin),
+    phiAt: (y) => phiMax - ((y - margin) / plotH) * (phiMax - phiMin),
+    sampleAt: (x) =>
+      sweep.samples.reduce(
+        (best, p) =>
+          !Number.isFinite(p.theta) || !Number.isFinite(p.phi) || (best && Math.abs(px(best.theta) - x) <= Math.abs(px(p.theta) - x))
+            ? best
+            : p,
+        null
+      ),
+  };
+}
+
+/* -------------------------------------------------------------------------
+ * Design documents
+ *
+ * A design document records everything needed to restore a design and the
+ * way it was being viewed:
+ *
+ *   {
+ *     format: 'fourbar-design', version: 1,
+ *     mechanism: 'fourbar' | 'slider-crank' | 'sixbar',
+ *     r1, pairs: [{thetaDeg, phiDeg, weight}], mode,
+ *     lengths: {r2, r3, r4} | {r2, r3, e} | {r2, r3, r4, r2b, r3b, r4b} | null,  // as synthesized when saved
+ *     ground: {O2: {x, y}, angleDeg, globalAngles},
+ *     view: {scale, offsetX, offsetY, fullRange},
+ *     slider,                               // slider position 0…1
+ *     crankRocker: {swingDeg, timeRatio, couplerRatio, r1 | r4} | null,
+ *     motion: {poses: [{x, y, angleDeg}] × 3, pivots: {A: {x, y}, B: {x, y}}} | null,
+ *     sixBar: {intermediateDeg: [φ₁, φ₂, φ₃], couplingDeg, groundAngleDeg, r1b} | null
+ *   }
+ *
+ * The ground link runs from O2 at angleDeg to the global x‑axis, with O4
+ * at distance r1; with globalAngles the pairs are measured from the global
+ * x‑axis instead of the ground line.  For a slider‑crank the phiDeg of
+ * each pair holds the slider displacement s and the guide runs along the
+ * ground line.  For a series six‑bar the phiDeg of each pair holds the
+ * output angle ψ, the lengths of stage 2 are r1b…r4b and sixBar holds the
+ * split through stage 1 (see sixBarSynthesis).  A crankRocker specification means the four‑bar is the
+ * crank‑rocker synthesized from it (see crankRockerSynthesis) rather than
+ * from the pairs, which are kept for later; likewise a motion
+ * specification stands for the result of motionGenerationSynthesis.  The same document is saved as JSON
+ * and encoded into the URL hash so a link restores the exact design and
+ * view.
+ */
+const DESIGN_FORMAT = 'fourbar-design';
+const DESIGN_VERSION = 1;
+const MECHANISM_TYPES = ['fourbar', 'slider-crank', 'sixbar'];
+
+/**
+ * Validate a design document (object or JSON text) and fill in defaults
+ * for the optional fields.  Throws an Error naming the first invalid field.
+ *
+ * @param {object|string} data  design document or its JSON text
+ * @returns {object}  normalized design document
+ */
+function parseDesign(data) {
+  const doc = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!doc || typeof doc !== 'object') throw new Error('Design document must be an object');
+  if (doc.format !== undefined && doc.format !== DESIGN_FORMAT) {
+    throw new Error(`Not a four‑bar design document (format "${doc.format}")`);
+  }
+  if (doc.version !== undefined && doc.version > DESIGN_VERSION) {
+    throw new Error(`Design document version ${doc.version} is newer than supported (${DESIGN_VERSION})`);
+  }
+  const finite = (value, name) => {
+    const v = Number(value);
+    if (!Number.isFinite(v)) throw new Error(`Design document: ${name} must be a finite number`);
+    return v;
+  };
+  const mechanism = doc.mechanism === undefined ? 'fourbar' : doc.mechanism;
+  if (!MECHANISM_TYPES.includes(mechanism)) throw new Error(`Design document: unknown mechanism "${mechanism}"`);
+  const r1 = finite(doc.r1, 'r1');
+  if (r1 <= 0) throw new Error('Design document: r1 must be positive');
+  if (!Array.isArray(doc.pairs) || doc.pairs.length < 3) {
+    throw new Error('Design document: at least three precision pairs are required');
+  }
+  if (mechanism !== 'fourbar' && doc.pairs.length !== 3) {
+    throw new Error(`Design document: a ${mechanism === 'sixbar' ? 'series six‑bar' : 'slider‑crank'} has exactly three precision pairs`);
+  }
+  const pairs = doc.pairs.map((pair, i) => ({
+    thetaDeg: finite(pair.thetaDeg, `pairs[${i}].thetaDeg`),
+    phiDeg: finite(pair.phiDeg, `pairs[${i}].phiDeg`),
+    weight: pair.weight === undefined ? 1 : finite(pair.weight, `pairs[${i}].weight`),
+  }));
+  const mode = doc.mode === undefined ? 'closed' : doc.mode;
+  if (mode !== 'open' && mode !== 'closed') throw new Error(`Design document: unknown assembly mode "${mode}"`);
+  let lengths = null;
+  if (doc.lengths) {
+    lengths = {};
+    designLengthKeys(mechanism).forEach((key) => {
+      lengths[key] = finite(doc.lengths[key], `lengths.${key}`);
+    });
+  }
+  let crankRocker = null;
+  if (doc.crankRocker) {
+    if (mechanism !== 'fourbar') throw new Error('Design document: a crank‑rocker specification needs the four‑bar mechanism');
+    const cr = doc.crankRocker;
+    const scale = cr.r4 !== undefined && cr.r4 !== null ? 'r4' : 'r1';
+    crankRocker = {
+      swingDeg: finite(cr.swingDeg, 'crankRocker.swingDeg'),
+      timeRatio: finite(cr.timeRatio, 'crankRocker.timeRatio'),
+      couplerRatio: finite(cr.couplerRatio, 'crankRocker.couplerRatio'),
+      [scale]: finite(cr[scale], `crankRocker.${scale}`),
+    };
+  }
+  let motion = null;
+  if (doc.motion) {
+    if (mechanism !== 'fourbar') throw new Error('Design document: motion generation needs the four‑bar mechanism');
+    if (crankRocker) throw new Error('Design document: a design cannot be both a crank‑rocker and a motion generator');
+    const { poses, pivots } = doc.motion;
+    if (!Array.isArray(poses) || poses.length !== 3) throw new Error('Design document: motion generation needs three poses');
+    const point = (p, name) => ({ x: finite(p && p.x, `${name}.x`), y: finite(p && p.y, `${name}.y`) });
+    motion = {
+      poses: poses.map((pose, j) => ({ ...point(pose, `motion.poses[${j}]`), angleDeg: finite(pose.angleDeg, `motion.poses[${j}].angleDeg`) })),
+      pivots: { A: point(pivots && pivots.A, 'motion.pivots.A'), B: point(pivots && pivots.B, 'motion.pivots.B') },
+    };
+  }
+  let sixBar = null;
+  if (doc.sixBar) {
+    if (mechanism !== 'sixbar') throw new Error('Design document: a six‑bar split needs the series six‑bar mechanism');
+    const sb = doc.sixBar;
+    if (!Array.isArray(sb.intermediateDeg) || sb.intermediateDeg.length !== 3) {
+      throw new Error('Design document: sixBar.intermediateDeg must hold three angles');
+    }
+    sixBar = {
+      intermediateDeg: sb.intermediateDeg.map((v, i) => finite(v, `sixBar.intermediateDeg[${i}]`)),
+      couplingDeg: sb.couplingDeg === undefined ? 0 : finite(sb.couplingDeg, 'sixBar.couplingDeg'),
+      groundAngleDeg: sb.groundAngleDeg === undefined ? 0 : finite(sb.groundAngleDeg, 'sixBar.groundAngleDeg'),
+      r1b: finite(sb.r1b, 'sixBar.r1b'),
+    };
+    if (sixBar.r1b <= 0) throw new Error('Design document: sixBar.r1b must be positive');
+  }
+  const view = doc.view || {};
+  const groundDoc = doc.ground || {};
+  const O2 = groundDoc.O2 || { x: 0, y: 0 };
+  const ground = {
+    O2: { x: finite(O2.x, 'ground.O2.x'), y: finite(O2.y, 'ground.O2.y') },
+    angleDeg: groundDoc.angleDeg === undefined ? 0 : finite(groundDoc.angleDeg, 'ground.angleDeg'),
+    globalAngles: Boolean(groundDoc.globalAngles),
+  };
+  return {
+    format: DESIGN_FORMAT,
+    version: DESIGN_VERSION,
+    mechanism,
+    r1,
+    pairs,
+    mode,
+    lengths,
+    ground,
+    view: {
+      scale: view.scale === undefined ? 1 : finite(view.scale, 'view.scale'),
+      offsetX: view.offsetX === undefined ? 0 : finite(view.offsetX, 'view.offsetX'),
+      offsetY: view.offsetY === undefined ? 0 : finite(view.offsetY, 'view.offsetY'),
+      fullRange: Boolean(view.fullRange),
+    },
+    slider: doc.slider === undefined ? 0 : Math.min(1, Math.max(0, finite(doc.slider, 'slider'))),
+    crankRocker,
+    motion,
+    sixBar,
+  };
+}
+
+// Helper: keys of the synthesized lengths stored for a mechanism type, in hash order
+function designLengthKeys(mechanism) {
+  if (mechanism === 'slider-crank') return ['r2', 'r3', 'e'];
+  if (mechanism === 'sixbar') return ['r2', 'r3', 'r4', 'r2b', 'r3b', 'r4b'];
+  return ['r2', 'r3', 'r4'];
+}
+
+/**
+ * Encode a design document as a URL hash (without the leading “#”).
+ * Numbers are written in their shortest round‑trip form so decoding
+ * restores them exactly; weights are omitted when all are 1.
+ *
+ * @param {object} doc  design document
+ * @returns {string}
+ */
+function designToHash(doc) {
+  const design = parseDesign(doc);
+  const params = new URLSearchParams();
+  if (design.mechanism !== 'fourbar') params.set('mech', design.mechanism);
+  params.set('r1', String(design.r1));
+  params.set('theta', design.pairs.map((p) => String(p.thetaDeg)).join(','));
+  params.set('phi', design.pairs.map((p) => String(p.phiDeg)).join(','));
+  if (design.pairs.some((p) => p.weight !== 1)) {
+    params.set('w', design.pairs.map((p) => String(p.weight)).join(','));
+  }
+  params.set('mode', design.mode);
+  if (design.lengths) {
+    params.set('len', designLengthKeys(design.mechanism).map((key) => String(design.lengths[key])).join(','));
+  }
+  const { O2, angleDeg, globalAngles } = design.ground;
+  if (O2.x !== 0 || O2.y !== 0) params.set('o2', `${O2.x},${O2.y}`);
+  if (angleDeg !== 0) params.set('ground', String(angleDeg));
+  if (globalAngles) params.set('global', '1');
+  params.set('view', [design.view.scale, design.view.offsetX, design.view.offsetY].map(String).join(','));
+  if (design.view.fullRange) params.set('full', '1');
+  params.set('t', String(design.slider));
+  if (design.crankRocker) {
+    const { swingDeg, timeRatio, couplerRatio, r1, r4 } = design.crankRocker;
+    params.set('cr', [swingDeg, timeRatio, couplerRatio, r4 !== undefined ? r4 : r1].map(String).join(','));
+    if (r4 !== undefined) params.set('crscale', 'r4');
+  }
+  if (design.motion) {
+    const { poses, pivots } = design.motion;
+    params.set('mg', poses.map((p) => [p.x, p.y, p.angleDeg].map(String).join(',')).join(','));
+    params.set('mgp', [pivots.A.x, pivots.A.y, pivots.B.x, pivots.B.y].map(String).join(','));
+  }
+  if (design.sixBar) {
+    const { intermediateDeg, couplingDeg, groundAngleDeg, r1b } = design.sixBar;
+    params.set('sb', intermediateDeg.concat([couplingDeg, groundAngleDeg, r1b]).map(String).join(','));
+  }
+  return params.toString();
+}
+
+/**
+ * Decode a URL hash written by designToHash back into a design document.
+ *
+ * @param {string} hash  URL hash, with or without the leading “#”
+ * @returns {object}  normalized design document
+ */
+function designFromHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const list = (name) => (params.has(name) ? params.get(name).split(',').map(Number) : []);
+  const theta = list('theta');
+  const phi = list('phi');
+  const weights = list('w');
+  if (theta.length !== phi.length) throw new Error('URL state: θ and φ lists differ in length');
+  const len = list('len');
+  const view = list('view');
+  const o2 = list('o2');
+  const mechanism = params.get('mech') || undefined;
+  const lengthKeys = designLengthKeys(mechanism);
+  const cr = list('cr');
+  const mg = list('mg');
+  const mgp = list('mgp');
+  const sb = list('sb');
+  return parseDesign({
+    mechanism,
+    r1: params.get('r1'),
+    pairs: theta.map((thetaDeg, i) => ({ thetaDeg, phiDeg: phi[i], weight: weights[i] })),
+    mode: params.get('mode') || undefined,
+    lengths: len.length === lengthKeys.length ? Object.fromEntries(lengthKeys.map((key, i) => [key, len[i]])) : null,
+    ground: {
+      O2: o2.length === 2 ? { x: o2[0], y: o2[1] } : undefined,
+      angleDeg: params.has('ground') ? params.get('ground') : undefined,
+      globalAngles: params.get('global') === '1',
+    },
+    view: view.length === 3 ? { scale: view[0], offsetX: view[1], offsetY: view[2], fullRange: params.get('full') === '1' } : undefined,
+    slider: params.has('t') ? params.get('t') : undefined,
+    crankRocker:
+      cr.length === 4
+        ? { swingDeg: cr[0], timeRatio: cr[1], couplerRatio: cr[2], [params.get('crscale') === 'r4' ? 'r4' : 'r1']: cr[3] }
+        : null,
+    motion:
+      mg.length === 9 && mgp.length === 4
+        ? {
+            poses: [0, 3, 6].map((k) => ({ x: mg[k], y: mg[k + 1], angleDeg: mg[k + 2] })),
+            pivots: { A: { x: mgp[0], y: mgp[1] }, B: { x: mgp[2], y: mgp[3] } },
+          }
+        : null,
+    sixBar: sb.length === 6 ? { intermediateDeg: sb.slice(0, 3), couplingDeg: sb[3], groundAngleDeg: sb[4], r1b: sb[5] } : null,
+  });
+}
+
+// Expose functions to the browser when loaded via <script>
+if (typeof window !== 'undefined') {
+  window.threePositionSynthesis = threePositionSynthesis;
+  window.synthesisDiagnostics = synthesisDiagnostics;
+  window.conditionNumber3x3 = conditionNumber3x3;
+  window.leastSquaresSynthesis = leastSquaresSynthesis;
+  window.chebyshevSpacing = chebyshevSpacing;
+  window.tableFunction = tableFunction;
+  window.structuralError = structuralError;
+  window.functionGeneratorSynthesis = functionGeneratorSynthesis;
+  window.grashofClassification = grashofClassification;
+  window.transmissionAngle = transmissionAngle;
+  window.analyzeLinkage = analyzeLinkage;
+  window.validateBranchAndOrder = validateBranchAndOrder;
+  window.freeReferenceSynthesis = freeReferenceSynthesis;
+  window.crankRockerSynthesis = crankRockerSynthesis;
+  window.motionGenerationSynthesis = motionGenerationSynthesis;
+  window.sixBarSynthesis = sixBarSynthesis;
+  window.computeSixBarPositions = computeSixBarPositions;
+  window.sweepSixBar = sweepSixBar;
+  window.fourBarKinematics = fourBarKinematics;
+  window.sampleKinematics = sampleKinematics;
+  window.phiSensitivities = phiSensitivities;
+  window.toleranceAnalysis = toleranceAnalysis;
+  window.groundFrame = groundFrame;
+  window.toGlobal = toGlobal;
+  window.toGlobalPositions = toGlobalPositions;
+  window.linkFrame = linkFrame;
+  window.invertPositions = invertPositions;
+  window.inversionAngles = inversionAngles;
+  window.sweepInversion = sweepInversion;
+  window.sliderCrankSynthesis = sliderCrankSynthesis;
+  window.solveSliderCrank = solveSliderCrank;
+  window.computeSliderCrankPositions = computeSliderCrankPositions;
+  window.sliderCrankMotion = sliderCrankMotion;
+  window.validateSliderCrank = validateSliderCrank;
+  window.couplerPointPosition = couplerPointPosition;
+  window.couplerCurve = couplerCurve;
+  window.sweepFourBar = sweepFourBar;
+  window.phiThetaTable = phiThetaTable;
+  window.phiThetaTableCSV = phiThetaTableCSV;
+  window.sliderCrankTable = sliderCrankTable;
+  window.sliderCrankTableCSV = sliderCrankTableCSV;
+  window.sixBarTable = sixBarTable;
+  window.sixBarTableCSV = sixBarTableCSV;
+  window.staticForceAnalysis = staticForceAnalysis;
+  window.sampleStaticForces = sampleStaticForces;
+  window.createSvgContext = createSvgContext;
+  window.linkageDXF = linkageDXF;
+  window.encodeGIF = encodeGIF;
+  window.createZip = createZip;
+  window.crc32 = crc32;
+  window.createView = createView;
+  window.renderGrid = renderGrid;
+  window.renderLinkage = renderLinkage;
+  window.renderPivots = renderPivots;
+  window.renderArrow = renderArrow;
+  window.renderSixBar = renderSixBar;
+  window.renderInversionPaths = renderInversionPaths;
+  window.renderPrecisionPositions = renderPrecisionPositions;
+  window.renderCouplerCurve = renderCouplerCurve;
+  window.renderMechanism = renderMechanism;
+  window.renderPhiThetaPlot = renderPhiThetaPlot;
+  window.parseDesign = parseDesign;
+  window.designToHash = designToHash;
+  window.designFromHash = designFromHash;
+  window.solveFourBarPhi = solveFourBarPhi;
+  window.computeFourBarPositions = computeFourBarPositions;
+
+  /**
+   * Set up the user interface for the three‑position synthesis web application.
+   * This function runs in the browser after DOM content is loaded and
+   * attaches event handlers to the input fields, buttons, slider, and
+   * canvases.  It draws the initial design positions, enables panning
+   * and zooming, animates the mechanism, and plots the φ–θ curve for
+   * the current linkage and assembly mode.  All variables local to
+   * the interface are encapsulated within this function to avoid
+   * polluting the global namespace.
+   */
+  function setupUI() {
+    // Helper conversions
+    const rad2deg = (rad) => (rad * 180) / Math.PI;
+
+    // DOM elements
+    const mechanismSelect = document.getElementById('mechanismType');
+    const r1Input = document.getElementById('r1');
+    const o2xInput = document.getElementById('o2x');
+    const o2yInput = document.getElementById('o2y');
+    const o4xInput = document.getElementById('o4x');
+    const o4yInput = document.getElementById('o4y');
+    const groundAngleInput = document.getElementById('groundAngle');
+    const globalAnglesCheckbox = document.getElementById('globalAngles');
+    const synthesisMessageDiv = document.getElementById('synthesisMessage');
+    const pairsBody = document.querySelector('#pairsTable tbody');
+    const addPairBtn = document.getElementById('addPairBtn');
+    const synthesizeBtn = document.getElementById('synthesizeBtn');
+    const canvas = document.getElementById('fourbarCanvas');
+    const ctx = canvas.getContext('2d');
+    const plotCanvas = document.getElementById('plotCanvas');
+    const plotCtx = plotCanvas ? plotCanvas.getContext('2d') : null;
+    const slider = document.getElementById('slider');
+    const playPauseBtn = document.getElementById('playPauseBtn');
+    const modeOpenRadio = document.getElementById('modeOpen');
+    const modeClosedRadio = document.getElementById('modeClosed');
+    const resultsDiv = document.getElementById('results');
+    const qualityDiv = document.getElementById('qualityReport');
+    const branchDiv = document.getElementById('branchReport');
+    const crankRpmInput = document.getElementById('crankRpm');
+    const crankAlphaInput = document.getElementById('crankAlpha');
+    const showVelocityCheckbox = document.getElementById('showVelocity');
+    const kinematicsCanvas = document.getElementById('kinematicsCanvas');
+    const kinCtx = kinematicsCanvas ? kinematicsCanvas.getContext('2d') : null;
+    const couplerDistanceInput = document.getElementById('couplerDistance');
+    const couplerAngleInput = document.getElementById('couplerAngle');
+    const showCouplerCurveCheckbox = document.getElementById('showCouplerCurve');
+    const fullRangeCheckbox = document.getElementById('fullRange');
+    const inversionSelect = document.getElementById('inversion');
+    const loadTorqueInput = document.getElementById('loadTorque');
+    const loadForceXInput = document.getElementById('loadForceX');
+    const loadForceYInput = document.getElementById('loadForceY');
+    const maCanvas = document.getElementById('maCanvas');
+    const maCtx = maCanvas ? maCanvas.getContext('2d') : null;
+    const forceDiv = document.getElementById('forceReport');
+    const exportSvgBtn = document.getElementById('exportSvgBtn');
+    const exportDxfBtn = document.getElementById('exportDxfBtn');
+    const crSwingInput = document.getElementById('crSwing');
+    const crTimeRatioInput = document.getElementById('crTimeRatio');
+    const crScaleSelect = document.getElementById('crScale');
+    const crLengthInput = document.getElementById('crLength');
+    const crCouplerRatioInput = document.getElementById('crCouplerRatio');
+    const crankRockerBtn = document.getElementById('crankRockerBtn');
+    const crankRockerDiv = document.getElementById('crankRockerReport');
+    const motionPosesBody = document.querySelector('#motionPoses tbody');
+    const motionPivotInputs = ['mgAx', 'mgAy', 'mgBx', 'mgBy'].map((id) => document.getElementById(id));
+    const motionBtn = document.getElementById('motionBtn');
+    const sixBarPhiInputs = Array.from(document.querySelectorAll('.sb-phi'));
+    const sixBarCouplingInput = document.getElementById('sbCoupling');
+    const sixBarGroundAngleInput = document.getElementById('sbGroundAngle');
+    const sixBarR1Input = document.getElementById('sbR1');
+    const freeStepInput = document.getElementById('freeStep');
+    const freeGrashofSelect = document.getElementById('freeGrashof');
+    const freeSearchBtn = document.getElementById('freeSearchBtn');
+    const freeCandidatesDiv = document.getElementById('freeCandidates');
+    const tableFromInput = document.getElementById('tableFrom');
+    const tableToInput = document.getElementById('tableTo');
+    const tableSamplesInput = document.getElementById('tableSamples');
+    const tableFormatSelect = document.getElementById('tableFormat');
+    const exportTableBtn = document.getElementById('exportTableBtn');
+    const animFromInput = document.getElementById('animFrom');
+    const animToInput = document.getElementById('animTo');
+    const animFramesInput = document.getElementById('animFrames');
+    const animDelayInput = document.getElementById('animDelay');
+    const animWidthInput = document.getElementById('animWidth');
+    const animPlotCheckbox = document.getElementById('animPlot');
+    const animFormatSelect = document.getElementById('animFormat');
+    const exportAnimationBtn = document.getElementById('exportAnimationBtn');
+    const toleranceInputs = ['r1', 'r2', 'r3', 'r4', 'pivot'].map((key) => ({
+      key,
+      input: document.getElementById(`tol${key[0].toUpperCase()}${key.slice(1)}`),
+    }));
+    const toleranceTrialsInput = document.getElementById('tolTrials');
+    const toleranceDistributionSelect = document.getElementById('tolDistribution');
+    const showToleranceCheckbox = document.getElementById('showToleranceBand');
+    const toleranceDiv = document.getElementById('toleranceReport');
+    const saveDesignBtn = document.getElementById('saveDesignBtn');
+    const loadDesignBtn = document.getElementById('loadDesignBtn');
+    const loadDesignFile = document.getElementById('loadDesignFile');
+    const minTransmissionInput = document.getElementById('minTransmission');
+    const targetExprInput = document.getElementById('targetExpr');
+    const targetTableInput = document.getElementById('targetTable');
+    const targetX0Input = document.getElementById('targetX0');
+    const targetXfInput = document.getElementById('targetXf');
+    const targetTheta0Input = document.getElementById('targetTheta0');
+    const targetThetafInput = document.getElementById('targetThetaf');
+    const targetPhi0Input = document.getElementById('targetPhi0');
+    const targetPhifInput = document.getElementById('targetPhif');
+    const chebyshevBtn = document.getElementById('chebyshevBtn');
+    const clearTargetBtn = document.getElementById('clearTargetBtn');
+    const showIdealCheckbox = document.getElementById('showIdealCurve');
+    const showErrorCheckbox = document.getElementById('showErrorCurve');
+    const plotUnitsSelect = document.getElementById('plotUnits');
+    const showOtherBranchCheckbox = document.getElementById('showOtherBranch');
+    const showTransmissionCheckbox = document.getElementById('showTransmissionCurve');
+    const resetPlotViewBtn = document.getElementById('resetPlotViewBtn');
+
+    // State variables
+    let r1, r2, r3, r4;
+    let thetaVals = [];
+    let phiVals = [];
+    // 'fourbar', 'slider-crank' or 'sixbar'; the slider‑crank uses r2, r3,
+    // the guide offset and the slider displacements sᵢ instead of r1, r4
+    // and φᵢ, and the six‑bar keeps its first stage in r1…r4 and φᵢ
+    let mechanism = 'fourbar';
+    let sliderOffset = 0;
+    let sliderVals = [];
+    // Pairs table of the mechanism type not shown, kept while switching
+    const stashedPairs = {
+      'slider-crank': { thetaDeg: [45, 90, 135], phiDeg: [3.7, 2.96, 2.29], weights: [1, 1, 1] },
+      sixbar: { thetaDeg: [40, 80, 120], phiDeg: [60, 100, 180], weights: [1, 1, 1] },
+    };
+    // Result of sixBarSynthesis while a series six‑bar is shown; the
+    // assembly mode selector switches its first stage
+    let sixBar = null;
+    // Swing/time ratio specification {swingDeg, timeRatio, couplerRatio, r1 | r4}
+    // while the four‑bar shown is a crank‑rocker synthesized from it (its two
+    // toggle positions take the place of the precision positions), else null
+    let crankRockerSpec = null;
+    // Coupler poses and moving pivots {poses, pivots} while the four‑bar
+    // shown comes from motion generation, else null
+    let motionSpec = null;
+    // Slider block size in pixels
+    const sliderBlock = { width: 30, height: 16 };
+    // Colours of the precision positions; cycled when more than three pairs are given
+    const positionColours = POSITION_COLOURS;
+    // Closest AutoCAD colour index of each position colour, for DXF export
+    const positionColourIndices = [1, 3, 6, 30, 4, 34, 6, 52];
+    let prevPhi;
+    // Default assembly mode is set to 'closed'
+    let assemblyMode = 'closed';
+    let playing = false;
+    // +1 while the slider advances, −1 while it swings back (full‑range mode)
+    let sliderDirection = 1;
+    let animationId = null;
+    // View state for panning/zooming
+    let viewScale = 1;
+    let offsetX = 0;
+    let offsetY = 0;
+    let isDragging = false;
+    let lastMouseX = 0;
+    let lastMouseY = 0;
+    // Joint of a precision position being dragged: {kind: 'A' | 'B' | 'O4', index, viewR1}
+    let dragJoint = null;
+    // φ–θ plot: window {thetaDeg, phiDeg} panned or zoomed to (null: the data
+    // extent), the mapping returned by renderPhiThetaPlot for the mouse, the
+    // crank angle (radians) under the mouse or null, and the pan in progress
+    let plotViewport = null;
+    let plotMap = null;
+    let plotHover = null;
+    let plotDrag = null;
+    // Pending debounced URL hash update (updateHashLater)
+    let hashTimer = null;
+    // Diagnostics in the panel under the Synthesize button (showDiagnostics)
+    let shownDiagnostics = [];
+    // Target function generator {f, xRange, thetaRangeDeg, phiRangeDeg}, if any
+    let target = null;
+    // Branch/order validation of the current design (validateBranchAndOrder)
+    let validation = null;
+    // Coupler point {distance, angle} (angle in radians), or null if none is defined
+    let couplerPoint = null;
+    // Last Monte Carlo tolerance analysis {key, result}, reused while nothing changes
+    let toleranceCache = null;
+    // Ground frame placing the linkage in global coordinates (see groundFrame)
+    let ground = { O2: { x: 0, y: 0 }, angle: 0, globalAngles: false };
+
+    /**
+     * Whether a valid design of the current mechanism type has been
+     * synthesized.
+     */
+    function hasDesign() {
+      if (mechanism === 'slider-crank') return Boolean(r2 && r3);
+      if (mechanism === 'sixbar') return Boolean(sixBar);
+      return Boolean(r2 && r3 && r4);
+    }
+
+    /**
+     * Characteristic length the view is scaled to: r1 for the four‑bar,
+     * r2 + r3, the farthest reach of the slider, for the slider‑crank and
+     * r1 + r1′ + r4′, about the farthest reach of the output, for the
+     * six‑bar.
+     */
+    function viewLength() {
+      if (mechanism === 'slider-crank' && r2 && r3) return r2 + r3;
+      if (mechanism === 'sixbar' && sixBar) return r1 + sixBar.stages[1].r1 + sixBar.stages[1].r4;
+      return r1;
+    }
+
+    /**
+     * View of the mechanism canvas for the renderer, centred on O2 with the
+     * current pan and zoom.  The base scale fits 2·r1 (2(r2 + r3) for a
+     * slider‑crank) into the smaller dimension; it is held while a joint is
+     * dragged so the view does not follow the drag.
+     */
+    function currentView() {
+      return createView({
+        width: canvas.width,
+        height: canvas.height,
+        length: dragJoint ? dragJoint.viewR1 : viewLength(),
+        center: ground.O2,
+        zoom: viewScale,
+        offsetX,
+        offsetY,
+      });
+    }
+
+    /**
+     * The current four‑bar design as a plain linkage state for the renderer.
+     */
+    function linkageState() {
+      return {
+        r1,
+        r2,
+        r3,
+        r4,
+        mode: assemblyMode,
+        thetaDeg: thetaVals.map(rad2deg),
+        phiDeg: phiVals.map(rad2deg),
+        ground,
+        couplerPoint,
+        poseAnglesDeg: motionSpec ? motionSpec.poses.map((pose) => pose.angleDeg) : undefined,
+        inversion: fixedLink(),
+      };
+    }
+
+    /**
+     * Link held fixed in the drawing and the plot: the choice of the
+     * inversion selector for a four‑bar, otherwise the ground.
+     */
+    function fixedLink() {
+      return mechanism === 'fourbar' && inversionSelect ? inversionSelect.value : 'ground';
+    }
+
+    /**
+     * Draw the grid and axes on the mechanism canvas.
+     */
+    function drawGrid() {
+      renderGrid(ctx, currentView());
+    }
+
+    /**
+     * Convert a point in global coordinates (x right, y up) to canvas pixel
+     * coordinates of the mechanism canvas.
+     */
+    function worldToCanvas(pt) {
+      return currentView().worldToCanvas(pt);
+    }
+
+    /**
+     * Inverse of worldToCanvas: global coordinates of a canvas pixel.
+     */
+    function canvasToWorld(p) {
+      return currentView().canvasToWorld(p);
+    }
+
+    /**
+     * Draw a single linkage configuration {O2, A, B, O4, P?} in the
+     * specified colour, into the mechanism canvas unless another
+     * Canvas2D‑like context c is given (e.g. for export).
+     */
+    function drawLinkage(pos, colour = 'blue', drawLabels = false, c = ctx) {
+      renderLinkage(c, currentView(), pos, colour, drawLabels);
+    }
+
+    /**
+     * Joint positions in global coordinates of the linkage with crank
+     * angle theta and rocker angle phi (radians from the ground line).
+     */
+    function precisionPositions(theta, phi) {
+      return toGlobalPositions(
+        {
+          O2: { x: 0, y: 0 },
+          A: { x: r2 * Math.cos(theta), y: r2 * Math.sin(theta) },
+          B: { x: r1 + r4 * Math.cos(phi), y: r4 * Math.sin(phi) },
+          O4: { x: r1, y: 0 },
+        },
+        ground
+      );
+    }
+
+    /**
+     * Joint positions {O2, A, B} in global coordinates of the slider‑crank
+     * with crank angle theta (radians from the guide) and slider
+     * displacement s.
+     */
+    function sliderPositions(theta, s) {
+      return toGlobalPositions(
+        {
+          O2: { x: 0, y: 0 },
+          A: { x: r2 * Math.cos(theta), y: r2 * Math.sin(theta) },
+          B: { x: s, y: sliderOffset },
+        },
+        ground
+      );
+    }
+
+    /**
+     * Assembly modes of the two six‑bar stages: the selected mode for
+     * stage 1 and the branch of its precision positions for stage 2.
+     */
+    function sixBarModes() {
+      return [assemblyMode, sixBar.modes[1]];
+    }
+
+    /**
+     * Joint positions of the six‑bar in global coordinates at crank angle
+     * theta (radians from the ground line), optionally on given branches.
+     */
+    function sixBarPositions(theta, modes = sixBarModes()) {
+      return computeSixBarPositions(sixBar.stages, theta, modes, sixBar.couplingDeg, sixBar.groundAngleDeg, ground);
+    }
+
+    /**
+     * Draw a slider‑crank configuration {O2, A, B}: the crank, the coupler
+     * and the slider block at B, turned with the guide.  Like drawLinkage
+     * it draws into the mechanism canvas unless another context c is given.
+     */
+    function drawSliderCrank(pos, colour = 'blue', drawLabels = false, c = ctx) {
+      const pO2 = worldToCanvas(pos.O2);
+      const pA = worldToCanvas(pos.A);
+      const pB = worldToCanvas(pos.B);
+      c.strokeStyle = colour;
+      c.lineWidth = 2;
+      c.beginPath();
+      c.moveTo(pO2.x, pO2.y);
+      c.lineTo(pA.x, pA.y);
+      c.lineTo(pB.x, pB.y);
+      c.stroke();
+      // The canvas y‑axis points down, so the guide angle is turned back
+      c.save();
+      c.translate(pB.x, pB.y);
+      c.rotate(-ground.angle);
+      c.strokeRect(-sliderBlock.width / 2, -sliderBlock.height / 2, sliderBlock.width, sliderBlock.height);
+      c.restore();
+      if (drawLabels) {
+        c.save();
+        c.fillStyle = colour;
+        c.font = '16px Arial';
+        [
+          [pO2, pA, 'r₂'],
+          [pA, pB, 'r₃'],
+        ].forEach(([p1, p2, label]) => {
+          const length = Math.hypot(p2.x - p1.x, p2.y - p1.y) || 1;
+          // Offset the label 15 pixels perpendicular to the link
+          const lx = (p1.x + p2.x) / 2 - ((p2.y - p1.y) / length) * 15;
+          const ly = (p1.y + p2.y) / 2 + ((p2.x - p1.x) / length) * 15;
+          c.fillText(label, lx - c.measureText(label).width / 2, ly);
+        });
+        c.restore();
+      }
+    }
+
+    /**
+     * Draw the slider guide: two rails at the guide offset e, parallel to
+     * the ground line and spanning the slider travel, and a dashed
+     * perpendicular from O2 marking the offset.
+     */
+    function drawGuide(c = ctx) {
+      const motion = sliderCrankMotion(r2, r3, sliderOffset, thetaVals[0], assemblyMode);
+      const reach = sliderVals.concat([motion.sMin, motion.sMax]).filter(Number.isFinite);
+      const margin = 0.15 * (r2 + r3);
+      const from = worldToCanvas(toGlobal({ x: Math.min(0, ...reach) - margin, y: sliderOffset }, ground));
+      const to = worldToCanvas(toGlobal({ x: Math.max(...reach) + margin, y: sliderOffset }, ground));
+      const foot = worldToCanvas(toGlobal({ x: 0, y: sliderOffset }, ground));
+      const pO2 = worldToCanvas(ground.O2);
+      // Unit normal of the guide in canvas pixels
+      const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+      const nx = -(to.y - from.y) / length;
+      const ny = (to.x - from.x) / length;
+      const half = sliderBlock.height / 2;
+      c.save();
+      c.strokeStyle = '#555555';
+      c.lineWidth = 1.5;
+      c.beginPath();
+      [-half, half].forEach((d) => {
+        c.moveTo(from.x + nx * d, from.y + ny * d);
+        c.lineTo(to.x + nx * d, to.y + ny * d);
+      });
+      c.stroke();
+      c.setLineDash([4, 3]);
+      c.lineWidth = 1;
+      c.beginPath();
+      c.moveTo(pO2.x, pO2.y);
+      c.lineTo(foot.x, foot.y);
+      c.stroke();
+      c.setLineDash([]);
+      c.fillStyle = '#555555';
+      c.font = '12px Arial';
+      c.fillText(`e = ${sliderOffset.toFixed(3)}`, foot.x + 4, foot.y + half + 14);
+      c.restore();
+    }
+
+    /**
+     * Offset in degrees between the angles shown to the user and the
+     * angles from the ground line: the ground angle when angles are
+     * measured from the global x‑axis, otherwise zero.
+     */
+    function angleOffsetDeg() {
+      return ground.globalAngles ? rad2deg(ground.angle) : 0;
+    }
+
+    /**
+     * Angle from the ground line (radians) in the degrees shown to the user.
+     */
+    function displayDeg(rad) {
+      return rad2deg(rad) + angleOffsetDeg();
+    }
+
+    /**
+     * Read the ground frame from the ground pivot inputs.
+     */
+    function readGround() {
+      if (!o2xInput) return { O2: { x: 0, y: 0 }, angle: 0, globalAngles: false };
+      const O2 = { x: parseFloat(o2xInput.value) || 0, y: parseFloat(o2yInput.value) || 0 };
+      const O4 = { x: parseFloat(o4xInput.value), y: parseFloat(o4yInput.value) };
+      return groundFrame(O2, O4, globalAnglesCheckbox.checked);
+    }
+
+    /**
+     * Place O4 at distance r1 from O2 along the ground angle, after r1,
+     * O2 or the ground angle was edited.
+     */
+    function updateO4FromGround() {
+      const O2 = { x: parseFloat(o2xInput.value) || 0, y: parseFloat(o2yInput.value) || 0 };
+      const length = parseFloat(r1Input.value);
+      const angle = deg2rad(parseFloat(groundAngleInput.value) || 0);
+      o4xInput.value = Number((O2.x + length * Math.cos(angle)).toFixed(6));
+      o4yInput.value = Number((O2.y + length * Math.sin(angle)).toFixed(6));
+    }
+
+    /**
+     * Derive r1 and the ground angle from the pivots after O4 was edited.
+     */
+    function updateGroundFromO4() {
+      const frame = readGround();
+      r1Input.value = Number(frame.r1.toFixed(6));
+      groundAngleInput.value = Number(rad2deg(frame.angle).toFixed(6));
+    }
+
+    /**
+     * Draw the design linkage at each of the specified precision
+     * positions using distinct colours, annotated with θᵢ and φᵢ (sᵢ for
+     * a slider‑crank).  Draws into the mechanism canvas unless another
+     * context c is given.
+     */
+    function drawSpecifiedPositions(c = ctx) {
+      const colours = positionColours;
+      if (mechanism === 'slider-crank') {
+        sliderVals.forEach((sVal, i) => {
+          const pos = sliderPositions(thetaVals[i], sVal);
+          drawSliderCrank(pos, colours[i % colours.length], false, c);
+          const pA = worldToCanvas(pos.A);
+          const pB = worldToCanvas(pos.B);
+          c.fillStyle = colours[i % colours.length];
+          c.font = '12px Arial';
+          c.fillText(`θ${i + 1}`, pA.x - 20, pA.y - 5);
+          c.fillText(`s${i + 1}`, pB.x - 5, pB.y - sliderBlock.height / 2 - 4);
+        });
+        return;
+      }
+      if (mechanism === 'sixbar') {
+        const view = currentView();
+        thetaVals.forEach((theta, i) => {
+          // Each position on the branches it was prescribed on, defect or not
+          const pos = sixBarPositions(theta, sixBar.stages.map((stage) => stage.validation.positions[i].branch));
+          renderSixBar(c, view, pos, colours[i % colours.length]);
+          const pA = worldToCanvas(pos.A);
+          const pD = worldToCanvas(pos.D);
+          c.fillStyle = colours[i % colours.length];
+          c.font = '12px Arial';
+          c.fillText(`θ${i + 1}`, pA.x - 20, pA.y - 5);
+          c.fillText(`ψ${i + 1}`, pD.x + 5, pD.y - 5);
+        });
+        return;
+      }
+      // The coupler triangles are only drawn for motion generation, where the poses are the design
+      renderPrecisionPositions(c, currentView(), { ...linkageState(), couplerPoint: motionSpec ? couplerPoint : null });
+    }
+
+    /**
+     * Whether the slider, animation and plots cover the full range of
+     * crank motion instead of stopping at the precision points.
+     */
+    function isFullRange() {
+      return Boolean(fullRangeCheckbox && fullRangeCheckbox.checked);
+    }
+
+    /**
+     * Range of crank motion on the current assembly mode, from a sweep
+     * centred on θ₁: a whole turn when the crank rotates fully, otherwise
+     * the assemblable interval between the two limit angles around θ₁.
+     * Returns {lo, hi, sweep, fullRotation}; for a slider‑crank the sweep
+     * is replaced by the result of sliderCrankMotion.
+     */
+    function motionRange() {
+      const theta1 = thetaVals[0];
+      if (mechanism === 'slider-crank') {
+        const motion = sliderCrankMotion(r2, r3, sliderOffset, theta1, assemblyMode);
+        if (motion.fullRotation) {
+          const base = Math.floor(theta1 / (2 * Math.PI)) * 2 * Math.PI;
+          return { lo: base, hi: base + 2 * Math.PI, motion, fullRotation: true };
+        }
+        return { lo: motion.lo, hi: motion.hi, motion, fullRotation: false };
+      }
+      const sweep = sweepFourBar(r1, r2, r3, r4, assemblyMode, theta1 - Math.PI, theta1 + Math.PI);
+      if (sweep.fullRotation) {
+        const base = Math.floor(theta1 / (2 * Math.PI)) * 2 * Math.PI;
+        return { lo: base, hi: base + 2 * Math.PI, sweep, fullRotation: true };
+      }
+      // An interval joined across the ends of the sweep may reach θ₁ only one turn on
+      const turns = [0, 2 * Math.PI];
+      const iv =
+        sweep.intervals.find((i) => turns.some((k) => i.start <= theta1 + k && theta1 + k <= i.end)) || sweep.intervals[0];
+      if (!iv) return { lo: theta1, hi: theta1, sweep, fullRotation: false };
+      const shift = iv.start > theta1 ? 2 * Math.PI : 0;
+      return { lo: iv.start - shift, hi: iv.end - shift, sweep, fullRotation: false };
+    }
+
+    /**
+     * θ range [min, max] shown by the slider and plots: the precision
+     * positions, or the full range of motion in full‑range mode.
+     */
+    function thetaRange() {
+      if (isFullRange()) {
+        const range = motionRange();
+        if (range.hi > range.lo) return [range.lo, range.hi];
+      }
+      return [Math.min(...thetaVals), Math.max(...thetaVals)];
+    }
+
+    /**
+     * Map a slider value (0–1) to a θ value along θ₁→θ₂→…→θₙ.  A
+     * linear interpolation is used across the n − 1 segments, each of
+     * which covers an equal share of the slider (for three pairs the
+     * first half covers θ₁→θ₂ and the second half θ₂→θ₃).
+     */
+    function thetaFromSlider(t) {
+      if (isFullRange()) {
+        const [lo, hi] = thetaRange();
+        return lo + t * (hi - lo);
+      }
+      const segments = thetaVals.length - 1;
+      const k = Math.min(segments - 1, Math.floor(t * segments));
+      const local = t * segments - k;
+      return thetaVals[k] + local * (thetaVals[k + 1] - thetaVals[k]);
+    }
+
+    /**
+     * Read the coupler point from its inputs.  A distance of zero (or an
+     * empty field) means no coupler point.
+     */
+    function readCouplerPoint() {
+      if (!couplerDistanceInput) return null;
+      const distance = parseFloat(couplerDistanceInput.value);
+      const angleDeg = parseFloat(couplerAngleInput.value) || 0;
+      if (!(distance > 0)) return null;
+      return { distance, angle: deg2rad(angleDeg) };
+    }
+
+    /**
+     * Trace the coupler curve over a full crank turn: the current assembly
+     * mode as a solid line and the other mode dashed, with gaps where the
+     * linkage cannot be assembled.
+     */
+    function drawCouplerCurve() {
+      if (!couplerPoint || !showCouplerCurveCheckbox || !showCouplerCurveCheckbox.checked) return;
+      renderCouplerCurve(ctx, currentView(), linkageState());
+    }
+
+    /**
+     * Trace the paths of the moving joints (and of the coupler point)
+     * relative to the fixed link over a crank turn from θ₁, with the
+     * fixed link held where it is at the first precision position.
+     */
+    function drawInversionPaths() {
+      const state = linkageState();
+      const theta1 = thetaVals[0];
+      const sweep = sweepInversion(state, assemblyMode, state.inversion, theta1 - Math.PI, theta1 + Math.PI, 360, stateInversionFrame(state));
+      renderInversionPaths(ctx, currentView(), sweep);
+    }
+
+    /**
+     * Draw the moving mechanism in blue with link labels.  If the design
+     * has a branch or order defect it cannot actually move through the
+     * precision positions, so the defect is written on the canvas instead.
+     */
+    function drawMechanism(pos) {
+      if (validation && !validation.valid) {
+        ctx.save();
+        ctx.fillStyle = '#c00000';
+        ctx.font = 'bold 14px Arial';
+        const title = [validation.branchDefect && 'Branch defect', validation.orderDefect && 'Order defect']
+          .filter(Boolean)
+          .join(' and ');
+        ctx.fillText(`${title}: the linkage cannot move through the positions`, 10, 20);
+        ctx.restore();
+        return;
+      }
+      if (mechanism === 'slider-crank') {
+        drawSliderCrank(pos, 'blue', true);
+        return;
+      }
+      if (mechanism === 'sixbar') {
+        renderSixBar(ctx, currentView(), pos, 'blue', true);
+        return;
+      }
+      drawLinkage(pos, 'blue', true);
+      // The velocities are absolute, so they are only shown with the ground fixed
+      if (showVelocityCheckbox && showVelocityCheckbox.checked && fixedLink() === 'ground') drawVelocityVectors(pos);
+    }
+
+    /**
+     * Current crank angular velocity (rad/s) and acceleration (rad/s²) from
+     * the crank speed inputs.  The speed is entered in rpm, positive
+     * counter‑clockwise.
+     */
+    function crankRates() {
+      const rpm = crankRpmInput ? parseFloat(crankRpmInput.value) : 60;
+      const alpha2 = crankAlphaInput ? parseFloat(crankAlphaInput.value) : 0;
+      return { omega2: (rpm * 2 * Math.PI) / 60, alpha2: Number.isFinite(alpha2) ? alpha2 : 0 };
+    }
+
+    /**
+     * Current rocker load from the load inputs: a torque T₄ and a force
+     * applied to the rocker at B.
+     */
+    function readLoad() {
+      const value = (input) => (input ? parseFloat(input.value) || 0 : 0);
+      // The force is entered in global components; the analysis works relative to the ground line
+      const force = toGlobal({ x: value(loadForceXInput), y: value(loadForceYInput) }, { O2: { x: 0, y: 0 }, angle: -ground.angle });
+      return {
+        torque: loadTorqueInput ? value(loadTorqueInput) : 10,
+        force,
+      };
+    }
+
+    /**
+     * Plot the mechanical advantage against θ over the same range as the
+     * other plots.  The mechanical advantage grows without bound near the
+     * toggle positions, so the vertical axis is clipped at 20.
+     */
+    function drawMechanicalAdvantagePlot(currentTheta) {
+      const c = maCtx;
+      const w = maCanvas.width;
+      const h = maCanvas.height;
+      const margin = 40;
+      const clip = 20;
+      c.clearRect(0, 0, w, h);
+      c.fillStyle = '#ffffff';
+      c.fillRect(0, 0, w, h);
+      const [thetaMin, thetaMax] = thetaRange();
+      const data = sampleStaticForces(r1, r2, r3, r4, thetaMin, thetaMax, 100, readLoad(), assemblyMode);
+      const finite = data.map((d) => d.mechanicalAdvantage).filter(Number.isFinite);
+      const maMax = Math.min(clip, Math.max(1, ...finite));
+      const xOf = (theta) => margin + ((theta - thetaMin) / (thetaMax - thetaMin)) * (w - 2 * margin);
+      const yOf = (ma) => margin + ((maMax - Math.min(ma, maMax)) / maMax) * (h - 2 * margin);
+      c.strokeStyle = '#333333';
+      c.lineWidth = 1;
+      c.beginPath();
+      c.moveTo(margin, h - margin);
+      c.lineTo(w - margin, h - margin);
+      c.moveTo(margin, margin);
+      c.lineTo(margin, h - margin);
+      c.stroke();
+      c.strokeStyle = '#7700aa';
+      c.lineWidth = 2;
+      c.beginPath();
+      let penDown = false;
+      data.forEach((d) => {
+        if (!Number.isFinite(d.mechanicalAdvantage)) {
+          penDown = false;
+          return;
+        }
+        if (penDown) c.lineTo(xOf(d.theta), yOf(d.mechanicalAdvantage));
+        else c.moveTo(xOf(d.theta), yOf(d.mechanicalAdvantage));
+        penDown = true;
+      });
+      c.stroke();
+      c.fillStyle = '#000000';
+      c.font = '12px Arial';
+      c.fillText('MA = |T_out / T₂|', margin + 5, margin - 12);
+      c.fillText(maMax.toFixed(2), 4, margin + 4);
+      c.fillText('0', margin - 12, h - margin + 4);
+      c.fillText(`θ: ${displayDeg(thetaMin).toFixed(1)}° … ${displayDeg(thetaMax).toFixed(1)}°`, w / 2 - 50, h - margin + 20);
+      if (typeof currentTheta === 'number') {
+        const f = staticForceAnalysis(r1, r2, r3, r4, currentTheta, readLoad(), prevPhi, assemblyMode);
+        const cx = xOf(currentTheta);
+        c.strokeStyle = '#888888';
+        c.lineWidth = 1;
+        c.beginPath();
+        c.moveTo(cx, margin);
+        c.lineTo(cx, h - margin);
+        c.stroke();
+        c.fillStyle = '#333333';
+        c.fillText(`MA=${f.mechanicalAdvantage.toFixed(3)}  T₂=${f.inputTorque.toFixed(3)}`, cx + 5, margin + 14);
+      }
+    }
+
+    /**
+     * Read the ± tolerances of r1…r4 and the pivots and the Monte Carlo
+     * settings from the tolerance panel.
+     */
+    function readTolerances() {
+      const tolerances = {};
+      toleranceInputs.forEach(({ key, input }) => {
+        tolerances[key] = input ? Math.abs(parseFloat(input.value)) || 0 : 0;
+      });
+      return {
+        tolerances,
+        trials: Math.max(1, Math.round(parseFloat(toleranceTrialsInput && toleranceTrialsInput.value)) || 200),
+        distribution: toleranceDistributionSelect ? toleranceDistributionSelect.value : 'uniform',
+      };
+    }
+
+    /**
+     * Monte Carlo tolerance analysis of the current linkage over a crank
+     * range in radians, cached so that the animation does not repeat it
+     * every frame.
+     */
+    function toleranceFor(thetaStart, thetaEnd, samples) {
+      const settings = readTolerances();
+      const key = JSON.stringify([r1, r2, r3, r4, assemblyMode, thetaStart, thetaEnd, samples, settings]);
+      if (!toleranceCache || toleranceCache.key !== key) {
+        const result = toleranceAnalysis(
+          { r1, r2, r3, r4 },
+          assemblyMode,
+          [rad2deg(thetaStart), rad2deg(thetaEnd)],
+          settings.tolerances,
+          { trials: settings.trials, samples, distribution: settings.distribution }
+        );
+        toleranceCache = { key, result };
+      }
+      return toleranceCache.result;
+    }
+
+    /**
+     * Report the sensitivities ∂φ/∂rᵢ at each precision position with the
+     * linear worst case for the entered tolerances, and the statistics of
+     * the Monte Carlo φ error over the working range.
+     */
+    function renderToleranceReport() {
+      if (!toleranceDiv || mechanism !== 'fourbar') return;
+      const { tolerances } = readTolerances();
+      const keys = ['r1', 'r2', 'r3', 'r4'];
+      const td = (v) => `<td style="padding:0 6px; text-align:right;">${v}</td>`;
+      const deg = (v, digits) => (Number.isFinite(v) ? rad2deg(v).toFixed(digits) : '—');
+      const signed = (v) => `${v >= 0 ? '+' : ''}${v.toFixed(3)}°`;
+      const rows = thetaVals.map((theta, i) => {
+        const d = phiSensitivities(r1, r2, r3, r4, theta, undefined, assemblyMode);
+        const worst =
+          keys.reduce((sum, k) => sum + Math.abs(d[k]) * tolerances[k], 0) +
+          ['O2x', 'O2y', 'O4x', 'O4y'].reduce((sum, k) => sum + Math.abs(d[k]) * tolerances.pivot, 0);
+        return (
+          `<tr>${td(i + 1)}` +
+          keys.map((k) => td(deg(d[k], 2))).join('') +
+          `${td(`±${deg(worst, 3)}°`)}</tr>`
+        );
+      });
+      const [lo, hi] = thetaRange();
+      const mc = toleranceFor(lo, hi, 100);
+      const widest = mc.samples.reduce(
+        (best, row) => (row.maxErrorDeg - row.minErrorDeg > best.maxErrorDeg - best.minErrorDeg ? row : best),
+        mc.samples[0]
+      );
+      toleranceDiv.innerHTML =
+        `<strong>Sensitivity ∂φ/∂rᵢ (°/unit):</strong>` +
+        `<table style="border-collapse:collapse;"><tr><th></th><th>r₁</th><th>r₂</th><th>r₃</th><th>r₄</th>` +
+        `<th>linear worst</th></tr>${rows.join('')}</table>` +
+        `<strong>Monte Carlo (${mc.trials} trials):</strong> max |Δφ| = ${mc.maxAbsErrorDeg.toFixed(3)}°, ` +
+        `RMS = ${mc.rmsErrorDeg.toFixed(3)}°` +
+        (Number.isFinite(widest.maxErrorDeg)
+          ? `<br>widest band ${signed(widest.minErrorDeg)} … ${signed(widest.maxErrorDeg)} at θ = ` +
+            `${(widest.thetaDeg + angleOffsetDeg()).toFixed(1)}°`
+          : '') +
+        (mc.failedTrials
+          ? `<div style="color:#c00000;">⚠ ${mc.failedTrials} of ${mc.trials} perturbed linkages cannot be assembled over the whole range.</div>`
+          : '');
+    }
+
+    /**
+     * Tabulate the input torque, mechanical advantage and pin forces at
+     * each precision position, with the peak magnitude of each column.
+     */
+    function renderForceReport() {
+      if (!forceDiv || mechanism !== 'fourbar') return;
+      const load = readLoad();
+      const rows = thetaVals.map((theta) => staticForceAnalysis(r1, r2, r3, r4, theta, load, undefined, assemblyMode));
+      const cells = (f) => [
+        f.inputTorque,
+        f.mechanicalAdvantage,
+        f.pins.O2.magnitude,
+        f.pins.A.magnitude,
+        f.pins.B.magnitude,
+        f.pins.O4.magnitude,
+      ];
+      const peaks = [0, 1, 2, 3, 4, 5].map((k) => Math.max(...rows.map((f) => Math.abs(cells(f)[k]))));
+      const td = (v) => `<td style="padding:0 8px; text-align:right;">${v.toFixed(3)}</td>`;
+      forceDiv.innerHTML =
+        `<strong>Static forces at the precision positions</strong> (assembly mode ${assemblyMode}):` +
+        `<table><tr><th></th><th>T₂</th><th>MA</th><th>|F_O2|</th><th>|F_A|</th><th>|F_B|</th><th>|F_O4|</th></tr>` +
+        rows.map((f, i) => `<tr><td>${i + 1}</td>${cells(f).map(td).join('')}</tr>`).join('') +
+        `<tr><td><strong>peak</strong></td>${peaks.map(td).join('')}</tr></table>`;
+    }
+
+    /**
+     * Draw the velocity vectors of joints A and B at the current crank
+     * angle.  The vectors share one pixel scale, chosen so that the larger
+     * of the two is 60 pixels long; their magnitudes are printed next to
+     * the arrow heads.
+     */
+    function drawVelocityVectors(pos) {
+      const theta = Math.atan2(pos.A.y - pos.O2.y, pos.A.x - pos.O2.x) - ground.angle;
+      const { omega2, alpha2 } = crankRates();
+      const k = fourBarKinematics(r1, r2, r3, r4, theta, omega2, alpha2, pos.phi, assemblyMode);
+      // The velocities are relative to the ground line; turn them into the global frame
+      const turn = (v) => toGlobal(v, { O2: { x: 0, y: 0 }, angle: ground.angle });
+      const vmax = Math.max(Math.hypot(k.vA.x, k.vA.y), Math.hypot(k.vB.x, k.vB.y));
+      if (!(vmax > 0)) return;
+      const pixelsPerUnit = 60 / vmax;
+      [
+        { p: pos.A, v: turn(k.vA), colour: 'darkorange', label: 'v_A' },
+        { p: pos.B, v: turn(k.vB), colour: 'darkgreen', label: 'v_B' },
+      ].forEach(({ p, v, colour, label }) => {
+        const from = worldToCanvas(p);
+        const to = { x: from.x + v.x * pixelsPerUnit, y: from.y - v.y * pixelsPerUnit };
+        renderArrow(ctx, from, to, colour);
+        ctx.fillStyle = colour;
+        ctx.font = '12px Arial';
+        ctx.fillText(`${label} = ${Math.hypot(v.x, v.y).toFixed(2)}`, to.x + 4, to.y - 4);
+      });
+    }
+
+    /**
+     * Plot the rocker angular velocity ω₄ (left axis) and angular
+     * acceleration α₄ (right axis) against θ over the working range of
+     * the φ–θ plot, for the crank speed entered by the user.  A vertical
+     * line marks the current crank angle.
+     */
+    function drawKinematicsPlot(currentTheta) {
+      const c = kinCtx;
+      const w = kinematicsCanvas.width;
+      const h = kinematicsCanvas.height;
+      const margin = 50;
+      c.clearRect(0, 0, w, h);
+      c.fillStyle = '#ffffff';
+      c.fillRect(0, 0, w, h);
+      const [thetaMin, thetaMax] = thetaRange();
+      const { omega2, alpha2 } = crankRates();
+      const data = sampleKinematics(r1, r2, r3, r4, thetaMin, thetaMax, 100, omega2, alpha2, assemblyMode);
+      const xOf = (theta) => margin + ((theta - thetaMin) / (thetaMax - thetaMin)) * (w - 2 * margin);
+      // Draw one series against its own vertical axis, leaving gaps where
+      // the linkage cannot be assembled
+      function series(key, colour, axisX, label) {
+        const values = data.map((d) => d[key]).filter(Number.isFinite);
+        if (!values.length) return;
+        let vMin = Math.min(...values);
+        let vMax = Math.max(...values);
+        if (vMax - vMin < 1e-9) {
+          vMin -= 1;
+          vMax += 1;
+        }
+        const yOf = (v) => margin + ((vMax - v) / (vMax - vMin)) * (h - 2 * margin);
+        c.strokeStyle = colour;
+        c.lineWidth = 2;
+        c.beginPath();
+        let penDown = false;
+        data.forEach((d) => {
+          if (!Number.isFinite(d[key])) {
+            penDown = false;
+            return;
+          }
+          if (penDown) c.lineTo(xOf(d.theta), yOf(d[key]));
+          else c.moveTo(xOf(d.theta), yOf(d[key]));
+          penDown = true;
+        });
+        c.stroke();
+        c.fillStyle = colour;
+        c.font = '11px Arial';
+        const align = axisX < w / 2 ? -margin + 2 : 4;
+        c.fillText(vMax.toFixed(2), axisX + align, margin + 4);
+        c.fillText(vMin.toFixed(2), axisX + align, h - margin + 4);
+        c.fillText(label, axisX + align, margin - 12);
+      }
+      c.strokeStyle = '#333333';
+      c.lineWidth = 1;
+      c.beginPath();
+      c.moveTo(margin, h - margin);
+      c.lineTo(w - margin, h - margin);
+      c.moveTo(margin, margin);
+      c.lineTo(margin, h - margin);
+      c.moveTo(w - margin, margin);
+      c.lineTo(w - margin, h - margin);
+      c.stroke();
+      series('omega4', '#0077cc', margin, 'ω₄ (rad/s)');
+      series('alpha4', '#cc3300', w - margin, 'α₄ (rad/s²)');
+      c.fillStyle = '#000000';
+      c.font = '12px Arial';
+      c.fillText(`θ: ${displayDeg(thetaMin).toFixed(1)}° … ${displayDeg(thetaMax).toFixed(1)}°`, w / 2 - 50, h - margin + 20);
+      if (typeof currentTheta === 'number') {
+        const cx = xOf(currentTheta);
+        c.strokeStyle = '#888888';
+        c.beginPath();
+        c.moveTo(cx, margin);
+        c.lineTo(cx, h - margin);
+        c.stroke();
+        const k = fourBarKinematics(r1, r2, r3, r4, currentTheta, omega2, alpha2, prevPhi, assemblyMode);
+        c.fillStyle = '#333333';
+        c.fillText(`ω₄=${k.omega4.toFixed(3)}  α₄=${k.alpha4.toFixed(3)}`, cx + 5, margin + 14);
+      }
+    }
+
+    /**
+     * Draw one frame at crank angle theta: solves the mechanism for φ
+     * using the current assembly mode and previous φ for continuity, draws
+     * the grid, the mechanism and the design positions, and the plots with
+     * their cursors at theta.
+     */
+    function drawFrame(theta) {
+      if (mechanism === 'slider-crank') {
+        const pos = computeSliderCrankPositions(r2, r3, sliderOffset, theta, assemblyMode, ground);
+        drawGrid();
+        drawGuide();
+        drawMechanism(pos);
+        drawSpecifiedPositions();
+        // Draw the s–θ plot on the right, indicating the current (θ, s)
+        if (plotCtx) drawSliderPlot(theta, pos.s);
+      } else if (mechanism === 'sixbar') {
+        const pos = sixBarPositions(theta);
+        drawGrid();
+        drawMechanism(pos);
+        drawSpecifiedPositions();
+        // Draw the overall ψ–θ plot on the right, indicating the current (θ, ψ)
+        if (plotCtx) drawSixBarPlot(theta, pos.psi);
+      } else {
+        const pos = computeFourBarPositions(r1, r2, r3, r4, theta, prevPhi, assemblyMode, couplerPoint, ground);
+        prevPhi = pos.phi;
+        const inverted = fixedLink() !== 'ground';
+        drawGrid();
+        if (inverted) drawInversionPaths();
+        else drawCouplerCurve();
+        // Draw the mechanism with link labels, seen from the fixed link
+        drawMechanism(stateInversion(linkageState(), pos));
+        drawSpecifiedPositions();
+        // Draw φ–θ plot on the right, indicating the current (θ, φ), or
+        // the relative angles of the inversion
+        if (plotCtx && inverted) drawInversionPlot(theta, pos);
+        else if (plotCtx) drawPhiThetaPlot(theta, pos.phi);
+        if (kinCtx) drawKinematicsPlot(theta);
+        if (maCtx) drawMechanicalAdvantagePlot(theta);
+      }
+    }
+
+    /**
+     * Animation loop callback.  Draws the frame at the θ of the slider and
+     * advances the slider if playing.
+     */
+    function animate() {
+      const tVal = parseFloat(slider.value);
+      drawFrame(thetaFromSlider(tVal));
+      if (playing) {
+        let next = tVal + 0.002 * sliderDirection;
+        if (isFullRange() && !motionRange().fullRotation) {
+          // A crank that cannot turn fully swings back and forth between its limits
+          if (next > 1 || next < 0) {
+            sliderDirection = -sliderDirection;
+            next = Math.min(1, Math.max(0, next));
+          }
+        } else {
+          sliderDirection = 1;
+          if (next > 1) next = 0;
+        }
+        slider.value = next.toFixed(3);
+        animationId = requestAnimationFrame(animate);
+      }
+    }
+
+    /**
+     * Settings shared by the plots drawn with renderPhiThetaPlot: the
+     * units chosen on the page, the panned or zoomed window and the
+     * readout while the mouse is over the plot.
+     */
+    function plotSettings() {
+      return {
+        units: plotUnitsSelect ? plotUnitsSelect.value : 'deg',
+        viewport: plotViewport,
+        readout: plotHover !== null,
+      };
+    }
+
+    /**
+     * Draw the overall input–output plot ψ(θ) of the six‑bar through both
+     * stages on the secondary plot canvas, with the precision pairs and a
+     * cursor at the current (θ, ψ).
+     */
+    function drawSixBarPlot(currentTheta, currentPsi) {
+      const [thetaMin, thetaMax] = thetaRange();
+      const sweep = sweepSixBar({ ...sixBar, modes: sixBarModes() }, thetaMin, thetaMax, isFullRange() ? 360 : 100);
+      plotMap = renderPhiThetaPlot(plotCtx, {
+        ...plotSettings(),
+        thetaDeg: sixBar.thetaDeg,
+        phiDeg: sixBar.psiDeg,
+        width: plotCanvas.width,
+        height: plotCanvas.height,
+        thetaRangeDeg: [rad2deg(thetaMin), rad2deg(thetaMax)],
+        curve: { samples: sweep.samples.map((p) => ({ theta: p.theta, phi: p.psi })) },
+        outputSymbol: 'ψ',
+        current: { thetaDeg: rad2deg(currentTheta), phiDeg: rad2deg(currentPsi) },
+        angleOffsetDeg: angleOffsetDeg(),
+      });
+    }
+
+    /**
+     * Draw the φ–θ plot of the current linkage on the secondary plot
+     * canvas over the θ range of the slider, widened to the range of the
+     * target function when one is set, or over the panned or zoomed
+     * window, with the overlays chosen on the page and a cursor at the
+     * current (θ, φ).
+     */
+    function drawPhiThetaPlot(currentTheta, currentPhi) {
+      let [thetaMin, thetaMax] = plotViewport ? plotViewport.thetaDeg.map(deg2rad) : thetaRange();
+      // Structural error of the current linkage against the target function
+      let targetError = null;
+      if (target) {
+        if (!plotViewport) {
+          thetaMin = Math.min(thetaMin, ...target.thetaRangeDeg.map(deg2rad));
+          thetaMax = Math.max(thetaMax, ...target.thetaRangeDeg.map(deg2rad));
+        }
+        targetError = structuralError(
+          target.f,
+          target.xRange,
+          target.thetaRangeDeg,
+          target.phiRangeDeg,
+          { r1, r2, r3, r4 },
+          assemblyMode
+        );
+      }
+      const samples = isFullRange() || plotViewport ? 360 : 100;
+      plotMap = renderPhiThetaPlot(plotCtx, {
+        ...plotSettings(),
+        ...linkageState(),
+        width: plotCanvas.width,
+        height: plotCanvas.height,
+        thetaRangeDeg: [rad2deg(thetaMin), rad2deg(thetaMax)],
+        samples,
+        showLimits: isFullRange(),
+        showOtherBranch: Boolean(showOtherBranchCheckbox && showOtherBranchCheckbox.checked),
+        showTransmission: Boolean(showTransmissionCheckbox && showTransmissionCheckbox.checked),
+        minTransmissionDeg: minTransmissionInput ? parseFloat(minTransmissionInput.value) : 40,
+        structuralError: targetError,
+        showIdeal: Boolean(showIdealCheckbox && showIdealCheckbox.checked),
+        showError: Boolean(showErrorCheckbox && showErrorCheckbox.checked),
+        // Monte Carlo tolerance band around the computed curve
+        tolerance: showToleranceCheckbox && showToleranceCheckbox.checked ? toleranceFor(thetaMin, thetaMax, samples) : null,
+        current: typeof currentTheta === 'number' ? { thetaDeg: rad2deg(currentTheta), phiDeg: rad2deg(currentPhi) } : null,
+        angleOffsetDeg: angleOffsetDeg(),
+      });
+    }
+
+    /**
+     * Plot the relative output angle of the inversion against its relative
+     * input angle over the θ range of the slider, with the precision
+     * positions and a cursor at the current crank angle.  The relative
+     * angles of single positions are brought onto the revolution of the
+     * curve at the nearest crank angle.
+     */
+    function drawInversionPlot(currentTheta, currentPos) {
+      const link = fixedLink();
+      const [thetaMin, thetaMax] = thetaRange();
+      const sweep = sweepInversion({ r1, r2, r3, r4 }, assemblyMode, link, thetaMin, thetaMax, isFullRange() ? 360 : 100);
+      const onCurve = (crank, pos) => {
+        const { input, output } = inversionAngles(pos, link);
+        const nearest = sweep.samples.reduce(
+          (best, p) => (Number.isNaN(p.theta) || (best && Math.abs(best.crank - crank) < Math.abs(p.crank - crank)) ? best : p),
+          null
+        );
+        if (!nearest) return { thetaDeg: rad2deg(input), phiDeg: rad2deg(output) };
+        return {
+          thetaDeg: rad2deg(nearest.theta + normalizeAngle(input - nearest.theta)),
+          phiDeg: rad2deg(nearest.phi + normalizeAngle(output - nearest.phi)),
+        };
+      };
+      const points = thetaVals.map((theta, i) => onCurve(theta, precisionPositions(theta, phiVals[i])));
+      plotMap = renderPhiThetaPlot(plotCtx, {
+        ...plotSettings(),
+        thetaDeg: points.map((p) => p.thetaDeg),
+        phiDeg: points.map((p) => p.phiDeg),
+        width: plotCanvas.width,
+        height: plotCanvas.height,
+        curve: sweep,
+        inputSymbol: sweep.symbols[0],
+        outputSymbol: sweep.symbols[1],
+        current: Number.isNaN(currentPos.phi) ? null : onCurve(currentTheta, currentPos),
+      });
+    }
+
+    /**
+     * Plot the slider displacement s against θ on the plot canvas in the
+     * style of the φ–θ plot: the curve of the current assembly mode with
+     * gaps where the coupler cannot reach the guide, the precision points,
+     * the limit angles in full‑range mode and a marker at the current θ.
+     */
+    function drawSliderPlot(currentTheta, currentS) {
+      const c = plotCtx;
+      plotMap = null;
+      const w = plotCanvas.width;
+      const h = plotCanvas.height;
+      const margin = 40;
+      c.clearRect(0, 0, w, h);
+      c.fillStyle = '#ffffff';
+      c.fillRect(0, 0, w, h);
+      const [thetaMin, thetaMax] = thetaRange();
+      const samples = isFullRange() ? 360 : 100;
+      const data = [];
+      for (let i = 0; i <= samples; i++) {
+        const theta = thetaMin + (i / samples) * (thetaMax - thetaMin);
+        data.push({ theta, s: solveSliderCrank(r2, r3, sliderOffset, theta, assemblyMode) });
+      }
+      const finite = data.map((d) => d.s).concat(sliderVals).filter(Number.isFinite);
+      let sMin = Math.min(...finite);
+      let sMax = Math.max(...finite);
+      if (sMax - sMin < 1e-9) {
+        sMin -= 1;
+        sMax += 1;
+      }
+      const xOf = (theta) => margin + ((theta - thetaMin) / (thetaMax - thetaMin)) * (w - 2 * margin);
+      const yOf = (sVal) => margin + ((sMax - sVal) / (sMax - sMin)) * (h - 2 * margin);
+      c.strokeStyle = '#333333';
+      c.lineWidth = 1;
+      c.beginPath();
+      c.moveTo(margin, h - margin);
+      c.lineTo(w - margin, h - margin);
+      c.moveTo(margin, margin);
+      c.lineTo(margin, h - margin);
+      c.stroke();
+      c.font = '12px Arial';
+      c.fillStyle = '#000000';
+      c.fillText('θ (rad)', w - margin - 30, h - margin + 20);
+      c.save();
+      c.translate(margin - 20, margin + (h - 2 * margin) / 2);
+      c.rotate(-Math.PI / 2);
+      c.fillText('s', 0, 0);
+      c.restore();
+      c.fillText(sMax.toFixed(2), 4, margin - 4);
+      c.fillText(sMin.toFixed(2), 4, h - margin + 14);
+      // Computed s–θ curve, leaving gaps where the linkage cannot be assembled
+      c.strokeStyle = '#0077cc';
+      c.lineWidth = 2;
+      c.beginPath();
+      let penDown = false;
+      data.forEach((d) => {
+        if (Number.isNaN(d.s)) {
+          penDown = false;
+          return;
+        }
+        if (penDown) c.lineTo(xOf(d.theta), yOf(d.s));
+        else c.moveTo(xOf(d.theta), yOf(d.s));
+        penDown = true;
+      });
+      c.stroke();
+      // In full‑range mode mark the limit angles of a crank that cannot turn fully
+      const range = motionRange();
+      if (isFullRange() && !range.fullRotation) {
+        c.save();
+        c.font = '11px Arial';
+        c.strokeStyle = '#cc0000';
+        c.fillStyle = '#cc0000';
+        c.setLineDash([4, 3]);
+        [range.lo, range.hi].forEach((theta) => {
+          c.beginPath();
+          c.moveTo(xOf(theta), margin);
+          c.lineTo(xOf(theta), h - margin);
+          c.stroke();
+          c.fillText('limit', xOf(theta) + 3, margin + 10);
+        });
+        c.restore();
+      }
+      // Specified precision points
+      c.fillStyle = '#ff0000';
+      thetaVals.forEach((theta, i) => {
+        c.beginPath();
+        c.arc(xOf(theta), yOf(sliderVals[i]), 4, 0, 2 * Math.PI);
+        c.fill();
+      });
+      if (typeof currentTheta === 'number' && Number.isFinite(currentS)) {
+        const cx = xOf(currentTheta);
+        const cy = yOf(currentS);
+        c.strokeStyle = '#888888';
+        c.lineWidth = 1;
+        c.beginPath();
+        c.moveTo(cx, margin);
+        c.lineTo(cx, h - margin);
+        c.stroke();
+        c.fillStyle = '#0000ff';
+        c.beginPath();
+        c.arc(cx, cy, 4, 0, 2 * Math.PI);
+        c.fill();
+        c.fillStyle = '#333333';
+        c.font = '12px Arial';
+        c.fillText(`θ=${displayDeg(currentTheta).toFixed(1)}°`, cx - 20, h - margin + 15);
+        c.fillText(`s=${currentS.toFixed(3)}`, cx + 5, cy - 5);
+      }
+    }
+
+    /**
+     * Read the precision pairs from the rows of the pairs table.  Returns
+     * arrays of θ and φ in degrees and the weight of each pair.
+     */
+    function readPairs() {
+      const rows = Array.from(pairsBody.rows);
+      return {
+        thetaDeg: rows.map((row) => parseFloat(row.querySelector('.theta-input').value)),
+        phiDeg: rows.map((row) => parseFloat(row.querySelector('.phi-input').value)),
+        weights: rows.map((row) => parseFloat(row.querySelector('.weight-input').value)),
+      };
+    }
+
+    /**
+     * Renumber the rows of the pairs table after a row has been added or
+     * removed, and disable the remove buttons when only three pairs remain.
      */
-    function performSynthesis() {
-      r1 = parseFloat(r1Input.value);
-      thetaVals = thetaInputs.map((inp) => deg2rad(parseFloat(inp.value)));
-      phiVals = phiInputs.map((inp) => deg2rad(parseFloat(inp.value)));
+    function renumberPairs() {
+      const rows = Array.from(pairsBody.rows);
+      rows.forEach((row, i) => {
+        row.cells[0].textContent = String(i + 1);
+        row.querySelector('.remove-pair').disabled = rows.length <= 3;
+      });
+    }
+
+    /**
+     * Replace the rows of the pairs table with the given precision pairs.
+     */
+    function setPairs(thetaDeg, phiDeg, weights = []) {
+      while (pairsBody.rows.length > 3) pairsBody.deleteRow(-1);
+      thetaDeg.forEach((theta, i) => {
+        const weight = weights[i] === undefined ? 1 : weights[i];
+        const row = i < pairsBody.rows.length ? pairsBody.rows[i] : addPairRow();
+        row.querySelector('.theta-input').value = theta;
+        row.querySelector('.phi-input').value = phiDeg[i];
+        row.querySelector('.weight-input').value = weight;
+      });
+      renumberPairs();
+    }
+
+    /**
+     * Switch between the four‑bar, the slider‑crank and the series
+     * six‑bar.  The pairs of the mechanism left are kept so that switching
+     * back restores them, and the inputs that do not apply are hidden
+     * through a class on the body.
+     */
+    function setMechanism(kind) {
+      if (mechanismSelect) mechanismSelect.value = kind;
+      document.body.classList.toggle('slider-crank', kind === 'slider-crank');
+      document.body.classList.toggle('sixbar', kind === 'sixbar');
+      if (kind === mechanism) return;
+      stashedPairs[mechanism] = readPairs();
+      mechanism = kind;
+      const pairs = stashedPairs[kind];
+      setPairs(pairs.thetaDeg, pairs.phiDeg, pairs.weights);
+    }
+
+    /**
+     * Read the target function y = f(x) from the target panel.  A
+     * non‑empty lookup table (one "x, y" pair per line) takes precedence
+     * over the f(x) expression, which may use any Math function.
+     */
+    function readTarget() {
+      const tableText = targetTableInput.value.trim();
+      let f;
+      if (tableText) {
+        f = tableText.split(/\n+/).map((line) => line.split(/[,;\s]+/).map(parseFloat));
+        // Validate the table now rather than at the first evaluation
+        tableFunction(f);
+      } else {
+        const body = `with (Math) { return (${targetExprInput.value}); }`;
+        f = new Function('x', body);
+      }
+      // Angles are kept relative to the ground line, like thetaVals and phiVals
+      const offset = angleOffsetDeg();
+      return {
+        f,
+        xRange: [parseFloat(targetX0Input.value), parseFloat(targetXfInput.value)],
+        thetaRangeDeg: [parseFloat(targetTheta0Input.value) - offset, parseFloat(targetThetafInput.value) - offset],
+        phiRangeDeg: [parseFloat(targetPhi0Input.value) - offset, parseFloat(targetPhifInput.value) - offset],
+      };
+    }
+
+    /**
+     * Compute Chebyshev precision points for the target function, load
+     * them into the pairs table and assembly mode selector, and run the
+     * synthesis so the plot can overlay the ideal and error curves.
+     */
+    function performChebyshevSynthesis() {
       try {
-        const result = threePositionSynthesis(
-          thetaInputs.map((inp) => parseFloat(inp.value)),
-          phiInputs.map((inp) => parseFloat(inp.value)),
-          r1
+        ground = readGround();
+        const spec = readTarget();
+        const result = functionGeneratorSynthesis(
+          spec.f,
+          spec.xRange,
+          spec.thetaRangeDeg,
+          spec.phiRangeDeg,
+          parseFloat(r1Input.value)
+        );
+        target = spec;
+        crankRockerSpec = null;
+        motionSpec = null;
+        const offset = angleOffsetDeg();
+        setPairs(
+          result.precision.thetaDeg.map((v) => (v + offset).toFixed(4)),
+          result.precision.phiDeg.map((v) => (v + offset).toFixed(4))
         );
-        r2 = result.r2;
-        r3 = result.r3;
-        r4 = result.r4;
-        // Sanity check: all link lengths must be positive
-        if (r2 <= 0 || r3 <= 0 || r4 <= 0) {
-          alert('Invalid synthesis: all link lengths must be positive.\nThe solution has been rejected.');
+        assemblyMode = result.mode;
+        modeOpenRadio.checked = result.mode === 'open';
+        modeClosedRadio.checked = result.mode === 'closed';
+        performSynthesis();
+      } catch (err) {
+        showError('Error in function generator synthesis: ' + err.message, 'Check the target function, its x range and the θ and φ ranges.');
+        console.error(err);
+      }
+    }
+
+    /**
+     * Search the free reference angles for the increments of the current
+     * pairs (θᵢ − θ₁, φᵢ − φ₁) and list the ranked candidates, each with a
+     * button that loads it into the pairs table and synthesizes it.
+     */
+    function performFreeReferenceSearch() {
+      try {
+        const pairs = readPairs();
+        const dThetaDeg = pairs.thetaDeg.map((t) => t - pairs.thetaDeg[0]);
+        const dPhiDeg = pairs.phiDeg.map((p) => p - pairs.phiDeg[0]);
+        const type = freeGrashofSelect.value;
+        // Candidates are relative to the ground line; show and load them as entered
+        ground = readGround();
+        const offset = angleOffsetDeg();
+        const grashofTypes =
+          type === 'grashof' ? ['crank-rocker', 'rocker-crank', 'double-crank', 'double-rocker'] : type ? [type] : undefined;
+        // Finer grids than 1° would keep the page busy for minutes
+        const stepDeg = Math.max(1, parseFloat(freeStepInput.value) || 5);
+        freeStepInput.value = stepDeg;
+        const result = freeReferenceSynthesis(dThetaDeg, dPhiDeg, parseFloat(r1Input.value), {
+          stepDeg,
+          grashofTypes,
+          weights: pairs.weights,
+        });
+        if (!result.candidates.length) {
+          freeCandidatesDiv.innerHTML =
+            `<div style="color:#c00000;">No valid design among ${result.evaluated} reference angle pairs.</div>`;
           return;
         }
-        playPauseBtn.disabled = false;
-        slider.disabled = false;
+        const rows = result.candidates.map(
+          (c, i) =>
+            `<tr><td>${i + 1}</td><td>${(c.theta0Deg + offset).toFixed(1)}</td><td>${(c.phi0Deg + offset).toFixed(1)}</td>` +
+            `<td>${c.r2.toFixed(3)}</td><td>${c.r3.toFixed(3)}</td><td>${c.r4.toFixed(3)}</td>` +
+            `<td style="text-align:left;">${c.grashof.type}</td><td>${c.transmission.minDeg.toFixed(0)}°…${c.transmission.maxDeg.toFixed(0)}°</td>` +
+            `<td><button data-candidate="${i}">Load</button></td></tr>`
+        );
+        freeCandidatesDiv.innerHTML =
+          `${result.valid} valid of ${result.evaluated} evaluated, ranked by transmission angle:` +
+          `<table><thead><tr><th>#</th><th>θ₁</th><th>φ₁</th><th>r₂</th><th>r₃</th><th>r₄</th>` +
+          `<th style="text-align:left;">type</th><th>μ range</th><th></th></tr></thead>` +
+          `<tbody>${rows.join('')}</tbody></table>`;
+        freeCandidatesDiv.querySelectorAll('button[data-candidate]').forEach((btn) => {
+          btn.addEventListener('click', () => {
+            const c = result.candidates[Number(btn.dataset.candidate)];
+            setPairs(
+              c.thetaDeg.map((v) => v + offset),
+              c.phiDeg.map((v) => v + offset),
+              pairs.weights
+            );
+            crankRockerSpec = null;
+            motionSpec = null;
+            performSynthesis();
+          });
+        });
+      } catch (err) {
+        freeCandidatesDiv.innerHTML = '';
+        showError('Error in free reference angle search: ' + err.message);
+        console.error(err);
+      }
+    }
+
+    /**
+     * Append a precision pair row to the pairs table.  When no values are
+     * given the new row continues the last pair.
+     */
+    function addPairRow(thetaDeg, phiDeg, weight = 1) {
+      const last = pairsBody.rows[pairsBody.rows.length - 1];
+      const row = last.cloneNode(true);
+      if (thetaDeg !== undefined) row.querySelector('.theta-input').value = thetaDeg;
+      if (phiDeg !== undefined) row.querySelector('.phi-input').value = phiDeg;
+      row.querySelector('.weight-input').value = weight;
+      pairsBody.appendChild(row);
+      renumberPairs();
+      return row;
+    }
+
+    /**
+     * Read the crank‑rocker specification from the swing and time ratio
+     * panel, in the form of the crankRockerSynthesis options.
+     */
+    function readCrankRocker() {
+      const spec = {
+        swingDeg: parseFloat(crSwingInput.value),
+        timeRatio: parseFloat(crTimeRatioInput.value),
+        couplerRatio: parseFloat(crCouplerRatioInput.value),
+      };
+      spec[crScaleSelect.value === 'r4' ? 'r4' : 'r1'] = parseFloat(crLengthInput.value);
+      return spec;
+    }
+
+    /**
+     * Report the swing angle and time ratio measured on the synthesized
+     * crank‑rocker, its Grashof type and transmission angle range, with
+     * the problems found in red.
+     */
+    function renderCrankRockerReport(result) {
+      if (!crankRockerDiv) return;
+      const mu = result.transmission;
+      crankRockerDiv.innerHTML =
+        `α = ${result.alphaDeg.toFixed(2)}°, ψ = ${result.swingDeg.toFixed(2)}°, Q = ${result.timeRatio.toFixed(3)}<br>` +
+        `${result.grashof.label}<br>` +
+        `μ range = ${mu.minDeg.toFixed(1)}° … ${mu.maxDeg.toFixed(1)}°` +
+        (result.valid
+          ? `<div style="color:#007000;">✓ Crank‑rocker with an acceptable transmission angle.</div>`
+          : `<div style="color:#c00000;">` + result.warnings.map((msg) => `⚠ ${msg}`).join('<br>') + `</div>`);
+    }
+
+    /**
+     * Synthesize a crank‑rocker from the swing and time ratio panel and
+     * show it in place of the precision point design.
+     */
+    function performCrankRockerSynthesis() {
+      const previous = [crankRockerSpec, motionSpec];
+      crankRockerSpec = readCrankRocker();
+      motionSpec = null;
+      // A specification that cannot be synthesized leaves the design shown as it was
+      if (!performSynthesis()) [crankRockerSpec, motionSpec] = previous;
+    }
+
+    /**
+     * Read the three coupler poses and the moving pivots at the first pose
+     * from the motion generation panel.
+     */
+    function readMotion() {
+      const value = (row, cls) => parseFloat(row.querySelector(cls).value);
+      const [ax, ay, bx, by] = motionPivotInputs.map((input) => parseFloat(input.value));
+      return {
+        poses: Array.from(motionPosesBody.rows).map((row) => ({
+          x: value(row, '.pose-x'),
+          y: value(row, '.pose-y'),
+          angleDeg: value(row, '.pose-angle'),
+        })),
+        pivots: { A: { x: ax, y: ay }, B: { x: bx, y: by } },
+      };
+    }
+
+    /**
+     * Fill the motion generation panel with a specification.
+     */
+    function setMotion(spec) {
+      Array.from(motionPosesBody.rows).forEach((row, j) => {
+        row.querySelector('.pose-x').value = spec.poses[j].x;
+        row.querySelector('.pose-y').value = spec.poses[j].y;
+        row.querySelector('.pose-angle').value = spec.poses[j].angleDeg;
+      });
+      const { A, B } = spec.pivots;
+      [A.x, A.y, B.x, B.y].forEach((v, i) => {
+        motionPivotInputs[i].value = v;
+      });
+    }
+
+    /**
+     * Read the split of the six‑bar from its panel as sixBarSynthesis
+     * options, with the rocker angles φᵢ from the ground line.
+     */
+    function readSixBar() {
+      const offset = angleOffsetDeg();
+      return {
+        intermediateDeg: sixBarPhiInputs.map((input) => parseFloat(input.value) - offset),
+        couplingDeg: parseFloat(sixBarCouplingInput.value) || 0,
+        groundAngleDeg: parseFloat(sixBarGroundAngleInput.value) || 0,
+        r1b: parseFloat(sixBarR1Input.value),
+      };
+    }
+
+    /**
+     * Synthesize the four‑bar that guides the coupler through the poses of
+     * the motion generation panel and show it in place of the precision
+     * point design.
+     */
+    function performMotionSynthesis() {
+      const previous = [crankRockerSpec, motionSpec];
+      motionSpec = readMotion();
+      crankRockerSpec = null;
+      if (!performSynthesis()) [crankRockerSpec, motionSpec] = previous;
+    }
+
+    /**
+     * Perform synthesis based on current input field values, update
+     * link lengths, enable controls, draw the design positions and
+     * compute the φ–θ plot.  Exactly three pairs use the exact
+     * three‑position synthesis; more pairs use the least‑squares fit.  A
+     * slider‑crank is synthesized from exactly three (θᵢ, sᵢ) pairs, and
+     * while a crank‑rocker specification is active the four‑bar comes from
+     * crankRockerSynthesis with its two toggle positions instead.  A
+     * series six‑bar is synthesized from exactly three (θᵢ, ψᵢ) pairs split
+     * as set in the six‑bar panel.
+     * Called when the user clicks the “Synthesize” button or on initial
+     * page load.  Returns true when a valid linkage was synthesized.
+     * Problems are reported through showDiagnostics in the panel under the
+     * Synthesize button; options.inline (set while a joint is dragged) only
+     * keeps unexpected errors out of the console.
+     */
+    function performSynthesis(options = {}) {
+      // Warnings of an accepted design, shown once it is drawn
+      let warnings = [];
+      r1 = parseFloat(r1Input.value);
+      const pairs = readPairs();
+      try {
+        ground = readGround();
+        // Synthesis and analysis work with angles from the ground line
+        const offset = angleOffsetDeg();
+        const thetaDeg = pairs.thetaDeg.map((t) => t - offset);
+        let result;
+        if (mechanism === 'slider-crank') {
+          if (thetaDeg.length !== 3) {
+            showError('A slider‑crank is synthesized from exactly three (θ, s) pairs.');
+            return false;
+          }
+          // The second column holds slider displacements, which are not angles
+          const sDisp = pairs.phiDeg;
+          thetaVals = thetaDeg.map(deg2rad);
+          sliderVals = sDisp;
+          result = sliderCrankSynthesis(thetaDeg, sDisp);
+          if (!result.valid) {
+            showDiagnostics(result.diagnostics);
+            return false;
+          }
+          r2 = result.r2;
+          r3 = result.r3;
+          sliderOffset = result.e;
+          validation = validateSliderCrank({ r2, r3, e: sliderOffset }, thetaDeg, sDisp);
+        } else if (mechanism === 'sixbar') {
+          if (thetaDeg.length !== 3) {
+            showError('A series six‑bar is synthesized from exactly three (θ, ψ) pairs.');
+            return false;
+          }
+          const psiDeg = pairs.phiDeg.map((p) => p - offset);
+          result = sixBarSynthesis(thetaDeg, psiDeg, { ...readSixBar(), r1 });
+          const rejected = result.stages.findIndex((stage) => !stage.validation);
+          if (rejected >= 0) {
+            showDiagnostics(result.stages[rejected].diagnostics, `Stage ${rejected + 1}: `);
+            return false;
+          }
+          sixBar = result;
+          ({ r2, r3, r4 } = result.stages[0]);
+          thetaVals = thetaDeg.map(deg2rad);
+          phiVals = result.intermediateDeg.map(deg2rad);
+          // The branch followed is that of stage 1; the messages cover both stages
+          validation = { ...result.stages[0].validation, valid: result.valid, messages: result.messages };
+        } else if (crankRockerSpec) {
+          const minTransmissionDeg = minTransmissionInput ? parseFloat(minTransmissionInput.value) : 40;
+          result = crankRockerSynthesis(crankRockerSpec.swingDeg, crankRockerSpec.timeRatio, {
+            ...crankRockerSpec,
+            minTransmissionDeg,
+          });
+          const toggleThetaDeg = result.toggles.map((t) => t.thetaDeg);
+          const togglePhiDeg = result.toggles.map((t) => t.phiDeg);
+          thetaVals = toggleThetaDeg.map(deg2rad);
+          phiVals = togglePhiDeg.map(deg2rad);
+          ({ r1, r2, r3, r4 } = result);
+          // The ground length follows from the design; keep O4 on the ground line
+          r1Input.value = Number(r1.toFixed(6));
+          if (o2xInput) {
+            updateO4FromGround();
+            ground = readGround();
+          }
+          validation = validateBranchAndOrder({ r1, r2, r3, r4 }, toggleThetaDeg, togglePhiDeg);
+          renderCrankRockerReport(result);
+        } else if (motionSpec) {
+          result = motionGenerationSynthesis(motionSpec.poses, motionSpec.pivots);
+          // The fixed pivots found are the ground pivots of the design
+          ground = { O2: result.O2, angle: result.frame.angle, globalAngles: ground.globalAngles };
+          if (o2xInput) {
+            [o2xInput, o2yInput, o4xInput, o4yInput].forEach((input, i) => {
+              input.value = Number([result.O2.x, result.O2.y, result.O4.x, result.O4.y][i].toFixed(6));
+            });
+            updateGroundFromO4();
+          } else {
+            r1Input.value = Number(result.r1.toFixed(6));
+          }
+          thetaVals = result.thetaDeg.map(deg2rad);
+          phiVals = result.phiDeg.map(deg2rad);
+          ({ r1, r2, r3, r4 } = result);
+          // The pose reference point is the coupler point
+          couplerPoint = result.couplerPoint;
+          if (couplerDistanceInput) {
+            couplerDistanceInput.value = Number(couplerPoint.distance.toFixed(6));
+            couplerAngleInput.value = Number(rad2deg(couplerPoint.angle).toFixed(4));
+          }
+          validation = result.validation;
+        } else {
+          const phiDeg = pairs.phiDeg.map((p) => p - offset);
+          thetaVals = thetaDeg.map(deg2rad);
+          phiVals = phiDeg.map(deg2rad);
+          // Explain singular equations and impossible lengths instead of rejecting them silently
+          const report = synthesisDiagnostics(thetaDeg, phiDeg, r1, thetaDeg.length === 3 ? undefined : pairs.weights);
+          if (!report.valid) {
+            showDiagnostics(report.diagnostics);
+            return false;
+          }
+          result = report.result;
+          warnings = report.diagnostics;
+          r2 = result.r2;
+          r3 = result.r3;
+          r4 = result.r4;
+          // Check that the positions lie on one branch and follow in order
+          validation = validateBranchAndOrder({ r1, r2, r3, r4 }, thetaDeg, phiDeg);
+        }
+        // Follow the branch of the positions so the animation does not jump
+        // between solutions
+        if (validation.branch) {
+          assemblyMode = validation.branch;
+          modeOpenRadio.checked = assemblyMode === 'open';
+          modeClosedRadio.checked = assemblyMode === 'closed';
+        }
+        renderBranchReport();
+        playPauseBtn.disabled = !validation.valid;
+        slider.disabled = !validation.valid;
         slider.value = '0';
         playing = false;
         prevPhi = undefined;
         playPauseBtn.textContent = 'Play';
-        drawGrid();
-        drawSpecifiedPositions();
-        if (plotCtx) drawPhiThetaPlot();
+        // A new design is plotted over its own extent
+        if (!options.inline) plotViewport = null;
         // Immediately draw the initial mechanism configuration
         animate();
         // Print solution to console
-        console.log('Synthesis result:', { r1: r1, r2: r2, r3: r3, r4: r4 });
+        if (mechanism === 'fourbar') console.log('Synthesis result:', { r1: r1, r2: r2, r3: r3, r4: r4 });
         // Update results display if element exists
-        if (resultsDiv) {
+        if (resultsDiv && mechanism === 'slider-crank') {
+          resultsDiv.innerHTML =
+            `<strong>Slider‑crank${result.branch ? ` (${result.branch})` : ''}:</strong><br>` +
+            `crank r₂ = ${r2.toFixed(3)}<br>` +
+            `coupler r₃ = ${r3.toFixed(3)}<br>` +
+            `offset e = ${sliderOffset.toFixed(3)}`;
+        } else if (resultsDiv && mechanism === 'sixbar') {
+          resultsDiv.innerHTML = sixBar.stages
+            .map((stage, k) => {
+              const prime = k ? '′' : '';
+              const check = stage.validation.valid
+                ? `<span style="color:#007000;">✓ ${stage.validation.branch}</span>`
+                : `<span style="color:#c00000;">⚠ ${stage.validation.branchDefect ? 'branch' : 'order'} defect</span>`;
+              return (
+                `<strong>Stage ${k + 1}:</strong> ${check}<br>` +
+                ['r1', 'r2', 'r3', 'r4'].map((key, j) => `r${'₁₂₃₄'[j]}${prime} = ${stage[key].toFixed(3)}`).join('<br>')
+              );
+            })
+            .join('<br>');
+        } else if (resultsDiv) {
           resultsDiv.innerHTML =
             `<strong>Link lengths:</strong><br>` +
             `r₁ = ${r1.toFixed(3)}<br>` +
             `r₂ = ${r2.toFixed(3)}<br>` +
             `r₃ = ${r3.toFixed(3)}<br>` +
             `r₄ = ${r4.toFixed(3)}`;
+          if (motionSpec) {
+            const point = (p) => `(${p.x.toFixed(3)}, ${p.y.toFixed(3)})`;
+            resultsDiv.innerHTML +=
+              `<br><strong>Motion generation:</strong><br>` +
+              `O₂ = ${point(result.O2)}<br>O₄ = ${point(result.O4)}<br>` +
+              `AP = ${couplerPoint.distance.toFixed(3)}, ∠BAP = ${rad2deg(couplerPoint.angle).toFixed(2)}°`;
+          }
+          if (crankRockerSpec) {
+            resultsDiv.innerHTML +=
+              `<br><strong>Crank‑rocker (${result.mode}):</strong><br>` +
+              result.toggles
+                .map((t, i) => `toggle ${i + 1} (${t.kind}): θ = ${displayDeg(deg2rad(t.thetaDeg)).toFixed(2)}°, φ = ${displayDeg(deg2rad(t.phiDeg)).toFixed(2)}°`)
+                .join('<br>');
+          }
+          if (result.rmsErrorDeg !== undefined) {
+            resultsDiv.innerHTML +=
+              `<br><strong>Least‑squares fit (${result.mode}):</strong><br>` +
+              `RMS φ error = ${result.rmsErrorDeg.toFixed(3)}°<br>` +
+              result.phiErrorDeg.map((e, i) => `Δφ${i + 1} = ${e.toFixed(3)}°`).join('<br>');
+          }
         }
+        renderQualityReport();
+        renderForceReport();
+        renderToleranceReport();
+        // While a joint is dragged the hash is updated once, on release
+        if (!options.inline) updateHash();
+        showDiagnostics(warnings);
+        return true;
       } catch (err) {
-        alert('Error in synthesis: ' + err.message);
-        console.error(err);
+        showError('Error in synthesis: ' + err.message);
+        if (!options.inline) console.error(err);
+        return false;
+      }
+    }
+
+    /**
+     * Show synthesis diagnostics (see synthesisDiagnostics) in the panel
+     * under the Synthesize button – each with its message, the pairs it
+     * concerns and what to change – and highlight those pairs in the
+     * table.  An empty list clears the panel.
+     */
+    function showDiagnostics(diagnostics, prefix = '') {
+      shownDiagnostics = diagnostics;
+      const rows = new Set(diagnostics.flatMap((d) => d.rows || []));
+      Array.from(pairsBody.rows).forEach((row, i) => row.classList.toggle('diagnostic', rows.has(i)));
+      if (!synthesisMessageDiv) return;
+      synthesisMessageDiv.innerHTML = diagnostics
+        .map((d) => {
+          const pairs = d.rows && d.rows.length ? ` <em>(pair${d.rows.length > 1 ? 's' : ''} ${d.rows.map((i) => i + 1).join(', ')})</em>` : '';
+          return (
+            `<div style="color:${d.severity === 'warning' ? '#a06000' : '#c00000'};">⚠ ${escapeXml(prefix + d.message)}${pairs}</div>` +
+            (d.suggestion ? `<div style="color:#555555; margin-left:1.2em;">${escapeXml(d.suggestion)}</div>` : '')
+          );
+        })
+        .join('');
+    }
+
+    /**
+     * Show a single error that concerns no particular pair, such as an
+     * input that cannot be read, in the diagnostics panel.
+     */
+    function showError(message, suggestion) {
+      showDiagnostics([{ severity: 'error', message, rows: [], suggestion }]);
+    }
+
+    /**
+     * Render the mechanism quality report (Grashof type and transmission
+     * angle) for the current linkage into the quality panel.  Warnings are
+     * listed in red when μ comes closer than the configured threshold to
+     * 0° or 180° over the working range θ₁…θₙ.
+     */
+    function renderQualityReport() {
+      if (!qualityDiv) return;
+      if (mechanism === 'slider-crank') {
+        // Crank range and stroke of the slider on the current assembly mode
+        const range = motionRange();
+        qualityDiv.innerHTML =
+          `<strong>Crank range (${assemblyMode}):</strong> ` +
+          (range.fullRotation
+            ? 'full rotation'
+            : `${displayDeg(range.lo).toFixed(1)}° … ${displayDeg(range.hi).toFixed(1)}° (limit positions)`) +
+          `<br><strong>Slider stroke:</strong> ${range.motion.stroke.toFixed(3)} ` +
+          `(s = ${range.motion.sMin.toFixed(3)} … ${range.motion.sMax.toFixed(3)})`;
+        return;
+      }
+      const minTransmissionDeg = minTransmissionInput ? parseFloat(minTransmissionInput.value) : 40;
+      if (mechanism === 'sixbar') {
+        // Each stage over the travel of its own input between the precision positions
+        qualityDiv.innerHTML = sixBar.stages
+          .map((stage, k) => {
+            const report = analyzeLinkage(stage, stage.thetaDeg, { minTransmissionDeg });
+            return (
+              `<strong>Stage ${k + 1}:</strong> ${report.grashof.label}<br>` +
+              `μ range = ${report.transmission.minDeg.toFixed(1)}° … ${report.transmission.maxDeg.toFixed(1)}°` +
+              (report.warnings.length
+                ? `<div style="color:#c00000;">${report.warnings.map((msg) => `⚠ ${msg}`).join('<br>')}</div>`
+                : '')
+            );
+          })
+          .join('<br>');
+        return;
+      }
+      const report = analyzeLinkage({ r1, r2, r3, r4 }, thetaVals.map(rad2deg), { minTransmissionDeg });
+      const mu = report.transmission;
+      let html =
+        `<strong>Linkage type:</strong> ${report.grashof.label}<br>` +
+        `s + l = ${(report.grashof.s + report.grashof.l).toFixed(3)}, ` +
+        `p + q = ${(report.grashof.p + report.grashof.q).toFixed(3)}<br>` +
+        `<strong>Transmission angle μ:</strong><br>` +
+        mu.atPositionsDeg.map((m, i) => `μ${i + 1} = ${m.toFixed(1)}°`).join('<br>') +
+        `<br>μ range = ${mu.minDeg.toFixed(1)}° … ${mu.maxDeg.toFixed(1)}°`;
+      // Range of motion on the current assembly mode
+      const range = motionRange();
+      html +=
+        `<br><strong>Crank range (${assemblyMode}):</strong> ` +
+        (range.fullRotation
+          ? 'full rotation'
+          : `${displayDeg(range.lo).toFixed(1)}° … ${displayDeg(range.hi).toFixed(1)}° (limit positions)`) +
+        `<br>Rocker swing = ${rad2deg(range.sweep.swing).toFixed(1)}°` +
+        (range.sweep.toggles.length
+          ? ` (toggles at θ = ${range.sweep.toggles.map((t) => `${displayDeg(t.theta).toFixed(1)}°`).join(', ')})`
+          : '');
+      if (report.warnings.length) {
+        html +=
+          `<div style="color:#c00000;">` +
+          report.warnings.map((msg) => `⚠ ${msg}`).join('<br>') +
+          `</div>`;
+      }
+      qualityDiv.innerHTML = html;
+    }
+
+    /**
+     * Show the branch each precision position lies on, and flag branch or
+     * order defects in red.
+     */
+    function renderBranchReport() {
+      if (!branchDiv) return;
+      const branches = (v) =>
+        v.positions.map((p, i) => `${i + 1}: ${p.branch || '—'}${p.reproduced === false && p.branch ? ' (not reproduced)' : ''}`).join(', ');
+      const sixBarStages = mechanism === 'sixbar' ? sixBar.stages : null;
+      branchDiv.innerHTML =
+        (sixBarStages
+          ? sixBarStages.map((stage, k) => `<strong>Stage ${k + 1} branches:</strong> ${branches(stage.validation)}`).join('<br>')
+          : `<strong>Branches:</strong> ${branches(validation)}`) +
+        (validation.valid
+          ? `<div style="color:#007000;">✓ All positions are reached in order on the ${
+              sixBarStages ? sixBar.modes.join(' and ') : validation.branch
+            } branch${sixBarStages ? 'es' : ''}.</div>`
+          : `<div style="color:#c00000; font-weight:bold;">` +
+            validation.messages.map((msg) => `⚠ ${msg}`).join('<br>') +
+            `</div>`);
+    }
+
+    /**
+     * Joint positions of the mechanism at the current slider position.
+     */
+    function currentPositions() {
+      const theta = thetaFromSlider(parseFloat(slider.value));
+      if (mechanism === 'slider-crank') return computeSliderCrankPositions(r2, r3, sliderOffset, theta, assemblyMode, ground);
+      if (mechanism === 'sixbar') return sixBarPositions(theta);
+      return computeFourBarPositions(r1, r2, r3, r4, theta, prevPhi, assemblyMode, couplerPoint, ground);
+    }
+
+    /**
+     * Draw the ground pivots O2 and O4 (only O2 for a slider‑crank) as
+     * small circles with labels.
+     */
+    function drawPivots(pos, c = ctx) {
+      renderPivots(c, currentView(), pos);
+    }
+
+    /**
+     * Save text content as a file through a temporary download link.
+     */
+    function downloadFile(filename, content, type) {
+      const url = URL.createObjectURL(new Blob([content], { type }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      // Revoking right away can cancel the download before it has started
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Export the current view as SVG: the precision positions in their
+     * colours with labels, the linkage at the current θ and the ground
+     * pivots (and the guide of a slider‑crank), drawn with the same
+     * routines as the canvas.
+     */
+    function exportSVG() {
+      const svg = createSvgContext(canvas.width, canvas.height);
+      svg.fillStyle = '#ffffff';
+      svg.fillRect(0, 0, canvas.width, canvas.height);
+      const pos = currentPositions();
+      if (mechanism === 'slider-crank') {
+        drawGuide(svg);
+        drawSpecifiedPositions(svg);
+        if (!Number.isNaN(pos.s)) drawSliderCrank(pos, 'blue', true, svg);
+      } else if (mechanism === 'sixbar') {
+        drawSpecifiedPositions(svg);
+        if (!Number.isNaN(pos.psi)) renderSixBar(svg, currentView(), pos, 'blue', true);
+      } else {
+        drawSpecifiedPositions(svg);
+        if (!Number.isNaN(pos.phi)) drawLinkage(stateInversion(linkageState(), pos), 'blue', true, svg);
+      }
+      drawPivots(mechanism === 'fourbar' && !Number.isNaN(pos.phi) ? stateInversion(linkageState(), pos) : pos, svg);
+      downloadFile(`${mechanism}.svg`, svg.toSVG(), 'image/svg+xml');
+    }
+
+    /**
+     * Export the link centerlines and pivot circles in real units as DXF:
+     * the linkage at the current θ on layer LINKAGE and each precision
+     * position on its own layer POSITION_i in its colour, with the
+     * selected inversion held fixed as in the SVG export.
+     */
+    function exportDXF() {
+      const state = linkageState();
+      const configurations = [];
+      const pos = currentPositions();
+      if (!Number.isNaN(pos.phi)) configurations.push({ pos: stateInversion(state, pos), layer: 'LINKAGE', color: 5 });
+      thetaVals.forEach((theta, i) => {
+        const color = positionColourIndices[i % positionColourIndices.length];
+        configurations.push({ pos: stateInversion(state, precisionPositions(theta, phiVals[i])), layer: `POSITION_${i + 1}`, color });
+      });
+      downloadFile('fourbar.dxf', linkageDXF(configurations, undefined, state.inversion), 'application/dxf');
+    }
+
+    /**
+     * Export the sampled φ–θ table of the current linkage and assembly
+     * mode (the s–θ table of a slider‑crank, the ψ–θ table of a six‑bar)
+     * as CSV or JSON, with joint
+     * coordinates in the global frame.  An empty range field falls back to
+     * the range of the φ–θ plot.
+     */
+    function exportTable() {
+      if (!hasDesign()) return;
+      const [lo, hi] = thetaRange();
+      const from = tableFromInput.value.trim() === '' ? displayDeg(lo) : parseFloat(tableFromInput.value);
+      const to = tableToInput.value.trim() === '' ? displayDeg(hi) : parseFloat(tableToInput.value);
+      const samples = Math.round(parseFloat(tableSamplesInput.value));
+      if (!Number.isFinite(from) || !Number.isFinite(to) || from === to || !(samples >= 1)) {
+        showError('Table export needs a non‑empty θ range and at least one interval.', 'Leave the range fields empty to export the range of the φ–θ plot.');
+        return;
+      }
+      let doc;
+      let csv;
+      if (mechanism === 'slider-crank') {
+        const rows = sliderCrankTable({ r2, r3, e: sliderOffset }, assemblyMode, [from, to], samples, ground);
+        doc = { mechanism, r2, r3, e: sliderOffset, mode: assemblyMode, ground, rows };
+        csv = () => sliderCrankTableCSV(rows);
+      } else if (mechanism === 'sixbar') {
+        const design = { ...sixBar, modes: sixBarModes() };
+        const rows = sixBarTable(design, [from, to], samples, ground);
+        const { stages, modes, couplingDeg, groundAngleDeg } = design;
+        doc = { mechanism, stages: stages.map(({ r1, r2, r3, r4 }) => ({ r1, r2, r3, r4 })), modes, couplingDeg, groundAngleDeg, ground, rows };
+        csv = () => sixBarTableCSV(rows);
+      } else {
+        const rows = phiThetaTable({ r1, r2, r3, r4 }, assemblyMode, [from, to], samples, ground);
+        doc = { r1, r2, r3, r4, mode: assemblyMode, ground, rows };
+        csv = () => phiThetaTableCSV(rows);
+      }
+      if (tableFormatSelect.value === 'json') {
+        // NaN is not valid JSON; unassemblable samples get null instead
+        const text = JSON.stringify(doc, (key, value) => (typeof value === 'number' && !Number.isFinite(value) ? null : value), 2);
+        downloadFile(`${mechanism}-table.json`, text, 'application/json');
+      } else {
+        downloadFile(`${mechanism}-table.csv`, csv(), 'text/csv');
+      }
+    }
+
+    /**
+     * Bytes of a base64 data URL such as canvas.toDataURL returns.
+     */
+    function dataURLBytes(url) {
+      const binary = atob(url.slice(url.indexOf(',') + 1));
+      return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+    }
+
+    /**
+     * Render the animation over the θ range of the export inputs (the
+     * slider range when left empty) with the chosen number of frames, the
+     * mechanism canvas scaled to the chosen width and the plot beside it
+     * when ticked, and download it as an animated GIF or as a zip of PNG
+     * frames.  The canvases are enlarged or reduced for the capture, with
+     * the pan scaled along, and restored afterwards.
+     */
+    function exportAnimation() {
+      if (!hasDesign()) return;
+      const [lo, hi] = thetaRange();
+      const from = animFromInput.value.trim() === '' ? displayDeg(lo) : parseFloat(animFromInput.value);
+      const to = animToInput.value.trim() === '' ? displayDeg(hi) : parseFloat(animToInput.value);
+      const count = Math.round(parseFloat(animFramesInput.value));
+      const width = Math.round(parseFloat(animWidthInput.value));
+      if (!Number.isFinite(from) || !Number.isFinite(to) || from === to || !(count >= 2) || !(width >= 50)) {
+        showError(
+          'Animation export needs a non‑empty θ range, at least two frames and a width of at least 50 pixels.',
+          'Leave the range fields empty to export the slider range.'
+        );
+        return;
+      }
+      const thetaStart = deg2rad(from - angleOffsetDeg());
+      const thetaEnd = deg2rad(to - angleOffsetDeg());
+      // A whole turn would repeat its first frame at the end of the loop
+      const steps = Math.abs(thetaEnd - thetaStart) >= 2 * Math.PI - 1e-9 ? count : count - 1;
+      const withPlot = Boolean(plotCanvas && animPlotCheckbox && animPlotCheckbox.checked);
+      const asGif = animFormatSelect.value === 'gif';
+      const ratio = width / canvas.width;
+      const saved = { width: canvas.width, height: canvas.height, offsetX, offsetY };
+      if (plotCanvas) Object.assign(saved, { plotWidth: plotCanvas.width, plotHeight: plotCanvas.height });
+      canvas.width = width;
+      canvas.height = Math.round(saved.height * ratio);
+      if (plotCanvas) {
+        plotCanvas.width = Math.round(saved.plotWidth * ratio);
+        plotCanvas.height = Math.round(saved.plotHeight * ratio);
+      }
+      offsetX *= ratio;
+      offsetY *= ratio;
+      const gap = withPlot ? Math.round(10 * ratio) : 0;
+      const frame = document.createElement('canvas');
+      frame.width = canvas.width + (withPlot ? gap + plotCanvas.width : 0);
+      frame.height = Math.max(canvas.height, withPlot ? plotCanvas.height : 0);
+      const frameCtx = frame.getContext('2d');
+      const images = [];
+      const files = [];
+      prevPhi = undefined;
+      try {
+        for (let i = 0; i < count; i++) {
+          drawFrame(thetaStart + (i / steps) * (thetaEnd - thetaStart));
+          frameCtx.fillStyle = '#ffffff';
+          frameCtx.fillRect(0, 0, frame.width, frame.height);
+          frameCtx.drawImage(canvas, 0, 0);
+          if (withPlot) frameCtx.drawImage(plotCanvas, canvas.width + gap, 0);
+          if (asGif) images.push(frameCtx.getImageData(0, 0, frame.width, frame.height));
+          else files.push({ name: `frame-${String(i + 1).padStart(4, '0')}.png`, data: dataURLBytes(frame.toDataURL('image/png')) });
+        }
+      } finally {
+        canvas.width = saved.width;
+        canvas.height = saved.height;
+        if (plotCanvas) {
+          plotCanvas.width = saved.plotWidth;
+          plotCanvas.height = saved.plotHeight;
+        }
+        offsetX = saved.offsetX;
+        offsetY = saved.offsetY;
+        prevPhi = undefined;
+        drawFrame(thetaFromSlider(parseFloat(slider.value)));
+      }
+      if (asGif) {
+        const delayMs = parseFloat(animDelayInput.value) || 50;
+        downloadFile(`${mechanism}.gif`, encodeGIF(images, frame.width, frame.height, { delayMs }), 'image/gif');
+      } else {
+        downloadFile(`${mechanism}-frames.zip`, createZip(files), 'application/zip');
+      }
+    }
+
+    /**
+     * Collect the current design and view into a design document.
+     */
+    function currentDesign() {
+      const pairs = readPairs();
+      return {
+        format: DESIGN_FORMAT,
+        version: DESIGN_VERSION,
+        mechanism,
+        r1: parseFloat(r1Input.value),
+        pairs: pairs.thetaDeg.map((thetaDeg, i) => ({ thetaDeg, phiDeg: pairs.phiDeg[i], weight: pairs.weights[i] })),
+        mode: assemblyMode,
+        lengths: hasDesign() ? currentLengths() : null,
+        ground: {
+          O2: { x: ground.O2.x, y: ground.O2.y },
+          angleDeg: rad2deg(ground.angle),
+          globalAngles: ground.globalAngles,
+        },
+        view: { scale: viewScale, offsetX, offsetY, fullRange: isFullRange() },
+        slider: parseFloat(slider.value),
+        crankRocker: crankRockerSpec ? { ...crankRockerSpec } : null,
+        motion: motionSpec,
+        sixBar: mechanism === 'sixbar' ? readSixBarPanel() : null,
+      };
+    }
+
+    /**
+     * The six‑bar panel as entered, for design documents.
+     */
+    function readSixBarPanel() {
+      return {
+        intermediateDeg: sixBarPhiInputs.map((input) => parseFloat(input.value)),
+        couplingDeg: parseFloat(sixBarCouplingInput.value) || 0,
+        groundAngleDeg: parseFloat(sixBarGroundAngleInput.value) || 0,
+        r1b: parseFloat(sixBarR1Input.value),
+      };
+    }
+
+    /**
+     * Synthesized lengths of the current mechanism: {r2, r3, r4} for the
+     * four‑bar, {r2, r3, e} for the slider‑crank and {r2, r3, r4, r2b,
+     * r3b, r4b} for the six‑bar.
+     */
+    function currentLengths() {
+      if (mechanism === 'slider-crank') return { r2, r3, e: sliderOffset };
+      if (mechanism === 'sixbar') {
+        const stage2 = sixBar.stages[1];
+        return { r2, r3, r4, r2b: stage2.r2, r3b: stage2.r3, r4b: stage2.r4 };
+      }
+      return { r2, r3, r4 };
+    }
+
+    /**
+     * Mirror the current design into the URL hash so the address can be
+     * shared.  replaceState keeps the browser history free of every
+     * intermediate edit.
+     */
+    function updateHash() {
+      if (!hasDesign()) return;
+      try {
+        history.replaceState(null, '', '#' + designToHash(currentDesign()));
+      } catch (err) {
+        // Inputs that are not valid numbers are simply not mirrored
+      }
+    }
+
+    /**
+     * Update the URL hash once a burst of changes, such as wheel zoom
+     * ticks, has settled.
+     */
+    function updateHashLater() {
+      clearTimeout(hashTimer);
+      hashTimer = setTimeout(updateHash, 300);
+    }
+
+    /**
+     * Restore a design document: fill in the inputs, re‑run the synthesis
+     * and restore the assembly mode, view and slider.  Warns when the
+     * stored link lengths no longer match the synthesized ones.
+     */
+    function applyDesign(doc) {
+      const design = parseDesign(doc);
+      setMechanism(design.mechanism);
+      crankRockerSpec = design.crankRocker;
+      motionSpec = design.motion;
+      if (motionSpec && motionPosesBody) setMotion(motionSpec);
+      if (design.sixBar && sixBarR1Input) {
+        design.sixBar.intermediateDeg.forEach((v, i) => {
+          sixBarPhiInputs[i].value = v;
+        });
+        sixBarCouplingInput.value = design.sixBar.couplingDeg;
+        sixBarGroundAngleInput.value = design.sixBar.groundAngleDeg;
+        sixBarR1Input.value = design.sixBar.r1b;
+      }
+      if (crankRockerSpec && crSwingInput) {
+        crSwingInput.value = crankRockerSpec.swingDeg;
+        crTimeRatioInput.value = crankRockerSpec.timeRatio;
+        crCouplerRatioInput.value = crankRockerSpec.couplerRatio;
+        crScaleSelect.value = crankRockerSpec.r4 !== undefined ? 'r4' : 'r1';
+        crLengthInput.value = crankRockerSpec.r4 !== undefined ? crankRockerSpec.r4 : crankRockerSpec.r1;
+      }
+      r1Input.value = design.r1;
+      if (o2xInput) {
+        o2xInput.value = design.ground.O2.x;
+        o2yInput.value = design.ground.O2.y;
+        groundAngleInput.value = design.ground.angleDeg;
+        globalAnglesCheckbox.checked = design.ground.globalAngles;
+        updateO4FromGround();
+      }
+      setPairs(
+        design.pairs.map((p) => p.thetaDeg),
+        design.pairs.map((p) => p.phiDeg),
+        design.pairs.map((p) => p.weight)
+      );
+      if (fullRangeCheckbox) fullRangeCheckbox.checked = design.view.fullRange;
+      if (!performSynthesis()) {
+        crankRockerSpec = null;
+        motionSpec = null;
+        return;
+      }
+      assemblyMode = design.mode;
+      modeOpenRadio.checked = assemblyMode === 'open';
+      modeClosedRadio.checked = assemblyMode === 'closed';
+      viewScale = design.view.scale;
+      offsetX = design.view.offsetX;
+      offsetY = design.view.offsetY;
+      slider.value = String(design.slider);
+      prevPhi = undefined;
+      renderQualityReport();
+      renderForceReport();
+      renderToleranceReport();
+      animate();
+      updateHash();
+      if (design.lengths) {
+        const stored = design.lengths;
+        const lengths = currentLengths();
+        const changed = Object.keys(lengths).filter((k) => {
+          const now = lengths[k];
+          return Math.abs(stored[k] - now) > 1e-6 * Math.max(1, Math.abs(now));
+        });
+        if (changed.length) {
+          showDiagnostics([
+            ...shownDiagnostics,
+            {
+              code: 'stored-lengths',
+              severity: 'warning',
+              message:
+                'The stored link lengths do not match the re‑synthesized design: ' +
+                changed.map((k) => `${k} stored ${stored[k]}, now ${lengths[k].toFixed(6)}`).join('; ') +
+                '.',
+              rows: [],
+              suggestion: 'The design shown is synthesized from the stored pairs; save it again to store its lengths.',
+            },
+          ]);
+        }
       }
     }
 
@@ -603,6 +6507,7 @@ function drawLinkage(pos, colour = 'blue', drawLabels = false) {
           animationId = requestAnimationFrame(animate);
         } else {
           cancelAnimationFrame(animationId);
+          updateHash();
         }
       }
     });
@@ -610,13 +6515,170 @@ function drawLinkage(pos, colour = 'blue', drawLabels = false) {
       if (!playing) {
         prevPhi = undefined;
         animate();
+        updateHash();
+      }
+    });
+    synthesizeBtn.addEventListener('click', () => {
+      crankRockerSpec = null;
+      motionSpec = null;
+      performSynthesis();
+    });
+    if (crankRockerBtn) crankRockerBtn.addEventListener('click', performCrankRockerSynthesis);
+    if (motionBtn) motionBtn.addEventListener('click', performMotionSynthesis);
+    if (mechanismSelect) {
+      mechanismSelect.addEventListener('change', () => {
+        crankRockerSpec = null;
+        motionSpec = null;
+        setMechanism(mechanismSelect.value);
+        performSynthesis();
+      });
+    }
+    if (exportSvgBtn) exportSvgBtn.addEventListener('click', exportSVG);
+    if (exportDxfBtn) exportDxfBtn.addEventListener('click', exportDXF);
+    if (exportTableBtn) exportTableBtn.addEventListener('click', exportTable);
+    if (exportAnimationBtn) exportAnimationBtn.addEventListener('click', exportAnimation);
+    toleranceInputs
+      .map(({ input }) => input)
+      .concat([toleranceTrialsInput, toleranceDistributionSelect, showToleranceCheckbox])
+      .forEach((el) => {
+        if (el) {
+          el.addEventListener('change', () => {
+            if (!hasDesign()) return;
+            renderToleranceReport();
+            if (!playing) animate();
+          });
+        }
+      });
+    if (freeSearchBtn) freeSearchBtn.addEventListener('click', performFreeReferenceSearch);
+    if (o2xInput) {
+      // r1 alone waits for Synthesize, as before; moving the ground re‑synthesizes at once
+      r1Input.addEventListener('change', updateO4FromGround);
+      [o2xInput, o2yInput, groundAngleInput].forEach((el) => {
+        el.addEventListener('change', () => {
+          updateO4FromGround();
+          performSynthesis();
+        });
+      });
+      [o4xInput, o4yInput].forEach((el) => {
+        el.addEventListener('change', () => {
+          try {
+            updateGroundFromO4();
+            performSynthesis();
+          } catch (err) {
+            showError('Error in ground pivots: ' + err.message);
+          }
+        });
+      });
+      // Switching the angle reference re‑expresses the entered angles so the design stays the same
+      globalAnglesCheckbox.addEventListener('change', () => {
+        const shift = (globalAnglesCheckbox.checked ? 1 : -1) * (parseFloat(groundAngleInput.value) || 0);
+        const move = (input) => {
+          input.value = Number((parseFloat(input.value) + shift).toFixed(6));
+        };
+        // The second column holds slider displacements for a slider‑crank
+        pairsBody.querySelectorAll(mechanism === 'slider-crank' ? '.theta-input' : '.theta-input, .phi-input').forEach(move);
+        [targetTheta0Input, targetThetafInput, targetPhi0Input, targetPhifInput].forEach((el) => {
+          if (el) move(el);
+        });
+        performSynthesis();
+      });
+    }
+    if (saveDesignBtn) {
+      saveDesignBtn.addEventListener('click', () => {
+        downloadFile('fourbar-design.json', JSON.stringify(currentDesign(), null, 2), 'application/json');
+      });
+      loadDesignBtn.addEventListener('click', () => loadDesignFile.click());
+      loadDesignFile.addEventListener('change', () => {
+        const file = loadDesignFile.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+          try {
+            applyDesign(reader.result);
+          } catch (err) {
+            showError('Error loading design: ' + err.message);
+            console.error(err);
+          }
+        };
+        reader.readAsText(file);
+        // Allow the same file to be loaded again
+        loadDesignFile.value = '';
+      });
+    }
+    addPairBtn.addEventListener('click', () => addPairRow());
+    [couplerDistanceInput, couplerAngleInput, showCouplerCurveCheckbox].forEach((el) => {
+      if (el) {
+        el.addEventListener('change', () => {
+          couplerPoint = readCouplerPoint();
+          if (!playing && hasDesign()) animate();
+        });
+      }
+    });
+    [loadTorqueInput, loadForceXInput, loadForceYInput].forEach((el) => {
+      if (el) {
+        el.addEventListener('change', () => {
+          if (hasDesign()) renderForceReport();
+          if (!playing && hasDesign()) animate();
+        });
+      }
+    });
+    // The plot of an inversion has other axes
+    if (inversionSelect) {
+      inversionSelect.addEventListener('change', () => {
+        plotViewport = null;
+      });
+    }
+    [crankRpmInput, crankAlphaInput, showVelocityCheckbox, inversionSelect].forEach((el) => {
+      if (el) {
+        el.addEventListener('change', () => {
+          if (!playing && hasDesign()) animate();
+        });
+      }
+    });
+    if (fullRangeCheckbox) {
+      fullRangeCheckbox.addEventListener('change', () => {
+        slider.value = '0';
+        sliderDirection = 1;
+        prevPhi = undefined;
+        renderQualityReport();
+        renderToleranceReport();
+        if (!playing && hasDesign()) animate();
+        updateHash();
+      });
+    }
+    if (minTransmissionInput) {
+      minTransmissionInput.addEventListener('change', () => {
+        if (hasDesign()) renderQualityReport();
+        if (!playing && hasDesign()) animate();
+      });
+    }
+    if (chebyshevBtn) {
+      chebyshevBtn.addEventListener('click', performChebyshevSynthesis);
+      clearTargetBtn.addEventListener('click', () => {
+        target = null;
+        if (!playing) animate();
+      });
+      showIdealCheckbox.addEventListener('change', () => {
+        if (!playing) animate();
+      });
+      showErrorCheckbox.addEventListener('change', () => {
+        if (!playing) animate();
+      });
+    }
+    pairsBody.addEventListener('click', (e) => {
+      if (e.target.classList.contains('remove-pair') && pairsBody.rows.length > 3) {
+        pairsBody.removeChild(e.target.closest('tr'));
+        renumberPairs();
       }
     });
-    synthesizeBtn.addEventListener('click', performSynthesis);
     modeOpenRadio.addEventListener('change', () => {
       if (modeOpenRadio.checked) {
         assemblyMode = 'open';
         prevPhi = undefined;
+        renderQualityReport();
+        renderForceReport();
+        renderToleranceReport();
+        updateHash();
         if (!playing) {
           animate();
         }
@@ -626,21 +6688,113 @@ function drawLinkage(pos, colour = 'blue', drawLabels = false) {
       if (modeClosedRadio.checked) {
         assemblyMode = 'closed';
         prevPhi = undefined;
+        renderQualityReport();
+        renderForceReport();
+        renderToleranceReport();
+        updateHash();
         if (!playing) {
           animate();
         }
       }
     });
+    // Dragging the joints of the precision positions
+    const canvasPoint = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+    /**
+     * Joint under the canvas point p, if any: A or B of a precision
+     * position, or O4.  Within 8 pixels; later positions win, as they are
+     * drawn on top.
+     */
+    function hitJoint(p) {
+      // The toggle positions of a crank‑rocker and the poses of motion
+      // generation follow from their specifications; the six‑bar positions
+      // are edited in the pairs table and six‑bar panel, and an inversion
+      // is only viewed
+      if (!hasDesign() || crankRockerSpec || motionSpec || mechanism === 'sixbar' || fixedLink() !== 'ground') return null;
+      const near = (pt) => {
+        const q = worldToCanvas(pt);
+        return Math.hypot(q.x - p.x, q.y - p.y) <= 8;
+      };
+      const isSlider = mechanism === 'slider-crank';
+      for (let i = thetaVals.length - 1; i >= 0; i--) {
+        const pos = isSlider ? sliderPositions(thetaVals[i], sliderVals[i]) : precisionPositions(thetaVals[i], phiVals[i]);
+        if (near(pos.A)) return { kind: 'A', index: i };
+        if (near(pos.B)) return { kind: 'B', index: i };
+      }
+      if (isSlider) return null;
+      if (near(toGlobal({ x: r1, y: 0 }, ground))) return { kind: 'O4' };
+      return null;
+    }
+    /**
+     * Move the dragged joint to the canvas point p: A sets θᵢ, B sets φᵢ
+     * (or sᵢ, the distance along the guide, for a slider‑crank) and O4
+     * sets r1 along the ground line.  The form fields are updated
+     * and the linkage is synthesized again right away.
+     */
+    function dragJointTo(p) {
+      const world = canvasToWorld(p);
+      // Express the angle in the reference of the form, on the turn nearest the old value
+      const setAngle = (input, from) => {
+        const local = Math.atan2(world.y - from.y, world.x - from.x) - ground.angle;
+        const old = parseFloat(input.value) || 0;
+        const deg = displayDeg(local);
+        input.value = Number((deg + 360 * Math.round((old - deg) / 360)).toFixed(2));
+      };
+      const row = pairsBody.rows[dragJoint.index];
+      // Distance of the point from O2 along the ground line
+      const along = (world.x - ground.O2.x) * Math.cos(ground.angle) + (world.y - ground.O2.y) * Math.sin(ground.angle);
+      if (dragJoint.kind === 'A') {
+        setAngle(row.querySelector('.theta-input'), ground.O2);
+      } else if (dragJoint.kind === 'B' && mechanism === 'slider-crank') {
+        row.querySelector('.phi-input').value = Number(along.toFixed(3));
+      } else if (dragJoint.kind === 'B') {
+        setAngle(row.querySelector('.phi-input'), toGlobal({ x: r1, y: 0 }, ground));
+      } else {
+        if (!(along > 0)) return;
+        r1Input.value = Number(along.toFixed(3));
+        if (o2xInput) updateO4FromGround();
+      }
+      if (!performSynthesis({ inline: true }) && hasDesign()) {
+        // Keep showing the dragged positions with the last valid lengths
+        drawGrid();
+        if (mechanism === 'slider-crank') drawGuide();
+        drawSpecifiedPositions();
+      }
+    }
+    canvas.addEventListener('mousemove', (e) => {
+      if (isDragging || dragJoint) return;
+      canvas.style.cursor = hitJoint(canvasPoint(e)) ? 'move' : '';
+    });
     // Panning
     canvas.addEventListener('mousedown', (e) => {
+      const hit = hitJoint(canvasPoint(e));
+      if (hit) {
+        dragJoint = { ...hit, viewR1: viewLength() };
+        return;
+      }
       isDragging = true;
       lastMouseX = e.clientX;
       lastMouseY = e.clientY;
     });
     window.addEventListener('mouseup', () => {
+      if (dragJoint) {
+        // Keep the drawing the same size now that the view follows the new lengths
+        const length = dragJoint.viewR1;
+        dragJoint = null;
+        if (viewLength() > 0) viewScale *= viewLength() / length;
+        if (hasDesign() && !playing) animate();
+        updateHash();
+      }
+      if (isDragging) updateHash();
       isDragging = false;
     });
     window.addEventListener('mousemove', (e) => {
+      if (dragJoint) {
+        dragJointTo(canvasPoint(e));
+        return;
+      }
       if (!isDragging) return;
       const dx = e.clientX - lastMouseX;
       const dy = e.clientY - lastMouseY;
@@ -649,18 +6803,8 @@ function drawLinkage(pos, colour = 'blue', drawLabels = false) {
       offsetX += dx;
       offsetY += dy;
       if (!playing) {
-        if (r2 && r3 && r4) {
-          const tVal = parseFloat(slider.value);
-          const theta = thetaFromSlider(tVal);
-          const pos = computeFourBarPositions(r1, r2, r3, r4, theta, prevPhi, assemblyMode);
-          prevPhi = pos.phi;
-          drawGrid();
-        drawLinkage(pos, 'blue', true);
-          drawSpecifiedPositions();
-          if (plotCtx) drawPhiThetaPlot();
-        } else {
-          drawGrid();
-        }
+        if (hasDesign()) animate();
+        else drawGrid();
       }
     });
     // Zooming
@@ -673,23 +6817,95 @@ function drawLinkage(pos, colour = 'blue', drawLabels = false) {
       offsetX = mouseX - (mouseX - offsetX) * zoomFactor;
       offsetY = mouseY - (mouseY - offsetY) * zoomFactor;
       viewScale *= zoomFactor;
+      updateHashLater();
       if (!playing) {
-        if (r2 && r3 && r4) {
-          const tVal = parseFloat(slider.value);
-          const theta = thetaFromSlider(tVal);
-          const pos = computeFourBarPositions(r1, r2, r3, r4, theta, prevPhi, assemblyMode);
-          prevPhi = pos.phi;
-          drawGrid();
-          drawLinkage(pos, 'blue', true);
-          drawSpecifiedPositions();
-          if (plotCtx) drawPhiThetaPlot();
+        if (hasDesign()) animate();
+        else drawGrid();
+      }
+    });
+    // φ–θ plot: hovering moves the mechanism to the crank angle under the
+    // mouse and lists the values of the curves there, dragging pans, the
+    // wheel zooms (along θ only with Shift) and a double click resets
+    const plotPoint = (e) => {
+      const rect = plotCanvas.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+    const redrawPlot = () => {
+      if (playing || !hasDesign()) return;
+      if (plotHover !== null) drawFrame(plotHover);
+      else animate();
+    };
+    const resetPlotView = () => {
+      plotViewport = null;
+      redrawPlot();
+    };
+    if (plotCanvas) {
+      plotCanvas.addEventListener('mousedown', (e) => {
+        if (plotMap) plotDrag = { ...plotPoint(e), thetaDeg: plotMap.thetaRangeDeg, phiDeg: plotMap.phiRangeDeg };
+      });
+      plotCanvas.addEventListener('mousemove', (e) => {
+        if (!plotMap) return;
+        const p = plotPoint(e);
+        if (plotDrag) {
+          const dTheta = ((p.x - plotDrag.x) / (plotCanvas.width - 2 * plotMap.margin)) * (plotDrag.thetaDeg[1] - plotDrag.thetaDeg[0]);
+          const dPhi = ((p.y - plotDrag.y) / (plotCanvas.height - 2 * plotMap.margin)) * (plotDrag.phiDeg[1] - plotDrag.phiDeg[0]);
+          plotViewport = {
+            thetaDeg: plotDrag.thetaDeg.map((v) => v - dTheta),
+            phiDeg: plotDrag.phiDeg.map((v) => v + dPhi),
+          };
         } else {
-          drawGrid();
+          const sample = plotMap.sampleAt(p.x);
+          if (!sample) return;
+          // The inversion plot runs over relative angles; move to the crank angle behind them
+          plotHover = sample.crank !== undefined ? sample.crank : sample.theta;
         }
-      }
+        redrawPlot();
+      });
+      window.addEventListener('mouseup', () => {
+        plotDrag = null;
+      });
+      plotCanvas.addEventListener('mouseleave', () => {
+        plotDrag = null;
+        plotHover = null;
+        if (!playing && hasDesign()) animate();
+      });
+      plotCanvas.addEventListener('wheel', (e) => {
+        if (!plotMap) return;
+        e.preventDefault();
+        const p = plotPoint(e);
+        // Shift turns the wheel sideways in some browsers
+        const factor = (e.deltaY || e.deltaX) < 0 ? 1 / 1.1 : 1.1;
+        const zoom = (range, at) => range.map((v) => at + (v - at) * factor);
+        plotViewport = {
+          thetaDeg: zoom(plotMap.thetaRangeDeg, rad2deg(plotMap.thetaAt(p.x))),
+          phiDeg: e.shiftKey ? plotMap.phiRangeDeg : zoom(plotMap.phiRangeDeg, rad2deg(plotMap.phiAt(p.y))),
+        };
+        redrawPlot();
+      });
+      plotCanvas.addEventListener('dblclick', resetPlotView);
+    }
+    if (resetPlotViewBtn) resetPlotViewBtn.addEventListener('click', resetPlotView);
+    [plotUnitsSelect, showOtherBranchCheckbox, showTransmissionCheckbox].forEach((el) => {
+      if (el) el.addEventListener('change', redrawPlot);
     });
     // Initial synthesis
-    performSynthesis();
+    couplerPoint = readCouplerPoint();
+    renumberPairs();
+    // A design in the URL hash takes precedence over the defaults
+    const loadFromHash = () => {
+      try {
+        applyDesign(designFromHash(location.hash));
+      } catch (err) {
+        console.error(err);
+        performSynthesis();
+        showError('Error restoring the design from the URL: ' + err.message, 'The default design is shown instead.');
+      }
+    };
+    window.addEventListener('hashchange', () => {
+      if (location.hash.length > 1) loadFromHash();
+    });
+    if (location.hash.length > 1) loadFromHash();
+    else performSynthesis();
   }
 
   // Attach setupUI to DOMContentLoaded so that the UI is initialised once
@@ -0,0 +1,120 @@
+/*
+ * Driver script for the command‑line front end.  It runs cli.js with the
+ * lecture example (θ = 35.02°, 67.50°, 100.0°; φ = 91.21°, 101.79°,
+ * 117.19°; r₁ = 4.5) given as --theta/--phi arguments, as CSV with and
+ * without a header, on standard input and as design documents saved from
+ * the web page, and checks the synthesized link lengths and exit codes.
+ * Run it with `node test_cli.js`.
+ */
+
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, readDesigns, runDesign } = require('./cli');
+
+const thetaDeg = [35.02, 67.5, 100.0];
+const phiDeg = [91.21, 101.79, 117.19];
+const expected = { r2: 0.3977, r3: 4.2011, r4: 0.838 };
+
+// Write an input file to a temporary directory for the duration of run(file)
+function withFile(name, text, run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fourbar-cli-'));
+  const file = path.join(dir, name);
+  try {
+    fs.writeFileSync(file, text);
+    return run(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Run a design document through the CLI functions
+function runDocument(doc) {
+  return withFile('design.json', JSON.stringify(doc), (file) => {
+    const options = parseArgs([file]);
+    return readDesigns(options).map((spec) => runDesign(spec, options));
+  });
+}
+
+// Run cli.js as a command, optionally with text on standard input
+function runCli(args, input) {
+  const run = spawnSync(process.execPath, [path.join(__dirname, 'cli.js'), ...args], { input, encoding: 'utf8' });
+  return { status: run.status, stdout: run.stdout, stderr: run.stderr };
+}
+
+// The JSON results of a successful run
+function results(run) {
+  assert.strictEqual(run.status, 0, run.stderr);
+  return JSON.parse(run.stdout);
+}
+
+function checkLengths(label, result) {
+  ['r2', 'r3', 'r4'].forEach((key) => assert.ok(Math.abs(result[key] - expected[key]) < 1e-3, `${label}: ${key} = ${result[key]}`));
+  console.log(`${label}: r2 = ${result.r2.toFixed(4)}, r3 = ${result.r3.toFixed(4)}, r4 = ${result.r4.toFixed(4)}`);
+}
+
+const list = (values) => values.join(',');
+checkLengths('--theta/--phi', results(runCli(['--r1', '4.5', '--theta', list(thetaDeg), '--phi', list(phiDeg)]))[0]);
+
+// CSV without a header: r1, theta1..theta3, phi1..phi3
+const row = [4.5, ...thetaDeg, ...phiDeg].join(',');
+withFile('designs.csv', `${row}\n`, (file) => checkLengths('CSV without header', results(runCli([file]))[0]));
+
+// CSV with a header, in any column order, with a name and the mode
+const header = 'mode,name,theta1,theta2,theta3,phi1,phi2,phi3,r1';
+const named = `open,lecture,${list(thetaDeg)},${list(phiDeg)},4.5`;
+withFile('designs.csv', `${header}\n${named}\n`, (file) => {
+  const [result] = results(runCli([file]));
+  assert.strictEqual(result.name, 'lecture');
+  assert.strictEqual(result.mode, 'open');
+  checkLengths('CSV with header', result);
+});
+
+// Standard input, as JSON and as CSV; the CSV output has one row per sample
+checkLengths('JSON on stdin', results(runCli(['-'], JSON.stringify({ r1: 4.5, thetaDeg, phiDeg })))[0]);
+const csvRun = runCli(['-', '--format', 'csv', '--samples', '4'], `${row}\n`);
+assert.strictEqual(csvRun.status, 0, csvRun.stderr);
+const csvLines = csvRun.stdout.trim().split('\n');
+assert.strictEqual(csvLines[0], 'name,r1,r2,r3,r4,mode,valid,error,thetaDeg,phiDeg');
+assert.strictEqual(csvLines.length, 1 + 5);
+console.log(`CSV on stdin: ${csvLines.length - 1} table rows`);
+
+// A singular row (a repeated pair) is reported as an error with exit
+// code 1; the other designs of the batch are still synthesized
+const singular = `4.5,35.02,67.5,67.5,91.21,101.79,101.79`;
+withFile('designs.csv', `${row}\n${singular}\n`, (file) => {
+  const run = runCli([file]);
+  assert.strictEqual(run.status, 1);
+  const [good, bad] = JSON.parse(run.stdout);
+  checkLengths('batch with a singular row', good);
+  assert.ok(/singular/.test(bad.error), bad.error);
+  assert.ok(run.stderr.includes(`${bad.name}: ${bad.error}`));
+  console.log(`singular row reported: ${bad.name}: ${bad.error}`);
+});
+
+const pairs = thetaDeg.map((t, i) => ({ thetaDeg: t, phiDeg: phiDeg[i] }));
+checkLengths('design document', runDocument({ r1: 4.5, pairs })[0]);
+
+// The same design with the ground rotated by 30° and the angles entered
+// from the global x‑axis
+const rotated = {
+  r1: 4.5,
+  pairs: pairs.map((p) => ({ thetaDeg: p.thetaDeg + 30, phiDeg: p.phiDeg + 30 })),
+  ground: { O2: { x: 0, y: 0 }, angleDeg: 30, globalAngles: true },
+};
+checkLengths('rotated ground, global angles', runDocument(rotated)[0]);
+
+// Documents of other mechanisms or specifications are rejected, not
+// synthesized as four‑bars from their pairs
+[
+  [{ r1: 4.5, mechanism: 'slider-crank', pairs: [30, 60, 90].map((t, i) => ({ thetaDeg: t, phiDeg: [3, 2.6, 2][i] })) }, /slider‑crank/],
+  [{ r1: 4.5, mechanism: 'sixbar', pairs }, /six‑bar/],
+  [{ r1: 4.5, pairs, crankRocker: { swingDeg: 60, timeRatio: 1.2, couplerRatio: 1.5, r4: 1 } }, /crank‑rocker/],
+].forEach(([doc, pattern]) => {
+  assert.throws(() => runDocument(doc), pattern);
+  console.log(`${doc.mechanism || 'crank-rocker'} document rejected`);
+});
+
+console.log('All CLI checks passed.');
@@ -2,7 +2,10 @@
  * Simple driver script to exercise the three‑position synthesis routine.  It
  * supplies the example from the lecture notes (θ₁ = 35.02°, θ₂ = 67.50°, θ₃ = 100.0°;
  * φ₁ = 91.21°, φ₂ = 101.79°, φ₃ = 117.19°; r₁ = 4.5 inches) and prints the
- * resulting link lengths.  This file can be run with `node test_synthesis.js`.
+ * resulting link lengths.  It then checks the routines built on it, from
+ * the least‑squares fit to the animation export, each against an
+ * independent computation.  This file can be run with
+ * `node test_synthesis.js`.
  */
 
 const { threePositionSynthesis } = require('./synthesis');
@@ -19,4 +22,767 @@ console.log('Computed link lengths for the three‑position synthesis example:')
 console.log(`r1 = ${result.r1.toFixed(3)}`);
 console.log(`r2 = ${result.r2.toFixed(4)}`);
 console.log(`r3 = ${result.r3.toFixed(4)}`);
-console.log(`r4 = ${result.r4.toFixed(4)}`);
\ No newline at end of file
+console.log(`r4 = ${result.r4.toFixed(4)}`);
+
+/* -------------------------------------------------------------------------
+ * Checks of the routines built on the synthesis, one section per feature
+ * in the order they were added.  Each result is verified independently of
+ * the routine that produced it – by position analysis, finite differences,
+ * simulation or decoding – and the script stops with an assertion error at
+ * the first failure.
+ */
+
+const assert = require('assert');
+const lib = require('./synthesis');
+
+const close = (a, b, tol, what) => assert.ok(Math.abs(a - b) <= tol, `${what}: ${a} differs from ${b}`);
+const rad = (deg) => (deg * Math.PI) / 180;
+const deg = (r) => (r * 180) / Math.PI;
+
+// Least‑squares synthesis: pairs taken from a known linkage are fitted
+// exactly; a disturbed pair leaves residuals orthogonal to the design
+// matrix (the normal equations), and its weight decides how far it pulls
+{
+  const linkage = { r1, r2: result.r2, r3: result.r3, r4: result.r4 };
+  const thetaLs = [35, 50, 65, 80, 100];
+  const phiOf = (t) => deg(lib.solveFourBarPhi(r1, linkage.r2, linkage.r3, linkage.r4, rad(t), undefined, 'closed'));
+  const phiLs = thetaLs.map(phiOf);
+  const exact = lib.leastSquaresSynthesis(thetaLs, phiLs, r1);
+  ['r2', 'r3', 'r4'].forEach((key) => close(exact[key], linkage[key], 1e-9, `least-squares ${key}`));
+  close(exact.rmsErrorDeg, 0, 1e-9, 'exact fit RMS');
+  const three = lib.leastSquaresSynthesis(thetaDeg, phiDeg, r1);
+  ['r2', 'r3', 'r4'].forEach((key) => close(three[key], result[key], 1e-9, `three-pair least-squares ${key}`));
+  const disturbed = phiLs.map((p, i) => (i === 2 ? p + 2 : p));
+  const weightsOf = (w2) => thetaLs.map((_, i) => (i === 2 ? w2 : 1));
+  const fit = (w2) => lib.leastSquaresSynthesis(thetaLs, disturbed, r1, weightsOf(w2));
+  [1, 10].forEach((w2) => {
+    const f = fit(w2);
+    const w = weightsOf(w2);
+    [0, 1, 2].forEach((j) => {
+      const sum = thetaLs.reduce((acc, t, i) => acc + w[i] * f.residuals[i] * [1, Math.cos(rad(disturbed[i])), -Math.cos(rad(t))][j], 0);
+      close(sum, 0, 1e-9, `normal equation ${j + 1} with weight ${w2}`);
+    });
+  });
+  const plain = fit(1);
+  const rms = Math.sqrt(plain.phiErrorDeg.reduce((acc, e) => acc + e * e, 0) / thetaLs.length);
+  close(plain.rmsErrorDeg, rms, 1e-9, 'RMS of the φ errors');
+  assert.ok(plain.rmsErrorDeg > 0.5);
+  assert.ok(Math.abs(fit(10).residuals[2]) < Math.abs(plain.residuals[2]) / 5, 'a heavier pair is fitted closer');
+  const ignored = fit(0);
+  close(ignored.r2, linkage.r2, 1e-9, 'weight 0 ignores the pair');
+  console.log(`least squares: RMS φ error ${plain.rmsErrorDeg.toFixed(3)}° with one pair 2° off, 0 without it`);
+}
+
+// Chebyshev function generator for y = log₁₀ x on [1, 2]: the precision
+// points are the roots of T₃ on the range, the linkage passes through them,
+// and the structural error alternates in sign between them
+{
+  const spacing = lib.chebyshevSpacing(1, 2, 3);
+  spacing.forEach((x) => {
+    const u = 2 * x - 3;
+    close(4 * u ** 3 - 3 * u, 0, 1e-12, `T₃ at x = ${x}`);
+  });
+  const fg = lib.functionGeneratorSynthesis(Math.log10, [1, 2], [30, 90], [60, 120], 1);
+  const thetaAt = (x) => 30 + (x - 1) * 60;
+  const phiAt = (x) => 60 + (Math.log10(x) / Math.log10(2)) * 60;
+  const errorAt = (x) => deg(lib.normalizeAngle(lib.solveFourBarPhi(1, fg.r2, fg.r3, fg.r4, rad(thetaAt(x)), undefined, fg.mode) - rad(phiAt(x))));
+  fg.precision.x.forEach((x, i) => {
+    close(x, spacing[i], 1e-12, `precision x${i + 1}`);
+    close(fg.precision.thetaDeg[i], thetaAt(x), 1e-9, `θ${i + 1}`);
+    close(fg.precision.phiDeg[i], phiAt(x), 1e-9, `φ${i + 1}`);
+    close(errorAt(x), 0, 1e-6, `structural error at x${i + 1}`);
+  });
+  fg.error.samples.forEach((sample) => close(sample.errorDeg, errorAt(sample.x), 1e-9, `structural error at x = ${sample.x}`));
+  const extremes = fg.error.extremes.map((e) => e.errorDeg);
+  assert.strictEqual(extremes.length, 4);
+  extremes.slice(1).forEach((e, i) => assert.ok(e * extremes[i] < 0, 'the error alternates in sign'));
+  close(fg.error.maxAbsErrorDeg, Math.max(...extremes.map(Math.abs)), 1e-12, 'largest structural error');
+  console.log(`function generator: r2 = ${fg.r2.toFixed(4)}, r3 = ${fg.r3.toFixed(4)}, r4 = ${fg.r4.toFixed(4)} (${fg.mode}), max error ${fg.error.maxAbsErrorDeg.toFixed(3)}°`);
+}
+
+// Grashof classification of one link set in each role, and transmission
+// angle extremes of a crank‑rocker: μ is measured between the joint
+// positions and peaks where A is nearest (θ = 0) and farthest (θ = 180°)
+// from O4
+{
+  const classes = [
+    [[4, 1, 3, 3.5], 'crank-rocker'],
+    [[1, 4, 3, 3.5], 'double-crank'],
+    [[4, 3, 3.5, 1], 'rocker-crank'],
+    [[4, 3, 1, 3.5], 'double-rocker'],
+    [[4, 1, 1.5, 2], 'triple-rocker'],
+    [[2, 1, 2, 1], 'change-point'],
+  ];
+  classes.forEach(([links, type]) => assert.strictEqual(lib.grashofClassification(...links).type, type, `Grashof type of ${links}`));
+  const [g1, g2, g3, g4] = [4, 1, 3, 3.5];
+  const muAt = (t) => {
+    const phi = lib.solveFourBarPhi(g1, g2, g3, g4, rad(t), undefined, 'open');
+    const A = [g2 * Math.cos(rad(t)), g2 * Math.sin(rad(t))];
+    const B = [g1 + g4 * Math.cos(phi), g4 * Math.sin(phi)];
+    const u = [A[0] - B[0], A[1] - B[1]];
+    const v = [g1 - B[0], -B[1]];
+    return deg(Math.acos((u[0] * v[0] + u[1] * v[1]) / (Math.hypot(...u) * Math.hypot(...v))));
+  };
+  const report = lib.analyzeLinkage({ r1: g1, r2: g2, r3: g3, r4: g4 }, [20, 90, 160], { thetaRangeDeg: [0, 360], samples: 360 });
+  report.transmission.atPositionsDeg.forEach((mu, i) => close(mu, muAt([20, 90, 160][i]), 1e-9, `μ at position ${i + 1}`));
+  const cosMu = (d) => (g3 * g3 + g4 * g4 - d * d) / (2 * g3 * g4);
+  close(report.transmission.minDeg, deg(Math.acos(cosMu(g1 - g2))), 1e-9, 'minimum transmission angle');
+  close(report.transmission.maxDeg, deg(Math.acos(cosMu(g1 + g2))), 1e-9, 'maximum transmission angle');
+  close(report.transmission.maxAtThetaDeg, 180, 1e-9, 'θ at the maximum');
+  assert.ok([0, 360].includes(report.transmission.minAtThetaDeg), 'θ at the minimum');
+  assert.ok(report.transmission.assemblable && report.warnings.length === 0);
+  const triple = lib.analyzeLinkage({ r1: 4, r2: 1, r3: 1.5, r4: 2 }, [0], { thetaRangeDeg: [0, 360] });
+  assert.ok(!triple.transmission.assemblable && triple.warnings.length > 0, 'a triple rocker cannot turn through 360°');
+  console.log(`Grashof: six classes; crank-rocker μ from ${report.transmission.minDeg.toFixed(1)}° to ${report.transmission.maxDeg.toFixed(1)}°`);
+}
+
+// Branch and order defects: the lecture design is clean; moving one
+// position to the other assembly mode, visiting the positions back and
+// forth, or crossing the unassemblable arc of a triple rocker is flagged
+{
+  const lecture = lib.validateBranchAndOrder(result, thetaDeg, phiDeg);
+  assert.ok(lecture.valid && lecture.branch !== null, lecture.messages.join(' '));
+  const g = { r1: 4, r2: 1, r3: 3, r4: 3.5 };
+  const phiOn = (t, mode) => deg(lib.solveFourBarPhi(g.r1, g.r2, g.r3, g.r4, rad(t), undefined, mode));
+  const clean = lib.validateBranchAndOrder(g, [20, 60, 100], [20, 60, 100].map((t) => phiOn(t, 'open')));
+  assert.ok(clean.valid && clean.branch === 'open', clean.messages.join(' '));
+  const mixed = lib.validateBranchAndOrder(g, [20, 60, 100], [phiOn(20, 'open'), phiOn(60, 'open'), phiOn(100, 'closed')]);
+  assert.ok(mixed.branchDefect && !mixed.orderDefect && mixed.branch === null, 'positions on both branches');
+  assert.deepStrictEqual(mixed.positions.map((p) => p.branch), ['open', 'open', 'closed']);
+  const reversed = lib.validateBranchAndOrder(g, [20, 100, 60], [20, 100, 60].map((t) => phiOn(t, 'open')));
+  assert.ok(reversed.orderDefect && !reversed.branchDefect, 'the crank reverses between the positions');
+  const t = { r1: 4, r2: 1, r3: 1.5, r4: 2 };
+  const phiT = (a) => deg(lib.solveFourBarPhi(t.r1, t.r2, t.r3, t.r4, rad(a), undefined, 'open'));
+  const inside = lib.validateBranchAndOrder(t, [-40, 0, 40], [-40, 0, 40].map(phiT));
+  assert.ok(inside.valid, inside.messages.join(' '));
+  const around = lib.validateBranchAndOrder(t, [0, 40, 320], [0, 40, 320].map(phiT));
+  assert.ok(around.branchDefect && !around.orderDefect, 'the crank passes a dead‑center');
+  const limit = deg(Math.acos((t.r1 ** 2 + t.r2 ** 2 - (t.r3 + t.r4) ** 2) / (2 * t.r1 * t.r2)));
+  assert.ok(around.deadCenterThetaDeg > limit && around.deadCenterThetaDeg < limit + 0.25, `dead‑center ${around.deadCenterThetaDeg}° past ${limit}°`);
+  console.log(`branch and order: lecture design on the ${lecture.branch} branch; triple rocker stops near θ = ${limit.toFixed(1)}°`);
+}
+
+// Velocity and acceleration: the angles of the coupler and rocker are
+// differentiated numerically along the crank motion θ(t) = θ₀ + ω₂t + ½α₂t²
+{
+  const g = { r1: 4, r2: 1, r3: 3, r4: 3.5 };
+  const [omega2, alpha2, h] = [2.5, -1.5, 1e-4];
+  const anglesAt = (theta) => {
+    const pos = lib.computeFourBarPositions(g.r1, g.r2, g.r3, g.r4, theta, undefined, 'open');
+    return { phi: pos.phi, beta: Math.atan2(pos.B.y - pos.A.y, pos.B.x - pos.A.x), B: pos.B };
+  };
+  [20, 135, 250].forEach((t0) => {
+    const k = lib.fourBarKinematics(g.r1, g.r2, g.r3, g.r4, rad(t0), omega2, alpha2, undefined, 'open');
+    const [before, now, after] = [-h, 0, h].map((t) => anglesAt(rad(t0) + omega2 * t + 0.5 * alpha2 * t * t));
+    const rate = (key) => lib.normalizeAngle(after[key] - before[key]) / (2 * h);
+    const accel = (key) => (lib.normalizeAngle(after[key] - now[key]) - lib.normalizeAngle(now[key] - before[key])) / (h * h);
+    close(k.omega4, rate('phi'), 1e-6, `ω₄ at θ = ${t0}°`);
+    close(k.omega3, rate('beta'), 1e-6, `ω₃ at θ = ${t0}°`);
+    close(k.alpha4, accel('phi'), 1e-4, `α₄ at θ = ${t0}°`);
+    close(k.alpha3, accel('beta'), 1e-4, `α₃ at θ = ${t0}°`);
+    close(k.velocityRatio, k.omega4 / omega2, 1e-12, `dφ/dθ at θ = ${t0}°`);
+    close(k.vB.x, (after.B.x - before.B.x) / (2 * h), 1e-6, `vBx at θ = ${t0}°`);
+    close(k.vB.y, (after.B.y - before.B.y) / (2 * h), 1e-6, `vBy at θ = ${t0}°`);
+    close(k.aB.x, (after.B.x - 2 * now.B.x + before.B.x) / (h * h), 1e-4, `aBx at θ = ${t0}°`);
+    close(k.aB.y, (after.B.y - 2 * now.B.y + before.B.y) / (h * h), 1e-4, `aBy at θ = ${t0}°`);
+  });
+  const k = lib.fourBarKinematics(g.r1, g.r2, g.r3, g.r4, rad(135), omega2, alpha2, undefined, 'open');
+  console.log(`kinematics: at θ = 135° ω₄ = ${k.omega4.toFixed(4)} rad/s, α₄ = ${k.alpha4.toFixed(4)} rad/s² match finite differences`);
+}
+
+// Coupler curve: every traced point sits on the coupler triangle, i.e.
+// turning AP back by the coupler point angle and scaling it to r3 lands
+// on B at distance r4 from O4; a triple rocker's arc is joined across θ = 0
+{
+  const g = { r1: 4, r2: 1, r3: 3, r4: 3.5 };
+  const point = { distance: 2, angle: rad(40) };
+  const onCoupler = (links, p) => {
+    const A = { x: links.r2 * Math.cos(p.theta), y: links.r2 * Math.sin(p.theta) };
+    const ap = Math.atan2(p.y - A.y, p.x - A.x) - point.angle;
+    const B = { x: A.x + links.r3 * Math.cos(ap), y: A.y + links.r3 * Math.sin(ap) };
+    close(Math.hypot(p.x - A.x, p.y - A.y), point.distance, 1e-9, `|AP| at θ = ${deg(p.theta)}°`);
+    close(Math.hypot(B.x - links.r1, B.y), links.r4, 1e-9, `|O4B| at θ = ${deg(p.theta)}°`);
+  };
+  const curve = lib.couplerCurve(g.r1, g.r2, g.r3, g.r4, point, 180);
+  ['open', 'closed'].forEach((mode) => {
+    assert.strictEqual(curve[mode].length, 1, `one loop on the ${mode} branch`);
+    const loop = curve[mode][0];
+    assert.strictEqual(loop.length, 181);
+    assert.deepStrictEqual(loop[180], loop[0], 'the loop is closed');
+    loop.forEach((p) => onCoupler(g, p));
+  });
+  const t = { r1: 4, r2: 1, r3: 1.5, r4: 2 };
+  const arcs = lib.couplerCurve(t.r1, t.r2, t.r3, t.r4, point, 360);
+  const limit = deg(Math.acos((t.r1 ** 2 + t.r2 ** 2 - (t.r3 + t.r4) ** 2) / (2 * t.r1 * t.r2)));
+  ['open', 'closed'].forEach((mode) => {
+    assert.strictEqual(arcs[mode].length, 1, `one arc on the ${mode} branch`);
+    const arc = arcs[mode][0];
+    assert.strictEqual(arc.length, 2 * Math.floor(limit) + 1, 'samples within ±θlimit');
+    arc.slice(1).forEach((p, i) => close(lib.normalizeAngle(p.theta - arc[i].theta), rad(1), 1e-12, 'consecutive crank angles'));
+    arc.forEach((p) => onCoupler(t, p));
+  });
+  console.log(`coupler curve: closed loops on both branches; triple rocker arc over θ = ±${Math.floor(limit)}°`);
+}
+
+// Full‑range sweep: a crank‑rocker turns fully and toggles where the
+// crank and coupler are collinear (|O2B| = r3 ± r2), which fixes its swing;
+// a triple rocker locks where |AO4| = r3 + r4 and its arc is joined across θ = 0
+{
+  const g = { r1: 4, r2: 1, r3: 3, r4: 3.5 };
+  const full = lib.sweepFourBar(g.r1, g.r2, g.r3, g.r4, 'open');
+  assert.ok(full.fullRotation && full.limits.length === 0, 'a crank‑rocker turns fully');
+  assert.strictEqual(full.toggles.length, 2);
+  full.toggles.forEach((t) => {
+    const B = { x: g.r1 + g.r4 * Math.cos(t.phi), y: g.r4 * Math.sin(t.phi) };
+    const reach = Math.hypot(B.x, B.y);
+    const collinear = Math.min(Math.abs(reach - (g.r3 + g.r2)), Math.abs(reach - (g.r3 - g.r2)));
+    close(collinear, 0, 1e-9, `|O2B| at the toggle θ = ${deg(t.theta)}°`);
+    close(Math.hypot(B.x - g.r2 * Math.cos(t.theta), B.y - g.r2 * Math.sin(t.theta)), g.r3, 1e-9, 'coupler length at the toggle');
+  });
+  const rockerAngle = (reach) => Math.acos((g.r1 ** 2 + g.r4 ** 2 - reach ** 2) / (2 * g.r1 * g.r4));
+  close(full.swing, rockerAngle(g.r3 + g.r2) - rockerAngle(g.r3 - g.r2), 1e-9, 'rocker swing');
+  const t = { r1: 4, r2: 1, r3: 1.5, r4: 2 };
+  const locked = lib.sweepFourBar(t.r1, t.r2, t.r3, t.r4, 'open');
+  const limit = Math.acos((t.r1 ** 2 + t.r2 ** 2 - (t.r3 + t.r4) ** 2) / (2 * t.r1 * t.r2));
+  assert.ok(!locked.fullRotation);
+  assert.deepStrictEqual(locked.limits.map((l) => l.theta), [limit, 2 * Math.PI - limit]);
+  locked.limits.forEach((l) => {
+    const A = { x: t.r2 * Math.cos(l.theta), y: t.r2 * Math.sin(l.theta) };
+    const B = { x: t.r1 + t.r4 * Math.cos(l.phi), y: t.r4 * Math.sin(l.phi) };
+    close(Math.hypot(B.x - A.x, B.y - A.y), t.r3, 1e-9, `coupler length at the limit θ = ${deg(l.theta)}°`);
+  });
+  assert.strictEqual(locked.intervals.length, 1, 'the arc through θ = 0 is one interval');
+  close(locked.intervals[0].start, 2 * Math.PI - limit, 1e-12, 'interval start');
+  close(locked.intervals[0].end, 2 * Math.PI + limit, 1e-12, 'interval end');
+  locked.samples.forEach((s) => assert.strictEqual(s.assemblable, Math.cos(s.theta) >= Math.cos(limit), `θ = ${deg(s.theta)}°`));
+  console.log(`sweep: crank-rocker swing ${deg(full.swing).toFixed(2)}°, triple rocker locks at θ = ±${deg(limit).toFixed(2)}°`);
+}
+
+// Static forces: without friction the input power balances the load,
+// T₂ω₂ + T₄ω₄ + F·v_B = 0, with the velocities from the kinematics; each
+// link is in force and moment equilibrium under its pin forces
+{
+  const g = { r1: 4, r2: 1, r3: 3, r4: 3.5 };
+  const load = { torque: 2, force: { x: -0.5, y: 1.5 } };
+  [20, 135, 250].forEach((t0) => {
+    const k = lib.fourBarKinematics(g.r1, g.r2, g.r3, g.r4, rad(t0), 1, 0, undefined, 'open');
+    const torqueOnly = lib.staticForceAnalysis(g.r1, g.r2, g.r3, g.r4, rad(t0), { torque: load.torque }, undefined, 'open');
+    close(torqueOnly.inputTorque + load.torque * k.omega4, 0, 1e-9, `torque power balance at θ = ${t0}°`);
+    close(torqueOnly.mechanicalAdvantage, Math.abs(1 / k.velocityRatio), 1e-9, `mechanical advantage at θ = ${t0}°`);
+    const s = lib.staticForceAnalysis(g.r1, g.r2, g.r3, g.r4, rad(t0), load, undefined, 'open');
+    close(s.inputTorque + load.torque * k.omega4 + load.force.x * k.vB.x + load.force.y * k.vB.y, 0, 1e-9, `power balance at θ = ${t0}°`);
+    const pos = lib.computeFourBarPositions(g.r1, g.r2, g.r3, g.r4, rad(t0), undefined, 'open');
+    const cross = (p, q) => p.x * q.y - p.y * q.x;
+    const rA = { x: pos.A.x - pos.O2.x, y: pos.A.y - pos.O2.y };
+    const rB = { x: pos.B.x - pos.O4.x, y: pos.B.y - pos.O4.y };
+    close(s.pins.O2.x + s.pins.A.x, 0, 1e-9, 'crank force balance x');
+    close(s.pins.O2.y + s.pins.A.y, 0, 1e-9, 'crank force balance y');
+    close(s.inputTorque + cross(rA, s.pins.A), 0, 1e-9, 'crank moment balance');
+    close(s.pins.B.x + s.pins.O4.x + load.force.x, 0, 1e-9, 'rocker force balance x');
+    close(s.pins.B.y + s.pins.O4.y + load.force.y, 0, 1e-9, 'rocker force balance y');
+    close(load.torque + cross(rB, s.pins.B) + cross(rB, load.force), 0, 1e-9, 'rocker moment balance');
+  });
+  const s = lib.staticForceAnalysis(g.r1, g.r2, g.r3, g.r4, rad(135), load, undefined, 'open');
+  console.log(`static forces: at θ = 135° T₂ = ${s.inputTorque.toFixed(4)}, coupler force ${s.couplerForce.toFixed(4)}, power balanced`);
+}
+
+// Drawing export: the SVG context applies the canvas transform to the
+// recorded paths, and the DXF entities read back as the links and pivots
+{
+  const svg = lib.createSvgContext(200, 100);
+  svg.translate(100, 50);
+  svg.save();
+  svg.rotate(Math.PI / 2);
+  svg.beginPath();
+  svg.moveTo(10, 0);
+  svg.lineTo(10, 20);
+  svg.stroke();
+  svg.restore();
+  svg.beginPath();
+  svg.arc(0, 0, 5, 0, 2 * Math.PI);
+  svg.fill();
+  svg.fillText('a < b & c', 0, 0);
+  const drawn = svg.toSVG();
+  assert.ok(drawn.includes('d="M100 60 L80 60"'), 'rotated and translated line');
+  assert.ok(drawn.includes('d="M105 50 A5 5 0 0 1 95 50 A5 5 0 0 1 105 50"'), 'full circle after restore');
+  assert.ok(drawn.includes('>a &lt; b &amp; c</text>'), 'escaped text');
+  const pos = lib.computeFourBarPositions(r1, result.r2, result.r3, result.r4, rad(thetaDeg[1]), undefined, 'open');
+  const codes = lib.linkageDXF([{ pos, layer: 'POSITION' }], 0.1).trim().split('\n');
+  assert.strictEqual(codes.length % 2, 0, 'group codes and values come in pairs');
+  const entities = [];
+  for (let i = 0; i < codes.length; i += 2) {
+    if (codes[i] === '0') entities.push({ type: codes[i + 1] });
+    else entities[entities.length - 1][codes[i]] = codes[i + 1];
+  }
+  const at = (e, x, y) => ['O2', 'A', 'B', 'O4'].find((key) => Math.hypot(Number(e[x]) - pos[key].x, Number(e[y]) - pos[key].y) < 1e-6);
+  const links = entities.filter((e) => e.type === 'LINE').map((e) => [at(e, '10', '20'), at(e, '11', '21')].join('-'));
+  assert.deepStrictEqual(links, ['O2-A', 'A-B', 'B-O4', 'O4-O2']);
+  const circles = entities.filter((e) => e.type === 'CIRCLE').map((e) => `${e['8']} ${at(e, '10', '20')} ${e['40']}`);
+  assert.deepStrictEqual(circles, ['POSITION A 0.075', 'POSITION B 0.075', 'PIVOTS O2 0.1', 'PIVOTS O4 0.1']);
+  assert.strictEqual(entities[entities.length - 1].type, 'EOF');
+  console.log(`drawing export: SVG transforms applied, DXF with ${links.length} links and ${circles.length} pivots`);
+}
+
+// Design documents: the URL hash and the JSON text restore every field
+// exactly, including numbers without a short decimal form, for each
+// mechanism type
+{
+  const base = { r1: 1 / 3, pairs: [0.1 + 0.2, 50, 70, 95].map((t, i) => ({ thetaDeg: t, phiDeg: 90 + i * Math.PI, weight: i === 1 ? 2.5 : 1 })) };
+  const docs = [
+    {
+      ...base,
+      mode: 'open',
+      lengths: { r2: Math.SQRT2, r3: 1e-7, r4: 12345.678901234 },
+      ground: { O2: { x: -1.25, y: 2 / 7 }, angleDeg: -15, globalAngles: true },
+      view: { scale: 1.7, offsetX: -40, offsetY: 12.5, fullRange: true },
+      slider: 0.42,
+      crankRocker: { swingDeg: 45, timeRatio: 1.2, couplerRatio: 1.5, r4: 2 },
+    },
+    {
+      ...base,
+      motion: { poses: [0, 1, 2].map((k) => ({ x: k / 3, y: 1 - k, angleDeg: 10 * k })), pivots: { A: { x: 0.5, y: -1 }, B: { x: 2, y: 1 / 9 } } },
+    },
+    { mechanism: 'slider-crank', r1: 1, pairs: base.pairs.slice(0, 3), lengths: { r2: 1, r3: 3, e: -0.25 } },
+    {
+      mechanism: 'sixbar',
+      r1: 4,
+      pairs: base.pairs.slice(0, 3),
+      lengths: { r2: 1, r2b: 2, r3: 3, r3b: 4, r4: 5, r4b: 6 },
+      sixBar: { intermediateDeg: [100, 120, 140.125], couplingDeg: 30, groundAngleDeg: 200, r1b: 3.5 },
+    },
+  ];
+  docs.forEach((doc) => {
+    const expected = lib.parseDesign(doc);
+    const hash = lib.designToHash(doc);
+    assert.ok(!/[\s#]/.test(hash), 'the hash needs no further escaping');
+    assert.deepStrictEqual(lib.designFromHash(`#${hash}`), expected, `${expected.mechanism} design from the URL hash`);
+    assert.deepStrictEqual(lib.parseDesign(JSON.stringify(expected)), expected, `${expected.mechanism} design from JSON`);
+  });
+  assert.ok(!/(^|&)w=/.test(lib.designToHash({ ...base, pairs: base.pairs.map((p) => ({ ...p, weight: 1 })) })), 'unit weights are omitted');
+  assert.throws(() => lib.designFromHash('r1=1&theta=10,20,30&phi=1,2'), /differ in length/);
+  assert.throws(() => lib.parseDesign({ ...base, mode: 'sideways' }), /assembly mode/);
+  console.log(`design documents: ${docs.length} mechanisms restored exactly from the URL hash and JSON`);
+}
+
+// φ–θ table: each row is a closed loop O2‑A‑B‑O4 whose rocker angle is
+// the tabulated φ, the rows run in the direction the range was given and
+// pass through the precision pairs; the CSV reads back to the same values
+{
+  const linkage = { r1, r2: result.r2, r3: result.r3, r4: result.r4 };
+  const rows = lib.phiThetaTable(linkage, 'closed', [thetaDeg[2], thetaDeg[0]], 130);
+  assert.strictEqual(rows.length, 131);
+  rows.forEach((row, i) => {
+    close(row.thetaDeg, thetaDeg[2] - (i / 130) * (thetaDeg[2] - thetaDeg[0]), 1e-9, `θ of row ${i}`);
+    close(Math.hypot(row.A.x, row.A.y), linkage.r2, 1e-9, `|O2A| in row ${i}`);
+    close(Math.hypot(row.B.x - row.A.x, row.B.y - row.A.y), linkage.r3, 1e-9, `|AB| in row ${i}`);
+    close(Math.hypot(row.B.x - r1, row.B.y), linkage.r4, 1e-9, `|O4B| in row ${i}`);
+    close(lib.normalizeAngle(Math.atan2(row.B.y, row.B.x - r1) - rad(row.phiDeg)), 0, 1e-9, `φ in row ${i}`);
+    if (i > 0) assert.ok(Math.abs(row.phiDeg - rows[i - 1].phiDeg) < 1, 'φ is continuous');
+  });
+  close(rows[0].phiDeg, phiDeg[2], 1e-9, 'φ₃ in the first row');
+  close(rows[130].phiDeg, phiDeg[0], 1e-9, 'φ₁ in the last row');
+  const csv = lib.phiThetaTableCSV(rows).trim().split('\n');
+  assert.strictEqual(csv[0], 'theta_deg,phi_deg,Ax,Ay,Bx,By,mode,assemblable');
+  csv.slice(1).forEach((line, i) => {
+    const cells = line.split(',');
+    [rows[i].thetaDeg, rows[i].phiDeg, rows[i].A.x, rows[i].A.y, rows[i].B.x, rows[i].B.y].forEach((v, j) =>
+      close(Number(cells[j]), v, 1e-9, `CSV row ${i + 1} column ${j + 1}`)
+    );
+    assert.deepStrictEqual(cells.slice(6), ['closed', 'true']);
+  });
+  const locked = lib.phiThetaTableCSV(lib.phiThetaTable({ r1: 4, r2: 1, r3: 1.5, r4: 2 }, 'open', [0, 90], 9)).trim().split('\n');
+  assert.deepStrictEqual(locked[7].split(','), ['60', '', '0.5', '0.866025404', '', '', 'open', 'false']);
+  console.log(`φ–θ table: ${rows.length} rows from θ = ${thetaDeg[2]}° to ${thetaDeg[0]}°, CSV ${csv.join('\n').length} bytes`);
+}
+
+// Free reference angles: every candidate keeps the prescribed increments,
+// reproduces its positions on its branch and clears the transmission
+// limit; candidates are ranked and distinct
+{
+  const dTheta = thetaDeg.map((t) => t - thetaDeg[0]);
+  const dPhi = phiDeg.map((p) => p - phiDeg[0]);
+  const free = lib.freeReferenceSynthesis(dTheta, dPhi, r1, { stepDeg: 10, count: 5, minTransmissionDeg: 30 });
+  assert.strictEqual(free.evaluated, 36 * 36);
+  assert.ok(free.candidates.length === 5 && free.valid >= 5, `${free.valid} valid designs`);
+  const apart = (a, b) => Math.abs(lib.normalizeAngle(rad(a - b)));
+  free.candidates.forEach((c, k) => {
+    c.thetaDeg.forEach((t, i) => {
+      close(t - c.theta0Deg, dTheta[i], 1e-9, `Δθ${i + 1} of candidate ${k + 1}`);
+      close(c.phiDeg[i] - c.phi0Deg, dPhi[i], 1e-9, `Δφ${i + 1} of candidate ${k + 1}`);
+      const phi = lib.solveFourBarPhi(r1, c.r2, c.r3, c.r4, rad(t), undefined, c.mode);
+      close(lib.normalizeAngle(phi - rad(c.phiDeg[i])), 0, 1e-9, `position ${i + 1} of candidate ${k + 1}`);
+    });
+    assert.ok(c.r2 > 0 && c.r3 > 0 && c.r4 > 0 && c.transmissionMarginDeg >= 30);
+    if (k > 0) assert.ok(c.transmissionMarginDeg <= free.candidates[k - 1].transmissionMarginDeg, 'ranked by margin');
+    free.candidates.slice(0, k).forEach((b) =>
+      assert.ok(apart(b.theta0Deg, c.theta0Deg) >= rad(20) - 1e-12 || apart(b.phi0Deg, c.phi0Deg) >= rad(20) - 1e-12, 'distinct designs')
+    );
+  });
+  const best = free.candidates[0];
+  console.log(`free reference: ${free.valid} of ${free.evaluated} valid, best θ₀ = ${best.theta0Deg}°, φ₀ = ${best.phi0Deg}°, margin ${best.transmissionMarginDeg.toFixed(1)}°`);
+}
+
+// Ground frame: placing the lecture linkage with O2 at (2, −1) and the
+// ground line at 30° moves every joint rigidly, and with global angles
+// the tabulated θ and φ are the directions of O2A and O4B in the plane
+{
+  const angle = rad(30);
+  const O2 = { x: 2, y: -1 };
+  const O4 = { x: O2.x + r1 * Math.cos(angle), y: O2.y + r1 * Math.sin(angle) };
+  const frame = lib.groundFrame(O2, O4, true);
+  close(frame.r1, r1, 1e-12, 'ground length');
+  close(frame.angle, angle, 1e-12, 'ground angle');
+  const O4Global = lib.toGlobal({ x: r1, y: 0 }, frame);
+  close(Math.hypot(O4Global.x - O4.x, O4Global.y - O4.y), 0, 1e-12, 'O4 from the frame');
+  const local = lib.computeFourBarPositions(r1, result.r2, result.r3, result.r4, rad(thetaDeg[1]), undefined, 'closed');
+  const placed = lib.computeFourBarPositions(r1, result.r2, result.r3, result.r4, rad(thetaDeg[1]), undefined, 'closed', undefined, frame);
+  const keys = ['O2', 'A', 'B', 'O4'];
+  keys.forEach((p, i) =>
+    keys.slice(i + 1).forEach((q) => {
+      const d = (pos) => Math.hypot(pos[p].x - pos[q].x, pos[p].y - pos[q].y);
+      close(d(placed), d(local), 1e-12, `|${p}${q}| in the global frame`);
+    })
+  );
+  close(lib.normalizeAngle(Math.atan2(placed.A.y - O2.y, placed.A.x - O2.x) - angle - rad(thetaDeg[1])), 0, 1e-12, 'crank direction');
+  const rows = lib.phiThetaTable({ r1, r2: result.r2, r3: result.r3, r4: result.r4 }, 'closed', [thetaDeg[0] + 30, thetaDeg[2] + 30], 20, frame);
+  rows.forEach((row, i) => {
+    close(lib.normalizeAngle(Math.atan2(row.A.y - O2.y, row.A.x - O2.x) - rad(row.thetaDeg)), 0, 1e-9, `global θ in row ${i}`);
+    close(lib.normalizeAngle(Math.atan2(row.B.y - O4.y, row.B.x - O4.x) - rad(row.phiDeg)), 0, 1e-9, `global φ in row ${i}`);
+  });
+  close(rows[20].phiDeg, phiDeg[2] + 30, 1e-9, 'global φ₃');
+  assert.throws(() => lib.groundFrame(O2, { ...O2 }), /distinct/);
+  console.log(`ground frame: O4 at (${O4.x.toFixed(4)}, ${O4.y.toFixed(4)}), lengths kept, angles from the global x-axis`);
+}
+
+// Dragging joints: a joint picked at its pixel on a zoomed and panned
+// view maps back to the world point, so the edited θᵢ, φᵢ and r1 are
+// those of the position drawn there
+{
+  const view = lib.createView({ width: 600, height: 375, length: r1, center: { x: r1 / 2, y: 0.5 }, zoom: 1.7, offsetX: -35, offsetY: 12 });
+  thetaDeg.forEach((t, i) => {
+    const pos = lib.computeFourBarPositions(r1, result.r2, result.r3, result.r4, rad(t), undefined, 'closed');
+    const [A, B, O4] = [pos.A, pos.B, pos.O4].map((p) => {
+      const pixel = view.worldToCanvas(p);
+      return view.canvasToWorld({ x: Math.round(pixel.x), y: Math.round(pixel.y) });
+    });
+    // Rounding to whole pixels moves a joint by at most ½√2 px
+    const pixelDeg = (length) => deg(Math.atan(Math.SQRT1_2 / (view.scale * length)));
+    close(deg(lib.normalizeAngle(Math.atan2(A.y, A.x) - rad(t))), 0, pixelDeg(result.r2), `θ${i + 1} picked from the canvas`);
+    close(deg(lib.normalizeAngle(Math.atan2(B.y - pos.O4.y, B.x - pos.O4.x) - rad(phiDeg[i]))), 0, pixelDeg(result.r4), `φ${i + 1} picked from the canvas`);
+    close(O4.x, r1, 0.5 / view.scale, 'r1 picked from the canvas');
+  });
+  const p = { x: 123.25, y: 87.5 };
+  const back = view.worldToCanvas(view.canvasToWorld(p));
+  close(Math.hypot(back.x - p.x, back.y - p.y), 0, 1e-9, 'canvas → world → canvas');
+  console.log(`dragging: joints picked at ${view.scale.toFixed(1)} px per unit map back to θᵢ, φᵢ and r1 within a pixel`);
+}
+
+// Sensitivities against central differences of φ with one length or
+// pivot coordinate changed (θ and φ kept from the nominal ground line),
+// and a Monte Carlo band that stays within the exact range of φ when only
+// r2 is off
+{
+  const g = { r1, r2: result.r2, r3: result.r3, r4: result.r4 };
+  const phiWith = (p, theta) => {
+    const ground = Math.atan2(p.O4y - p.O2y, p.O4x - p.O2x);
+    const length = Math.hypot(p.O4x - p.O2x, p.O4y - p.O2y);
+    return lib.solveFourBarPhi(length, p.r2, p.r3, p.r4, theta - ground, undefined, 'closed') + ground;
+  };
+  const nominal = { O2x: 0, O2y: 0, O4x: r1, O4y: 0, r2: g.r2, r3: g.r3, r4: g.r4 };
+  const h = 1e-6;
+  thetaDeg.forEach((t) => {
+    const s = lib.phiSensitivities(g.r1, g.r2, g.r3, g.r4, rad(t), undefined, 'closed');
+    const diff = (key) => lib.normalizeAngle(phiWith({ ...nominal, [key]: nominal[key] + h }, rad(t)) - phiWith({ ...nominal, [key]: nominal[key] - h }, rad(t))) / (2 * h);
+    ['O2x', 'O2y', 'O4x', 'O4y', 'r2', 'r3', 'r4'].forEach((key) => close(s[key], diff(key), 1e-6, `∂φ/∂${key} at θ = ${t}°`));
+    close(s.r1, diff('O4x'), 1e-6, `∂φ/∂r1 at θ = ${t}°`);
+  });
+  const range = [thetaDeg[0], thetaDeg[2]];
+  const band = lib.toleranceAnalysis(g, 'closed', range, { r2: 0.01 }, { trials: 200, samples: 20 });
+  assert.strictEqual(band.failedTrials, 0);
+  band.samples.forEach((row) => {
+    const theta = rad(row.thetaDeg);
+    const ends = [-0.01, 0.01].map((d) => deg(lib.normalizeAngle(phiWith({ ...nominal, r2: g.r2 + d }, theta) - rad(row.phiDeg))));
+    const [lo, hi] = [Math.min(...ends), Math.max(...ends)];
+    assert.ok(row.minErrorDeg >= lo - 1e-9 && row.maxErrorDeg <= hi + 1e-9, `band at θ = ${row.thetaDeg}° within ${lo}…${hi}`);
+    assert.ok(row.minErrorDeg - lo < 0.05 * (hi - lo) && hi - row.maxErrorDeg < 0.05 * (hi - lo), `band at θ = ${row.thetaDeg}° covers the range`);
+  });
+  assert.deepStrictEqual(lib.toleranceAnalysis(g, 'closed', range, { r2: 0.01 }, { trials: 200, samples: 20 }), band, 'repeatable with the same seed');
+  assert.strictEqual(lib.toleranceAnalysis(g, 'closed', range, {}, { trials: 5 }).maxAbsErrorDeg, 0);
+  console.log(`tolerances: sensitivities match finite differences, ±0.01 on r2 gives up to ${band.maxAbsErrorDeg.toFixed(3)}° of φ`);
+}
+
+// Slider‑crank: the slider reaches every sᵢ at θᵢ on the reported branch
+{
+  const thetaS = [45, 90, 135];
+  const s = [3.7, 2.96, 2.29];
+  const sc = lib.sliderCrankSynthesis(thetaS, s);
+  assert.ok(sc.valid && sc.branch);
+  thetaS.forEach((t, i) => close(lib.solveSliderCrank(sc.r2, sc.r3, sc.e, rad(t), sc.branch), s[i], 1e-9, `s${i + 1}`));
+  // The exported table passes through the same positions, with |AB| = r₃
+  lib.sliderCrankTable(sc, sc.branch, [45, 135], 2).forEach((row, i) => {
+    close(row.s, s[i], 1e-9, `table s${i + 1}`);
+    close(Math.hypot(row.B.x - row.A.x, row.B.y - row.A.y), sc.r3, 1e-9, `table r3 at row ${i + 1}`);
+  });
+  // A negative crank length is flagged, and not accepted by the validation
+  const bad = lib.sliderCrankSynthesis([30, 60, 90], [-3, -2.6, -2]);
+  assert.ok(!bad.valid && bad.diagnostics[0].code === 'negative-length');
+  assert.ok(!lib.validateSliderCrank(bad, [30, 60, 90], [-3, -2.6, -2]).valid);
+  // A zero crank leaves the offset and the coupler undefined: diagnosed, not thrown
+  const zero = lib.sliderCrankSynthesis([30, 60, 90], [2, 2, 2]);
+  assert.ok(!zero.valid && zero.diagnostics.some((d) => d.code === 'no-real-coupler'));
+  console.log(`slider-crank: r2 = ${sc.r2.toFixed(4)}, r3 = ${sc.r3.toFixed(4)}, e = ${sc.e.toFixed(4)} (${sc.branch})`);
+}
+
+// Crank‑rocker: swing and time ratio measured by turning the crank
+{
+  const cr = lib.crankRockerSynthesis(45, 1.2, { couplerRatio: 1.5, r4: 2 });
+  const n = 36000;
+  const phis = [];
+  let prev;
+  let start;
+  for (let i = 0; i < n; i++) {
+    prev = lib.solveFourBarPhi(cr.r1, cr.r2, cr.r3, cr.r4, (2 * Math.PI * i) / n, prev, cr.mode);
+    if (i === 0) start = prev;
+    // Rocker angle measured from its start, so the swing never wraps at ±π
+    phis.push(lib.normalizeAngle(prev - start));
+  }
+  assert.ok(phis.every(Number.isFinite), 'the crank turns fully');
+  let iMax = 0;
+  let iMin = 0;
+  phis.forEach((p, i) => {
+    if (p > phis[iMax]) iMax = i;
+    if (p < phis[iMin]) iMin = i;
+  });
+  const d = (((iMax - iMin) % n) + n) % n;
+  close(deg(phis[iMax] - phis[iMin]), 45, 0.01, 'swing');
+  close(Math.max(d, n - d) / Math.min(d, n - d), 1.2, 1e-3, 'time ratio');
+  console.log(`crank-rocker: r1 = ${cr.r1.toFixed(4)}, r2 = ${cr.r2.toFixed(4)}, r3 = ${cr.r3.toFixed(4)}, r4 = ${cr.r4} (${cr.grashof.type})`);
+}
+
+// Motion generation: the moving pivots stay on circles about the fixed
+// pivots, and the linkage carries the coupler through every pose
+{
+  const poses = [
+    { x: 1, y: 1, angleDeg: 0 },
+    { x: 2, y: 1.5, angleDeg: 20 },
+    { x: 3, y: 1.2, angleDeg: 45 },
+  ];
+  const pivots = { A: { x: 0.5, y: 0.8 }, B: { x: 1.6, y: 1.1 } };
+  const mg = lib.motionGenerationSynthesis(poses, pivots);
+  const carry = (p, pose) => {
+    const a = rad(pose.angleDeg - poses[0].angleDeg);
+    const dx = p.x - poses[0].x;
+    const dy = p.y - poses[0].y;
+    return { x: pose.x + dx * Math.cos(a) - dy * Math.sin(a), y: pose.y + dx * Math.sin(a) + dy * Math.cos(a) };
+  };
+  poses.forEach((pose, j) => {
+    const A = carry(pivots.A, pose);
+    const B = carry(pivots.B, pose);
+    close(Math.hypot(A.x - mg.O2.x, A.y - mg.O2.y), mg.r2, 1e-9, `r2 at pose ${j + 1}`);
+    close(Math.hypot(B.x - mg.O4.x, B.y - mg.O4.y), mg.r4, 1e-9, `r4 at pose ${j + 1}`);
+    const mode = mg.validation.positions[j].branch;
+    const pos = lib.computeFourBarPositions(mg.r1, mg.r2, mg.r3, mg.r4, rad(mg.thetaDeg[j]), undefined, mode, mg.couplerPoint, mg.frame);
+    close(pos.P.x, pose.x, 1e-6, `P.x at pose ${j + 1}`);
+    close(pos.P.y, pose.y, 1e-6, `P.y at pose ${j + 1}`);
+  });
+  console.log(`motion generation: O2 = (${mg.O2.x.toFixed(4)}, ${mg.O2.y.toFixed(4)}), O4 = (${mg.O4.x.toFixed(4)}, ${mg.O4.y.toFixed(4)})`);
+}
+
+// Series six‑bar: the two stages together reproduce every (θᵢ, ψᵢ)
+{
+  const thetaSix = [40, 80, 120];
+  const psi = [60, 100, 180];
+  const six = lib.sixBarSynthesis(thetaSix, psi, { intermediateDeg: [50, 90, 143], groundAngleDeg: 40, r1: 4.5, r1b: 4 });
+  assert.ok(six.valid, six.messages.join(' '));
+  thetaSix.forEach((t, i) => {
+    const pos = lib.computeSixBarPositions(six.stages, rad(t), six.modes, six.couplingDeg, six.groundAngleDeg);
+    close(deg(lib.normalizeAngle(pos.psi - rad(psi[i]))), 0, 1e-6, `ψ${i + 1}`);
+  });
+  // The exported table passes through the same ψᵢ, with |CD| = r₃′
+  lib.sixBarTable(six, [40, 120], 2).forEach((row, i) => {
+    close(deg(lib.normalizeAngle(rad(row.psiDeg - psi[i]))), 0, 1e-6, `table ψ${i + 1}`);
+    close(Math.hypot(row.D.x - row.C.x, row.D.y - row.C.y), six.stages[1].r3, 1e-9, `table r3′ at row ${i + 1}`);
+  });
+  console.log(`six-bar: stage 1 r2..r4 = ${['r2', 'r3', 'r4'].map((k) => six.stages[0][k].toFixed(4)).join(', ')}, stage 2 r2..r4 = ${['r2', 'r3', 'r4'].map((k) => six.stages[1][k].toFixed(4)).join(', ')}`);
+}
+
+// Diagnostics: a valid design, and a repeated pair named by its rows
+{
+  const ok = lib.synthesisDiagnostics(thetaDeg, phiDeg, r1);
+  assert.ok(ok.valid && ok.diagnostics.every((d) => d.severity !== 'error'));
+  close(ok.result.r2, result.r2, 1e-12, 'diagnosed r2');
+  const repeated = lib.synthesisDiagnostics([35.02, 67.5, 67.5], [91.21, 101.79, 101.79], r1);
+  assert.ok(!repeated.valid && repeated.result === null);
+  assert.strictEqual(repeated.diagnostics[0].code, 'singular');
+  assert.deepStrictEqual(repeated.diagnostics[0].rows, [1, 2]);
+  // A negative crank: the same angles with 180° added to every θᵢ give +r₂
+  const flipped = lib.synthesisDiagnostics([30, 60, 90], [110, 135, 160], 4);
+  const negative = flipped.diagnostics[0];
+  assert.ok(!flipped.valid && negative.code === 'negative-length' && negative.link === 'r2');
+  assert.ok(negative.rows.length > 0 && negative.rows.length < 3);
+  close(lib.threePositionSynthesis([210, 240, 270], [110, 135, 160], 4).r2, -negative.value, 1e-9, 'flipped r2');
+  // Nearly singular (|det A| ≈ 1e‑8) with a negative r₄: still solved and diagnosed
+  const nearThetaDeg = [116.24993911548444, 150.96642095916428, 150.96646520541236];
+  const nearPhiDeg = [166.5877237120278, 71.43049566321072, 71.43051057834096];
+  const near = lib.threePositionSynthesis(nearThetaDeg, nearPhiDeg, 1);
+  assert.ok(near.r4 < 0 && near.diagnostics.some((d) => d.code === 'negative-length' && d.link === 'r4'));
+  assert.ok(!lib.synthesisDiagnostics(nearThetaDeg, nearPhiDeg, 1).valid);
+  console.log(`diagnostics: condition number ${ok.conditionNumber.toFixed(1)}; repeated pair: ${repeated.diagnostics[0].message}`);
+}
+
+// Renderer: a mechanism view and a φ–θ plot drawn into SVG
+{
+  const state = { r1, r2: result.r2, r3: result.r3, r4: result.r4, mode: 'open', thetaDeg, phiDeg };
+  const svgMechanism = lib.createSvgContext(600, 375);
+  const view = lib.renderMechanism(svgMechanism, state);
+  const mechanismSvg = svgMechanism.toSVG();
+  assert.ok(mechanismSvg.startsWith('<?xml') && mechanismSvg.includes('<svg') && mechanismSvg.trim().endsWith('</svg>'));
+  assert.ok(!/NaN|Infinity/.test(mechanismSvg), 'mechanism view has only finite coordinates');
+  const O2 = view.worldToCanvas({ x: 0, y: 0 });
+  assert.ok(Number.isFinite(O2.x) && Number.isFinite(O2.y));
+  ['deg', 'rad'].forEach((units) => {
+    const svgPlot = lib.createSvgContext(400, 375);
+    const plot = lib.renderPhiThetaPlot(svgPlot, {
+      ...state,
+      units,
+      showOtherBranch: true,
+      showTransmission: true,
+      current: { thetaDeg: 50, phiDeg: 95 },
+      readout: true,
+    });
+    const plotSvg = svgPlot.toSVG();
+    assert.ok(!/NaN|Infinity/.test(plotSvg), `φ–θ plot in ${units} has only finite coordinates`);
+    assert.ok(plotSvg.includes(`θ (${units === 'deg' ? '°' : 'rad'})`), `θ axis labelled in ${units}`);
+    assert.ok(plotSvg.includes('precision points'), 'legend drawn');
+    close(plot.thetaRangeDeg[0], Math.min(...thetaDeg), 1e-9, 'plot θ range');
+    close(deg(plot.thetaAt(plot.margin)), Math.min(...thetaDeg), 1e-9, 'θ at the left edge');
+  });
+  // DXF of an inversion: the joints of the held link are the fixed pivots
+  const configuration = lib.computeFourBarPositions(r1, result.r2, result.r3, result.r4, rad(thetaDeg[0]), undefined, 'open');
+  const dxf = lib.linkageDXF([{ pos: configuration, layer: 'LINKAGE' }], 0.1, 'crank').split('\n');
+  const pivots = dxf
+    .map((v, i) => (v === 'CIRCLE' && dxf[i + 2] === 'PIVOTS' ? { x: Number(dxf[i + 4]), y: Number(dxf[i + 6]) } : null))
+    .filter(Boolean);
+  assert.strictEqual(pivots.length, 2);
+  ['O2', 'A'].forEach((key, i) => close(Math.hypot(pivots[i].x - configuration[key].x, pivots[i].y - configuration[key].y), 0, 1e-6, `DXF pivot ${key}`));
+  console.log(`renderer: mechanism SVG ${mechanismSvg.length} bytes, φ–θ plot in degrees and radians`);
+}
+
+// Animation export: decode the GIF (LZW) back to the frame colours, and
+// read the entries of the ZIP archive back with their CRC‑32
+{
+  const width = 40;
+  const height = 30;
+  const frames = [0, 1].map((f) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+      const v = ((i % width) * 5 + Math.floor(i / width) * 3 * (f + 1)) % 200;
+      data.set([v, (v * 3) % 256, 128, 255], 4 * i);
+    }
+    return { data };
+  });
+  const gif = lib.encodeGIF(frames, width, height, { delayMs: 80 });
+  assert.strictEqual(Buffer.from(gif.slice(0, 6)).toString('latin1'), 'GIF89a');
+  assert.strictEqual(gif[gif.length - 1], 0x3b);
+  const decoded = decodeGIF(gif);
+  assert.strictEqual(decoded.frames.length, 2);
+  decoded.frames.forEach((indices, f) => {
+    assert.strictEqual(indices.length, width * height);
+    indices.forEach((index, i) => {
+      for (let k = 0; k < 3; k++) assert.strictEqual(decoded.palette[3 * index + k], frames[f].data[4 * i + k]);
+    });
+  });
+  assert.strictEqual(lib.crc32(Buffer.from('123456789')).toString(16), 'cbf43926');
+  const files = [
+    { name: 'a.txt', data: Buffer.from('hello\n') },
+    { name: 'frames/b.gif', data: gif },
+  ];
+  const zip = Buffer.from(lib.createZip(files));
+  let p = 0;
+  files.forEach((file) => {
+    assert.strictEqual(zip.readUInt32LE(p), 0x04034b50, 'local file header');
+    const crc = zip.readUInt32LE(p + 14);
+    const size = zip.readUInt32LE(p + 18);
+    const nameLength = zip.readUInt16LE(p + 26);
+    const extraLength = zip.readUInt16LE(p + 28);
+    assert.strictEqual(zip.toString('latin1', p + 30, p + 30 + nameLength), file.name);
+    const data = zip.subarray(p + 30 + nameLength + extraLength, p + 30 + nameLength + extraLength + size);
+    assert.ok(Buffer.from(file.data).equals(data), `${file.name} stored unchanged`);
+    assert.strictEqual(crc, lib.crc32(file.data));
+    p += 30 + nameLength + extraLength + size;
+  });
+  assert.strictEqual(zip.readUInt32LE(zip.length - 22), 0x06054b50, 'end of central directory');
+  console.log(`animation export: GIF ${gif.length} bytes decodes to both frames, ZIP ${zip.length} bytes`);
+}
+
+/**
+ * Minimal GIF decoder for the checks above: the global palette and the
+ * colour indices of every frame, with the LZW codes read the way a viewer
+ * reads them.
+ */
+function decodeGIF(gif) {
+  const tableSize = 2 << (gif[10] & 7);
+  const palette = gif.slice(13, 13 + 3 * tableSize);
+  let p = 13 + 3 * tableSize;
+  const frames = [];
+  while (gif[p] !== 0x3b) {
+    if (gif[p] === 0x21) {
+      // Extension: label, then data sub‑blocks
+      p += 2;
+      while (gif[p]) p += gif[p] + 1;
+      p++;
+      continue;
+    }
+    assert.strictEqual(gif[p], 0x2c, 'image descriptor');
+    p += 10;
+    const minCodeSize = gif[p++];
+    const data = [];
+    while (gif[p]) {
+      for (let i = 1; i <= gif[p]; i++) data.push(gif[p + i]);
+      p += gif[p] + 1;
+    }
+    p++;
+    const clear = 1 << minCodeSize;
+    let size;
+    let dict;
+    let next;
+    let prev = null;
+    let bit = 0;
+    const reset = () => {
+      dict = [];
+      for (let i = 0; i < clear; i++) dict[i] = [i];
+      next = clear + 2;
+      size = minCodeSize + 1;
+    };
+    const read = () => {
+      let code = 0;
+      for (let i = 0; i < size; i++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+      return code;
+    };
+    const out = [];
+    reset();
+    for (;;) {
+      const code = read();
+      if (code === clear) {
+        reset();
+        prev = null;
+        continue;
+      }
+      if (code === clear + 1) break;
+      let entry;
+      if (code < next && dict[code]) entry = dict[code];
+      else if (code === next && prev) entry = prev.concat([prev[0]]);
+      else throw new Error(`Invalid LZW code ${code}`);
+      out.push(...entry);
+      if (prev && next < 4096) {
+        dict[next++] = prev.concat([entry[0]]);
+        if (next === 1 << size && size < 12) size++;
+      }
+      prev = entry;
+    }
+    frames.push(out);
+  }
+  return { palette, frames };
+}
+
+console.log('All checks passed.');